@@ -94,6 +94,63 @@ function setButtonLoading(btn, loading) {
   }
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Field Error Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+// Rejected payloads come back with errors: [{ path, message }]. `fields` maps an error
+// path to the id of its input; 'tags[2]' falls back to 'tags' when it has no entry.
+function fieldIdForPath(path, fields) {
+  let key = path || '';
+  while (key) {
+    if (fields[key]) return fields[key];
+    const parent = key.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    if (parent === key) break;
+    key = parent;
+  }
+  return null;
+}
+
+function clearFieldErrors(fields) {
+  for (const id of new Set(Object.values(fields))) {
+    const input = document.getElementById(id);
+    if (!input) continue;
+    input.removeAttribute('aria-invalid');
+    while (input.nextElementSibling && input.nextElementSibling.classList.contains('field-error')) {
+      input.nextElementSibling.remove();
+    }
+  }
+}
+
+/**
+ * Show each error under its input. Returns the errors with no input to show them on.
+ */
+function showFieldErrors(errors, fields) {
+  clearFieldErrors(fields);
+  const unmatched = [];
+  for (const error of errors || []) {
+    const input = document.getElementById(fieldIdForPath(error.path, fields) || '');
+    if (!input) {
+      unmatched.push(error);
+      continue;
+    }
+    input.setAttribute('aria-invalid', 'true');
+    const message = document.createElement('p');
+    message.className = 'field-error mt-1 text-xs text-red-500';
+    message.textContent = error.message;
+    input.insertAdjacentElement('afterend', message);
+  }
+  return unmatched;
+}
+
+/**
+ * Summarise errors for a toast: "links[3].url: URL must be ..."
+ */
+function describeFieldErrors(errors, limit = 3) {
+  const lines = errors.slice(0, limit).map(e => (e.path ? `${e.path}: ${e.message}` : e.message));
+  if (errors.length > limit) lines.push(`and ${errors.length - limit} more`);
+  return lines.join('; ');
+}
+
 // Background color definitions with hex values
 const BACKGROUND_COLORS = {
   // Light colors
@@ -2044,8 +2101,19 @@ function debounce(func, wait) {
 
 // State
 const state = {
+  user: null,
+  readOnly: false,
+  dashboards: [],
+  users: [],
+  apiTokens: [],
+  sessions: [],
+  auditEvents: [],
+  backups: [],
+  oidc: null,
+  dashboardId: null,
   links: [],
   tags: [],
+  groups: [],
   preferences: {
     layout: 'grid',
     pageTitle: 'Simple Linkz',
@@ -2056,7 +2124,14 @@ const state = {
   searchQuery: '',
   activeTagFilter: null,  // null = show all, tagId = filter by that tag
   editingLink: null,
-  csrfToken: null
+  csrfToken: null,
+  revisions: {      // Last known server revision per collection, sent as If-Match
+    dashboards: null,
+    links: null,
+    tags: null,
+    groups: null,
+    preferences: null
+  }
 };
 
 // API Client
@@ -2075,15 +2150,78 @@ const api = {
     return res.json();
   },
 
-  async login(username, password) {
+  async login(username, password, code, remember) {
     const res = await fetch(`${BASE_PATH}/api/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({ username, password, code, remember })
+    });
+    return res.json();
+  },
+
+  async changePassword(currentPassword, newPassword) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/password`, {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    return res.json();
+  },
+
+  async changeUsername(username, currentPassword) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/username`, {
+      method: 'POST',
+      body: JSON.stringify({ username, currentPassword })
     });
     return res.json();
   },
 
+  async getTwoFactor() {
+    const res = await fetch(`${BASE_PATH}/api/account/2fa`);
+    return res.json();
+  },
+
+  async setupTwoFactor() {
+    const res = await apiRequest(`${BASE_PATH}/api/account/2fa/setup`, { method: 'POST' });
+    return res.json();
+  },
+
+  async enableTwoFactor(code) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/2fa/enable`, {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+    return res.json();
+  },
+
+  async disableTwoFactor(password) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/2fa/disable`, {
+      method: 'POST',
+      body: JSON.stringify({ password })
+    });
+    return res.json();
+  },
+
+  async regenerateRecoveryCodes(password) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/2fa/recovery-codes`, {
+      method: 'POST',
+      body: JSON.stringify({ password })
+    });
+    return res.json();
+  },
+
+  async linkOidc(password) {
+    const res = await apiRequest(`${BASE_PATH}/api/account/oidc/link`, {
+      method: 'POST',
+      body: JSON.stringify({ password })
+    });
+    return res.json();
+  },
+
+  async unlinkOidc() {
+    const res = await apiRequest(`${BASE_PATH}/api/account/oidc/unlink`, { method: 'POST' });
+    return res.json();
+  },
+
   async logout() {
     const headers = { 'Content-Type': 'application/json' };
     if (state.csrfToken) {
@@ -2094,7 +2232,7 @@ const api = {
   },
 
   async getLinks() {
-    const res = await fetch(`${BASE_PATH}/api/links`);
+    const res = await fetch(`${BASE_PATH}/api/links?dashboard=${encodeURIComponent(state.dashboardId || '')}`);
     if (res.status === 401) {
       showLoginScreen();
       return { links: [] };
@@ -2102,36 +2240,50 @@ const api = {
     return res.json();
   },
 
-  async saveLinks(links) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/links`, {
+  async createLink(link) {
+    const res = await apiRequest(`${BASE_PATH}/api/links`, {
       method: 'POST',
-      headers,
-      body: JSON.stringify({ links })
+      collection: 'links',
+      body: JSON.stringify({ dashboardId: state.dashboardId, ...link })
     });
     if (res.status === 401) {
       showLoginScreen();
     }
-    // Handle CSRF token expiration
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        // Retry with new token
-        const retryHeaders = { 'Content-Type': 'application/json' };
-        if (state.csrfToken) {
-          retryHeaders['X-CSRF-Token'] = state.csrfToken;
-        }
-        const retryRes = await fetch(`${BASE_PATH}/api/links`, {
-          method: 'POST',
-          headers: retryHeaders,
-          body: JSON.stringify({ links })
-        });
-        return retryRes.json();
-      }
+    return res.json();
+  },
+
+  async updateLink(id, changes) {
+    const res = await apiRequest(`${BASE_PATH}/api/links/${id}`, {
+      method: 'PATCH',
+      collection: 'links',
+      body: JSON.stringify(changes)
+    });
+    if (res.status === 401) {
+      showLoginScreen();
+    }
+    return res.json();
+  },
+
+  async deleteLink(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/links/${id}`, {
+      method: 'DELETE',
+      collection: 'links'
+    });
+    if (res.status === 401) {
+      showLoginScreen();
+    }
+    return res.json();
+  },
+
+  // Move linkIds (in the given order) into groupId in front of beforeId, or to the end if beforeId is null
+  async reorderLinks(linkIds, beforeId, groupId) {
+    const res = await apiRequest(`${BASE_PATH}/api/links/reorder`, {
+      method: 'POST',
+      collection: 'links',
+      body: JSON.stringify({ linkIds, beforeId, groupId })
+    });
+    if (res.status === 401) {
+      showLoginScreen();
     }
     return res.json();
   },
@@ -2146,41 +2298,20 @@ const api = {
   },
 
   async savePreferences(preferences) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/preferences`, {
+    const res = await apiRequest(`${BASE_PATH}/api/preferences`, {
       method: 'POST',
-      headers,
+      collection: 'preferences',
       body: JSON.stringify({ preferences })
     });
     if (res.status === 401) {
       showLoginScreen();
     }
-    // Handle CSRF token expiration
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'Content-Type': 'application/json' };
-        if (state.csrfToken) {
-          retryHeaders['X-CSRF-Token'] = state.csrfToken;
-        }
-        const retryRes = await fetch(`${BASE_PATH}/api/preferences`, {
-          method: 'POST',
-          headers: retryHeaders,
-          body: JSON.stringify({ preferences })
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
-  async exportData() {
-    const res = await fetch(`${BASE_PATH}/api/export`);
-    return res.json();
+  // Returns the response as is: only the json format is JSON
+  async exportData(format) {
+    return fetch(`${BASE_PATH}/api/export?format=${encodeURIComponent(format)}`);
   },
 
   async importData(data) {
@@ -2213,6 +2344,18 @@ const api = {
     return res.json();
   },
 
+  // Import a browser bookmarks.html onto the current dashboard; preview: true only reports what would change
+  async importBookmarks(html, preview) {
+    const res = await apiRequest(`${BASE_PATH}/api/import/bookmarks`, {
+      method: 'POST',
+      body: JSON.stringify({ html, dashboardId: state.dashboardId, preview })
+    });
+    if (res.status === 401) {
+      showLoginScreen();
+    }
+    return res.json();
+  },
+
   async getPageTitle(url) {
     const res = await fetch(`${BASE_PATH}/api/page-title?url=${encodeURIComponent(url)}`);
     if (res.ok) {
@@ -2241,181 +2384,388 @@ const api = {
   },
 
   async createTag(name, color) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/tags`, {
+    const res = await apiRequest(`${BASE_PATH}/api/tags`, {
       method: 'POST',
-      headers,
+      collection: 'tags',
       body: JSON.stringify({ name, color })
     });
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'Content-Type': 'application/json', 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/tags`, {
-          method: 'POST',
-          headers: retryHeaders,
-          body: JSON.stringify({ name, color })
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
-  async updateTag(id, name, color) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/tags/${id}`, {
+  async updateTag(id, changes) {
+    const res = await apiRequest(`${BASE_PATH}/api/tags/${id}`, {
       method: 'PUT',
-      headers,
-      body: JSON.stringify({ name, color })
+      collection: 'tags',
+      body: JSON.stringify(changes)
     });
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'Content-Type': 'application/json', 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/tags/${id}`, {
-          method: 'PUT',
-          headers: retryHeaders,
-          body: JSON.stringify({ name, color })
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
   async deleteTag(id) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/tags/${id}`, {
+    const res = await apiRequest(`${BASE_PATH}/api/tags/${id}`, {
       method: 'DELETE',
-      headers
+      collection: 'tags'
     });
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'Content-Type': 'application/json', 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/tags/${id}`, {
-          method: 'DELETE',
-          headers: retryHeaders
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
   async bulkTag(linkIds, operation, tagIds) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/links/bulk-tag`, {
+    const res = await apiRequest(`${BASE_PATH}/api/links/bulk-tag`, {
       method: 'POST',
-      headers,
+      collection: 'links',
       body: JSON.stringify({ linkIds, operation, tagIds })
     });
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'Content-Type': 'application/json', 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/links/bulk-tag`, {
-          method: 'POST',
-          headers: retryHeaders,
-          body: JSON.stringify({ linkIds, operation, tagIds })
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
-  async getCustomIcons() {
-    const res = await fetch(`${BASE_PATH}/api/icons`);
-    if (res.status === 401) {
-      return { icons: [] };
-    }
+  async getMe() {
+    const res = await fetch(`${BASE_PATH}/api/me`);
     return res.json();
   },
 
-  async uploadCustomIcon(file) {
-    const formData = new FormData();
-    formData.append('icon', file);
-
-    const headers = {};
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
+  async getUsers() {
+    const res = await fetch(`${BASE_PATH}/api/users`);
+    return res.json();
+  },
 
-    const res = await fetch(`${BASE_PATH}/api/icons`, {
+  async createUser(username, password, role) {
+    const res = await apiRequest(`${BASE_PATH}/api/users`, {
       method: 'POST',
-      headers,
-      body: formData
+      body: JSON.stringify({ username, password, role })
     });
-
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/icons`, {
-          method: 'POST',
-          headers: retryHeaders,
-          body: formData
-        });
-        return retryRes.json();
-      }
-    }
     return res.json();
   },
 
-  async deleteCustomIcon(iconId) {
-    const headers = {};
-    if (state.csrfToken) {
-      headers['X-CSRF-Token'] = state.csrfToken;
-    }
-    const res = await fetch(`${BASE_PATH}/api/icons/${iconId}`, {
-      method: 'DELETE',
-      headers
+  async updateUser(id, changes) {
+    const res = await apiRequest(`${BASE_PATH}/api/users/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(changes)
     });
-    if (res.status === 403) {
-      const error = await res.clone().json().catch(() => ({}));
-      if (error.code === 'CSRF_INVALID') {
-        await fetchCsrfToken();
-        const retryHeaders = { 'X-CSRF-Token': state.csrfToken };
-        const retryRes = await fetch(`${BASE_PATH}/api/icons/${iconId}`, {
-          method: 'DELETE',
-          headers: retryHeaders
-        });
-        return retryRes.json();
-      }
+    return res.json();
+  },
+
+  // `before` is the last entry already shown
+  async getAuditLog(type, before) {
+    const params = new URLSearchParams();
+    if (type) params.set('type', type);
+    if (before) {
+      params.set('before', before.time);
+      if (before.seq !== undefined) params.set('beforeSeq', before.seq);
     }
+    const res = await fetch(`${BASE_PATH}/api/audit?${params}`);
     return res.json();
-  }
-};
+  },
 
-// Fetch CSRF token (on app init if logged in, or after login)
-async function fetchCsrfToken() {
-  const result = await api.getCsrfToken();
-  if (result && result.csrfToken) {
-    state.csrfToken = result.csrfToken;
-  }
-}
+  async getSessions() {
+    const res = await fetch(`${BASE_PATH}/api/sessions`);
+    return res.json();
+  },
+
+  async getBackups() {
+    const res = await fetch(`${BASE_PATH}/api/backups`);
+    return res.json();
+  },
+
+  async restoreBackup(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/backups/${id}/restore`, { method: 'POST' });
+    return res.json();
+  },
+
+  async deleteSession(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/sessions/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+
+  async getApiTokens() {
+    const res = await fetch(`${BASE_PATH}/api/tokens`);
+    return res.json();
+  },
+
+  async createApiToken(name, scope) {
+    const res = await apiRequest(`${BASE_PATH}/api/tokens`, {
+      method: 'POST',
+      body: JSON.stringify({ name, scope })
+    });
+    return res.json();
+  },
+
+  async deleteApiToken(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/tokens/${id}`, { method: 'DELETE' });
+    return res.json();
+  },
+
+  async getPublicPage(slug) {
+    const res = await fetch(`${BASE_PATH}/api/public/${slug}`);
+    return res.json();
+  },
+
+  async getDashboards() {
+    const res = await fetch(`${BASE_PATH}/api/dashboards`);
+    if (res.status === 401) {
+      showLoginScreen();
+      return { dashboards: [] };
+    }
+    return res.json();
+  },
+
+  async createDashboard(name) {
+    const res = await apiRequest(`${BASE_PATH}/api/dashboards`, {
+      method: 'POST',
+      collection: 'dashboards',
+      body: JSON.stringify({ name })
+    });
+    return res.json();
+  },
+
+  async updateDashboard(id, changes) {
+    const res = await apiRequest(`${BASE_PATH}/api/dashboards/${id}`, {
+      method: 'PUT',
+      collection: 'dashboards',
+      body: JSON.stringify(changes)
+    });
+    return res.json();
+  },
+
+  async deleteDashboard(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/dashboards/${id}`, {
+      method: 'DELETE',
+      collection: 'dashboards'
+    });
+    return res.json();
+  },
+
+  async reorderDashboards(dashboardIds, beforeId) {
+    const res = await apiRequest(`${BASE_PATH}/api/dashboards/reorder`, {
+      method: 'POST',
+      collection: 'dashboards',
+      body: JSON.stringify({ dashboardIds, beforeId })
+    });
+    return res.json();
+  },
+
+  async getGroups() {
+    const res = await fetch(`${BASE_PATH}/api/groups?dashboard=${encodeURIComponent(state.dashboardId || '')}`);
+    if (res.status === 401) {
+      showLoginScreen();
+      return { groups: [] };
+    }
+    return res.json();
+  },
+
+  async createGroup(name, icon) {
+    const res = await apiRequest(`${BASE_PATH}/api/groups`, {
+      method: 'POST',
+      collection: 'groups',
+      body: JSON.stringify({ dashboardId: state.dashboardId, name, icon })
+    });
+    return res.json();
+  },
+
+  async updateGroup(id, changes) {
+    const res = await apiRequest(`${BASE_PATH}/api/groups/${id}`, {
+      method: 'PUT',
+      collection: 'groups',
+      body: JSON.stringify(changes)
+    });
+    return res.json();
+  },
+
+  async deleteGroup(id) {
+    const res = await apiRequest(`${BASE_PATH}/api/groups/${id}`, {
+      method: 'DELETE',
+      collection: 'groups'
+    });
+    return res.json();
+  },
+
+  async reorderGroups(groupIds, beforeId) {
+    const res = await apiRequest(`${BASE_PATH}/api/groups/reorder`, {
+      method: 'POST',
+      collection: 'groups',
+      body: JSON.stringify({ groupIds, beforeId })
+    });
+    return res.json();
+  },
+
+  async getCustomIcons() {
+    const res = await fetch(`${BASE_PATH}/api/icons`);
+    if (res.status === 401) {
+      return { icons: [] };
+    }
+    return res.json();
+  },
+
+  async uploadCustomIcon(file) {
+    const formData = new FormData();
+    formData.append('icon', file);
+
+    const headers = {};
+    if (state.csrfToken) {
+      headers['X-CSRF-Token'] = state.csrfToken;
+    }
+
+    const res = await fetch(`${BASE_PATH}/api/icons`, {
+      method: 'POST',
+      headers,
+      body: formData
+    });
+
+    if (res.status === 403) {
+      const error = await res.clone().json().catch(() => ({}));
+      if (error.code === 'CSRF_INVALID') {
+        await fetchCsrfToken();
+        const retryHeaders = { 'X-CSRF-Token': state.csrfToken };
+        const retryRes = await fetch(`${BASE_PATH}/api/icons`, {
+          method: 'POST',
+          headers: retryHeaders,
+          body: formData
+        });
+        return retryRes.json();
+      }
+    }
+    return res.json();
+  },
+
+  async deleteCustomIcon(iconId) {
+    const headers = {};
+    if (state.csrfToken) {
+      headers['X-CSRF-Token'] = state.csrfToken;
+    }
+    const res = await fetch(`${BASE_PATH}/api/icons/${iconId}`, {
+      method: 'DELETE',
+      headers
+    });
+    if (res.status === 403) {
+      const error = await res.clone().json().catch(() => ({}));
+      if (error.code === 'CSRF_INVALID') {
+        await fetchCsrfToken();
+        const retryHeaders = { 'X-CSRF-Token': state.csrfToken };
+        const retryRes = await fetch(`${BASE_PATH}/api/icons/${iconId}`, {
+          method: 'DELETE',
+          headers: retryHeaders
+        });
+        return retryRes.json();
+      }
+    }
+    return res.json();
+  }
+};
+
+// Fetch CSRF token (on app init if logged in, or after login)
+async function fetchCsrfToken() {
+  const result = await api.getCsrfToken();
+  if (result && result.csrfToken) {
+    state.csrfToken = result.csrfToken;
+  }
+}
+
+// Pending revisioned requests per collection, so each one carries the revision left by the previous one
+const revisionQueues = {};
+
+// Helper function to make authenticated API requests with CSRF token.
+// Pass `collection` ('dashboards', 'links', 'tags', 'groups' or 'preferences') to send If-Match with the
+// last known revision and resolve REVISION_CONFLICT responses.
+function apiRequest(url, options = {}) {
+  const { collection, ...fetchOptions } = options;
+  if (!collection) {
+    return sendApiRequest(url, fetchOptions);
+  }
+
+  const previous = revisionQueues[collection] || Promise.resolve();
+  const request = previous
+    .catch(() => {})
+    .then(() => sendRevisionedRequest(url, fetchOptions, collection));
+  revisionQueues[collection] = request;
+  return request;
+}
+
+async function sendRevisionedRequest(url, options, collection) {
+  const withRevision = () => {
+    const revision = state.revisions[collection];
+    if (revision === null) return options;
+    return { ...options, headers: { ...options.headers, 'If-Match': `"${revision}"` } };
+  };
+
+  let res = await sendApiRequest(url, withRevision());
+
+  if (res.status === 409) {
+    const conflict = await res.clone().json().catch(() => ({}));
+    if (conflict.code === 'REVISION_CONFLICT') {
+      const applyMine = await resolveRevisionConflict(conflict);
+      if (!applyMine) {
+        return res;
+      }
+      res = await sendApiRequest(url, withRevision());
+    }
+  }
+
+  if (res.ok) {
+    const result = await res.clone().json().catch(() => ({}));
+    if (result.revisions) {
+      Object.assign(state.revisions, result.revisions);
+    }
+  }
+
+  return res;
+}
+
+// Ask whether to reload the newer server copy or apply the pending change on top of it
+async function resolveRevisionConflict(conflict) {
+  const applyMine = await showConfirmModal(
+    'Your data changed elsewhere',
+    `Your ${conflict.collection} were changed in another tab or on another device. Reload the latest version, or apply your change on top of it?`,
+    { confirmText: 'Apply my change', cancelText: 'Reload' }
+  );
+
+  // Preferences are saved as a whole object, so applying mine replaces theirs
+  if (applyMine && conflict.collection === 'preferences') {
+    state.revisions.preferences = conflict.revision;
+  } else {
+    applyServerCopy(conflict);
+  }
+
+  if (!applyMine) {
+    showToast('Reloaded latest changes', 'info');
+  }
+  return applyMine;
+}
 
-// Helper function to make authenticated API requests with CSRF token
-async function apiRequest(url, options = {}) {
+// Replace local state for a collection with the server copy from a 409 response
+function applyServerCopy(conflict) {
+  state.revisions[conflict.collection] = conflict.revision;
+
+  if (conflict.collection === 'dashboards') {
+    state.dashboards = (conflict.dashboards || []).sort((a, b) => a.order - b.order);
+    if (!getActiveDashboard()) {
+      // The dashboard we were on is gone - fall back to the first one
+      switchDashboard(state.dashboards[0].id);
+    }
+    renderDashboardSwitcher();
+    renderDashboardList();
+    applyTheme();
+  } else if (conflict.collection === 'links') {
+    // The server copy covers every dashboard
+    state.links = (conflict.links || [])
+      .filter(l => l.dashboardId === state.dashboardId)
+      .sort((a, b) => a.order - b.order);
+  } else if (conflict.collection === 'tags') {
+    state.tags = (conflict.tags || []).sort((a, b) => a.name.localeCompare(b.name));
+    renderTagList();
+    updateTagFilter();
+  } else if (conflict.collection === 'groups') {
+    state.groups = (conflict.groups || [])
+      .filter(g => g.dashboardId === state.dashboardId)
+      .sort((a, b) => a.order - b.order);
+    renderGroupList();
+  } else if (conflict.collection === 'preferences') {
+    state.preferences = conflict.preferences;
+    applyTheme();
+  }
+
+  renderLinks();
+}
+
+async function sendApiRequest(url, options = {}) {
   const defaultHeaders = {
     'Content-Type': 'application/json'
   };
@@ -2474,7 +2824,14 @@ function hideLoadingOverlay() {
 
 // Initialize
 async function init() {
+  const publicSlug = getPublicSlugFromUrl();
+  if (publicSlug) {
+    await showPublicView(publicSlug);
+    return;
+  }
+
   const setupCheck = await api.checkSetup();
+  state.oidc = setupCheck.oidc || null;
   if (setupCheck.needsSetup) {
     showSetupScreen();
     hideLoadingOverlay();
@@ -2490,6 +2847,54 @@ async function init() {
   }
 }
 
+// Public page: /public/:slug renders the published links read-only, without signing in
+function getPublicSlugFromUrl() {
+  let path = window.location.pathname;
+  if (BASE_PATH && path.startsWith(BASE_PATH)) {
+    path = path.substring(BASE_PATH.length);
+  }
+  const match = path.match(/^\/public\/([a-z0-9-]+)\/?$/);
+  return match ? match[1] : null;
+}
+
+function getPublicPageUrl(slug) {
+  return `${window.location.origin}${BASE_PATH}/public/${slug}`;
+}
+
+async function showPublicView(slug) {
+  state.readOnly = true;
+  document.getElementById('app').classList.add('read-only');
+
+  const result = await api.getPublicPage(slug);
+  if (result.preferences) {
+    state.preferences = { ...state.preferences, ...result.preferences };
+    state.tags = result.tags;
+    state.groups = result.groups;
+    state.links = result.links;
+  } else {
+    state.preferences.pageTitle = 'Page not found';
+  }
+  applyTheme();
+
+  document.querySelector('#empty-state p').textContent = result.preferences ? 'Nothing shared yet' : 'Page not found';
+  document.querySelector('#empty-state p + p').textContent = result.preferences
+    ? 'Links tagged as public will appear here'
+    : 'This public page does not exist or is no longer shared';
+
+  document.getElementById('app').classList.remove('hidden');
+  document.getElementById('search').addEventListener('input', (e) => {
+    state.searchQuery = e.target.value.toLowerCase();
+    debouncedRenderLinks();
+  });
+  document.getElementById('tag-filter').addEventListener('change', (e) => {
+    setTagFilter(e.target.value);
+  });
+
+  renderLinks();
+  updateTagFilter();
+  hideLoadingOverlay();
+}
+
 // Setup Screen
 function showSetupScreen() {
   document.getElementById('setup-screen').classList.remove('hidden');
@@ -2527,21 +2932,42 @@ function showLoginScreen() {
   document.getElementById('login-screen').classList.remove('hidden');
   document.getElementById('app').classList.add('hidden');
 
+  const ssoSection = document.getElementById('login-sso');
+  ssoSection.classList.toggle('hidden', !state.oidc);
+  if (state.oidc) {
+    const ssoButton = document.getElementById('login-sso-btn');
+    ssoButton.href = `${BASE_PATH}/api/auth/oidc/start`;
+    ssoButton.textContent = `Sign in with ${state.oidc.name}`;
+  }
+  showSsoError();
+
   const form = document.getElementById('login-form');
   form.onsubmit = async (e) => {
     e.preventDefault();
     const username = document.getElementById('login-username').value;
     const password = document.getElementById('login-password').value;
+    const codeField = document.getElementById('login-code-field');
+    const code = codeField.classList.contains('hidden') ? undefined : document.getElementById('login-code').value.trim();
+    const remember = document.getElementById('login-remember').checked;
 
-    const result = await api.login(username, password);
+    const result = await api.login(username, password, code, remember);
     if (result.success) {
       // Store CSRF token from login response
       if (result.csrfToken) {
         state.csrfToken = result.csrfToken;
       }
+      document.getElementById('login-code').value = '';
+      codeField.classList.add('hidden');
       showDashboard();
     } else {
       const errorEl = document.getElementById('login-error');
+      // Password was right, ask for the second factor
+      if (result.code === 'TOTP_REQUIRED') {
+        codeField.classList.remove('hidden');
+        document.getElementById('login-code').focus();
+        errorEl.classList.add('hidden');
+        return;
+      }
       // Handle rate limiting
       if (result.code === 'RATE_LIMITED') {
         const minutes = Math.ceil(result.retryAfter / 60000);
@@ -2554,6 +2980,38 @@ function showLoginScreen() {
   };
 }
 
+const SSO_ERROR_MESSAGES = {
+  denied: 'Single sign-on was cancelled.',
+  no_account: 'No account is linked to your single sign-on identity. Sign in with your password and link it in Settings.',
+  already_linked: 'That single sign-on identity is already linked to another account.',
+  disabled: 'Account disabled.',
+  invalid_state: 'The single sign-on attempt expired. Please try again.',
+  unavailable: 'The identity provider could not be reached.'
+};
+
+// Read and remove the ?sso_linked= or ?sso_error= the server redirects back with
+function takeSsoResult() {
+  const params = new URLSearchParams(window.location.search);
+  const result = { linked: params.get('sso_linked') === '1', error: params.get('sso_error') };
+  if (result.linked || result.error) {
+    params.delete('sso_linked');
+    params.delete('sso_error');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+  }
+  return result;
+}
+
+// Show why a single sign-on attempt failed
+function showSsoError() {
+  const { error } = takeSsoResult();
+  if (!error) return;
+
+  const errorEl = document.getElementById('login-error');
+  errorEl.textContent = SSO_ERROR_MESSAGES[error] || 'Single sign-on failed.';
+  errorEl.classList.remove('hidden');
+}
+
 // Dashboard
 async function showDashboard() {
   // Fetch CSRF token if not already present (for page reloads)
@@ -2561,8 +3019,22 @@ async function showDashboard() {
     await fetchCsrfToken();
   }
 
-  // Load preferences first and apply theme before showing the app
+  const me = await api.getMe();
+  state.user = me.user || null;
+  updateAccountUI();
+
+  // Back from linking single sign-on in Settings
+  const sso = takeSsoResult();
+  if (sso.linked) {
+    showToast('Single sign-on linked', 'success');
+  } else if (sso.error) {
+    showToast(SSO_ERROR_MESSAGES[sso.error] || 'Single sign-on failed.', 'error');
+  }
+
+  // Load preferences and dashboards first and apply theme before showing the app
   await loadPreferences();
+  await loadDashboards();
+  selectDashboardFromUrl();
   applyTheme();
 
   // Now show the dashboard with the correct theme already applied
@@ -2572,7 +3044,9 @@ async function showDashboard() {
 
   await loadLinks();
   await loadTags();
+  await loadGroups();
   setupEventListeners();
+  renderDashboardSwitcher();
   renderLinks();
   updateTagFilter();
 
@@ -2582,15 +3056,29 @@ async function showDashboard() {
 
 async function loadLinks() {
   const result = await api.getLinks();
-  state.links = result.links || [];
+  state.links = (result.links || []).sort((a, b) => a.order - b.order);
+  state.revisions.links = result.revision ?? null;
 
   // Fetch favicons in the background without blocking render
   fetchMissingFavicons();
 }
 
+async function loadDashboards() {
+  const result = await api.getDashboards();
+  state.dashboards = (result.dashboards || []).sort((a, b) => a.order - b.order);
+  state.revisions.dashboards = result.revision ?? null;
+}
+
+async function loadGroups() {
+  const result = await api.getGroups();
+  state.groups = result.groups || [];
+  state.revisions.groups = result.revision ?? null;
+}
+
 async function loadTags() {
   const result = await api.getTags();
   state.tags = result.tags || [];
+  state.revisions.tags = result.revision ?? null;
 }
 
 // Fetch favicons for links that don't have them yet (truly async background operation)
@@ -2602,7 +3090,6 @@ async function fetchMissingFavicons() {
   }
 
   showToast('Fetching favicons...', 'info', 2000);
-  let needsSave = false;
   const faviconUpdates = [];
 
   // Fetch favicons in parallel
@@ -2610,7 +3097,6 @@ async function fetchMissingFavicons() {
     const faviconUrl = await fetchFavicon(link.url);
     if (faviconUrl) {
       link.faviconUrl = faviconUrl;
-      needsSave = true;
       // Collect updates for batching instead of immediate render
       faviconUpdates.push({ linkId: link.id, faviconUrl });
     }
@@ -2622,11 +3108,11 @@ async function fetchMissingFavicons() {
   // Batch update all favicons at once to reduce layout thrashing
   if (faviconUpdates.length > 0) {
     batchFaviconUpdates(faviconUpdates);
-  }
 
-  // Save updated links if we fetched any new favicons
-  if (needsSave) {
-    await api.saveLinks(state.links);
+    // Save only the favicon field of each updated link
+    await Promise.all(faviconUpdates.map(({ linkId, faviconUrl }) =>
+      api.updateLink(linkId, { faviconUrl })
+    ));
     showToast('Favicons updated', 'success');
   }
 }
@@ -2635,6 +3121,7 @@ async function loadPreferences() {
   const result = await api.getPreferences();
   if (result.preferences) {
     state.preferences = result.preferences;
+    state.revisions.preferences = result.revision ?? null;
   }
 }
 
@@ -2705,13 +3192,73 @@ function setupEventListeners() {
   document.getElementById('reset-credentials-btn').addEventListener('click', handleResetCredentials);
   document.getElementById('export-btn').addEventListener('click', handleExport);
   document.getElementById('import-file').addEventListener('change', handleImport);
+  document.getElementById('bookmarks-file').addEventListener('change', handleBookmarksFile);
+  document.getElementById('bookmarks-cancel-btn').addEventListener('click', hideBookmarksPreview);
+  document.getElementById('bookmarks-import-btn').addEventListener('click', confirmBookmarksImport);
   document.getElementById('manage-tags-btn').addEventListener('click', showTagModal);
+  document.getElementById('manage-groups-btn').addEventListener('click', showGroupModal);
+  document.getElementById('manage-dashboards-btn').addEventListener('click', showDashboardModal);
+  document.getElementById('manage-users-btn').addEventListener('click', showUserModal);
+  document.getElementById('manage-tokens-btn').addEventListener('click', showTokenModal);
+  document.getElementById('manage-sessions-btn').addEventListener('click', showSessionModal);
+  document.getElementById('view-audit-btn').addEventListener('click', showAuditModal);
+  document.getElementById('manage-backups-btn').addEventListener('click', showBackupModal);
+  document.getElementById('manage-2fa-btn').addEventListener('click', showTwoFactorModal);
+  document.getElementById('manage-account-btn').addEventListener('click', showAccountModal);
 
   // Tag modal
   document.getElementById('tag-modal-close-btn').addEventListener('click', hideTagModal);
   document.getElementById('add-tag-form').addEventListener('submit', handleAddTag);
   document.getElementById('edit-tag-form').addEventListener('submit', handleEditTagSubmit);
 
+  // Group modal
+  document.getElementById('group-modal-close-btn').addEventListener('click', hideGroupModal);
+  document.getElementById('add-group-form').addEventListener('submit', handleAddGroup);
+
+  // Account modal
+  document.getElementById('account-modal-close-btn').addEventListener('click', hideAccountModal);
+  document.getElementById('change-username-form').addEventListener('submit', handleChangeUsername);
+  document.getElementById('change-password-form').addEventListener('submit', handleChangePassword);
+
+  // Two-factor modal
+  document.getElementById('two-factor-modal-close-btn').addEventListener('click', hideTwoFactorModal);
+
+  // Session modal
+  document.getElementById('session-modal-close-btn').addEventListener('click', hideSessionModal);
+
+  // Audit log modal
+  document.getElementById('audit-modal-close-btn').addEventListener('click', hideAuditModal);
+  document.getElementById('audit-type-filter').addEventListener('change', () => loadAuditLog());
+  document.getElementById('audit-more-btn').addEventListener('click', () => loadAuditLog(true));
+
+  // Backup modal
+  document.getElementById('backup-modal-close-btn').addEventListener('click', hideBackupModal);
+
+  // API token modal
+  document.getElementById('token-modal-close-btn').addEventListener('click', hideTokenModal);
+  document.getElementById('add-token-form').addEventListener('submit', handleAddToken);
+  document.getElementById('copy-token-btn').addEventListener('click', copyNewToken);
+
+  // User modal
+  document.getElementById('user-modal-close-btn').addEventListener('click', hideUserModal);
+  document.getElementById('add-user-form').addEventListener('submit', handleAddUser);
+
+  // Dashboard modal
+  document.getElementById('dashboard-modal-close-btn').addEventListener('click', hideDashboardModal);
+  document.getElementById('add-dashboard-form').addEventListener('submit', handleAddDashboard);
+
+  // Dashboard switcher and browser navigation between /d/:slug URLs
+  document.getElementById('dashboard-switcher').addEventListener('change', (e) => {
+    switchDashboard(e.target.value);
+  });
+  window.addEventListener('popstate', () => {
+    const previousId = state.dashboardId;
+    selectDashboardFromUrl();
+    if (state.dashboardId !== previousId) {
+      switchDashboard(state.dashboardId, { updateUrl: false });
+    }
+  });
+
   // Tag filter
   document.getElementById('tag-filter').addEventListener('change', (e) => {
     setTagFilter(e.target.value);
@@ -2785,6 +3332,12 @@ function setupEventListeners() {
     updatePageTitle();
   });
 
+  // Public page URL (empty turns the page off)
+  document.getElementById('public-slug').addEventListener('change', (e) => {
+    state.preferences.publicSlug = e.target.value.trim().toLowerCase() || null;
+    updatePublicUrlHint();
+  });
+
   // App title click to reload
   document.getElementById('app-title').addEventListener('click', () => {
     window.location.reload();
@@ -2802,7 +3355,17 @@ function handleGlobalKeydown(event) {
   // Check if any modal is open
   const linkModalOpen = !document.getElementById('link-modal').classList.contains('hidden');
   const settingsModalOpen = !document.getElementById('settings-modal').classList.contains('hidden');
-  const isModalOpen = linkModalOpen || settingsModalOpen;
+  const groupModalOpen = !document.getElementById('group-modal').classList.contains('hidden');
+  const dashboardModalOpen = !document.getElementById('dashboard-modal').classList.contains('hidden');
+  const userModalOpen = !document.getElementById('user-modal').classList.contains('hidden');
+  const tokenModalOpen = !document.getElementById('token-modal').classList.contains('hidden');
+  const twoFactorModalOpen = !document.getElementById('two-factor-modal').classList.contains('hidden');
+  const accountModalOpen = !document.getElementById('account-modal').classList.contains('hidden');
+  const sessionModalOpen = !document.getElementById('session-modal').classList.contains('hidden');
+  const auditModalOpen = !document.getElementById('audit-modal').classList.contains('hidden');
+  const backupModalOpen = !document.getElementById('backup-modal').classList.contains('hidden');
+  const isModalOpen = linkModalOpen || settingsModalOpen || groupModalOpen || dashboardModalOpen || userModalOpen ||
+    tokenModalOpen || twoFactorModalOpen || accountModalOpen || sessionModalOpen || auditModalOpen || backupModalOpen;
 
   // Check if user is in an input or textarea
   const activeTag = document.activeElement.tagName.toLowerCase();
@@ -2847,33 +3410,98 @@ function renderLinks() {
 
   const sorted = [...filteredLinks].sort((a, b) => a.order - b.order);
 
+  let renderer = renderCards;
   if (state.preferences.layout === 'grid') {
-    renderGrid(container, sorted);
+    renderer = renderGrid;
   } else if (state.preferences.layout === 'list') {
-    renderList(container, sorted);
+    renderer = renderList;
+  }
+
+  if (state.groups.length === 0) {
+    renderer(container, sorted);
   } else {
-    renderCards(container, sorted);
+    const isFiltering = !!(state.activeTagFilter || state.searchQuery);
+    renderGroupedLinks(container, sorted, renderer, isFiltering);
   }
 
   updateLayoutToggle();
 }
 
-// Debounced version for search input
-const debouncedRenderLinks = debounce(renderLinks, 100);
-
-function renderGrid(container, links) {
-  container.className = 'grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6';
-  container.style.gap = 'var(--sl-gap)';
+// Render ungrouped links first, then each group under a collapsible header.
+// While filtering, groups without matches are hidden.
+function renderGroupedLinks(container, links, renderer, isFiltering) {
+  container.className = 'flex flex-col';
+  container.style.gap = 'calc(var(--sl-gap) * 2)';
+
+  const sections = [
+    { id: '', group: null, links: links.filter(l => !l.groupId) },
+    ...[...state.groups]
+      .sort((a, b) => a.order - b.order)
+      .map(group => ({ id: group.id, group, links: links.filter(l => l.groupId === group.id) }))
+  ].filter(section => section.links.length > 0 || (section.group && !isFiltering));
+
+  container.innerHTML = sections.map(({ id, group, links: sectionLinks }) => {
+    if (!group) {
+      return `<div data-group-links=""></div>`;
+    }
+    const expanded = !group.collapsed;
+    return `
+      <section class="link-group" data-group-drop="${id}">
+        <button type="button" class="link-group-header" aria-expanded="${expanded}" onclick="toggleGroup('${id}')">
+          <svg class="link-group-chevron" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/>
+          </svg>
+          ${group.icon ? `<span>${escapeHtml(group.icon)}</span>` : ''}
+          <span class="link-group-title">${escapeHtml(group.name)}</span>
+          <span class="link-group-count">${sectionLinks.length}</span>
+        </button>
+        <div class="${expanded ? '' : 'hidden'}">
+          ${sectionLinks.length === 0 ? '<p class="link-group-empty">Drag links here</p>' : ''}
+          <div data-group-links="${id}"></div>
+        </div>
+      </section>
+    `;
+  }).join('');
+
+  sections.forEach(section => {
+    if (section.links.length > 0) {
+      renderer(container.querySelector(`[data-group-links="${section.id}"]`), section.links);
+    }
+  });
+
+  setupGroupDropZones();
+}
+
+window.toggleGroup = async function(id) {
+  const group = state.groups.find(g => g.id === id);
+  if (!group) return;
+
+  group.collapsed = !group.collapsed;
+  renderLinks();
+  if (state.readOnly) return;
+
+  const result = await api.updateGroup(id, { collapsed: group.collapsed });
+  if (result.group) {
+    Object.assign(group, result.group);
+  }
+};
+
+// Debounced version for search input
+const debouncedRenderLinks = debounce(renderLinks, 100);
+
+function renderGrid(container, links) {
+  container.className = 'grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6';
+  container.style.gap = 'var(--sl-gap)';
   container.innerHTML = links.map(link => `
     <div class="link-card bg-white dark:bg-gray-800 rounded-lg p-4 shadow cursor-pointer group relative border-2 border-transparent"
-         draggable="true"
+         draggable="${!state.readOnly}"
          data-link-id="${link.id}"
          onclick="window.open('${escapeHtml(link.url)}', '_blank')">
       <div class="flex flex-col items-center justify-center">
         <div class="text-3xl mb-2 flex items-center justify-center">${getLinkIcon(link)}</div>
         <div class="text-sm font-medium text-gray-900 dark:text-white truncate w-full text-center">${escapeHtml(link.name)}</div>
       </div>
-      <div class="flex sm:hidden sm:group-hover:flex absolute top-2 right-2 gap-1">
+      <div class="link-actions flex sm:hidden sm:group-hover:flex absolute top-2 right-2 gap-1">
         <button onclick="event.stopPropagation(); editLink('${link.id}')"
                 class="p-1 bg-blue-600 text-white rounded text-xs" aria-label="Edit link">✎</button>
         <button onclick="event.stopPropagation(); deleteLink('${link.id}')"
@@ -2882,7 +3510,7 @@ function renderGrid(container, links) {
     </div>
   `).join('');
 
-  setupDragAndDrop();
+  setupDragAndDrop(container);
 }
 
 function renderList(container, links) {
@@ -2890,7 +3518,7 @@ function renderList(container, links) {
   container.style.gap = 'var(--sl-gap)';
   container.innerHTML = links.map(link => `
     <div class="link-card bg-white dark:bg-gray-800 rounded-lg p-4 shadow cursor-pointer flex items-center gap-4 group relative border-2 border-transparent"
-         draggable="true"
+         draggable="${!state.readOnly}"
          data-link-id="${link.id}"
          onclick="window.open('${escapeHtml(link.url)}', '_blank')">
       <div class="text-2xl">${getLinkIcon(link)}</div>
@@ -2898,7 +3526,7 @@ function renderList(container, links) {
         <div class="font-medium text-gray-900 dark:text-white">${escapeHtml(link.name)}</div>
         <div class="text-sm text-gray-500 dark:text-gray-400 truncate">${escapeHtml(link.url)}</div>
       </div>
-      <div class="flex sm:hidden sm:group-hover:flex gap-2">
+      <div class="link-actions flex sm:hidden sm:group-hover:flex gap-2">
         <button onclick="event.stopPropagation(); editLink('${link.id}')"
                 class="px-3 py-1 bg-blue-600 text-white rounded text-sm" aria-label="Edit link">Edit</button>
         <button onclick="event.stopPropagation(); deleteLink('${link.id}')"
@@ -2907,7 +3535,7 @@ function renderList(container, links) {
     </div>
   `).join('');
 
-  setupDragAndDrop();
+  setupDragAndDrop(container);
 }
 
 function renderCards(container, links) {
@@ -2915,7 +3543,7 @@ function renderCards(container, links) {
   container.style.gap = 'var(--sl-gap)';
   container.innerHTML = links.map(link => `
     <div class="link-card bg-white dark:bg-gray-800 rounded-lg p-6 shadow-lg cursor-pointer group relative border-2 border-transparent"
-         draggable="true"
+         draggable="${!state.readOnly}"
          data-link-id="${link.id}"
          onclick="window.open('${escapeHtml(link.url)}', '_blank')">
       <div class="flex items-start gap-4 min-w-0">
@@ -2925,7 +3553,7 @@ function renderCards(container, links) {
           <div class="text-sm text-gray-500 dark:text-gray-400 truncate">${escapeHtml(link.url)}</div>
         </div>
       </div>
-      <div class="flex sm:hidden sm:group-hover:flex absolute top-4 right-4 gap-2">
+      <div class="link-actions flex sm:hidden sm:group-hover:flex absolute top-4 right-4 gap-2">
         <button onclick="event.stopPropagation(); editLink('${link.id}')"
                 class="px-3 py-1 bg-blue-600 text-white rounded text-sm" aria-label="Edit link">Edit</button>
         <button onclick="event.stopPropagation(); deleteLink('${link.id}')"
@@ -2934,7 +3562,7 @@ function renderCards(container, links) {
     </div>
   `).join('');
 
-  setupDragAndDrop();
+  setupDragAndDrop(container);
 }
 
 function getLinkIcon(link) {
@@ -2993,10 +3621,11 @@ function batchFaviconUpdates(faviconUpdates) {
   });
 }
 
+// Safe in text and in quoted attributes: innerHTML leaves quotes as they are
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function updateLayoutToggle() {
@@ -3029,6 +3658,17 @@ const savePreferencesDebounced = debounce(async () => {
   await api.savePreferences(state.preferences);
 }, 500);
 
+function updatePublicUrlHint() {
+  const hint = document.getElementById('public-url-hint');
+  const slug = state.preferences.publicSlug;
+  if (slug) {
+    const publicUrl = getPublicPageUrl(slug);
+    hint.innerHTML = `Links with a public tag are shown at <a href="${escapeHtml(publicUrl)}" target="_blank" rel="noopener" class="underline">${escapeHtml(publicUrl)}</a>`;
+  } else {
+    hint.textContent = 'Set a URL to share links with a public tag, read-only and without signing in.';
+  }
+}
+
 function updatePageTitle() {
   document.getElementById('app-title').textContent = state.preferences.pageTitle;
   document.title = state.preferences.pageTitle;
@@ -3055,8 +3695,11 @@ function applyTheme() {
   // Apply custom CSS properties
   applyCustomCss(state.preferences.customCss);
 
+  // The active dashboard may override the theme preset and colors
+  const override = (getActiveDashboard() || {}).theme || {};
+
   // Get theme preset
-  const presetName = state.preferences.themePreset || 'midnight';
+  const presetName = override.themePreset || state.preferences.themePreset || 'midnight';
   const preset = THEME_PRESETS[presetName] || THEME_PRESETS.midnight;
 
   // Apply theme preset colors
@@ -3067,7 +3710,7 @@ function applyTheme() {
   document.documentElement.style.setProperty('--sl-border', preset.border);
 
   // Apply accent color
-  const accentColor = state.preferences.accentColor || '#3b82f6';
+  const accentColor = override.accentColor || state.preferences.accentColor || '#3b82f6';
   document.documentElement.style.setProperty('--sl-accent', accentColor);
   // Determine if accent needs light or dark text
   const accentTextColor = isLightColor(accentColor) ? '#0f172a' : '#ffffff';
@@ -3080,6 +3723,9 @@ function applyTheme() {
     bgHex = BACKGROUND_COLORS[bgHex];
     state.preferences.backgroundColor = bgHex; // Migrate to hex
   }
+  if (override.backgroundColor) {
+    bgHex = BACKGROUND_COLORS[override.backgroundColor] || override.backgroundColor;
+  }
   document.documentElement.style.setProperty('--sl-bg', bgHex);
 
   updateThemePresetUI();
@@ -3147,6 +3793,14 @@ function updateCustomCssInputs() {
 }
 
 // Link Modal
+const LINK_FIELDS = {
+  name: 'link-name',
+  url: 'link-url',
+  fallbackEmoji: 'link-emoji',
+  groupId: 'link-group',
+  tags: 'link-tags-container'
+};
+
 function showLinkModal() {
   const modal = document.getElementById('link-modal');
   const title = document.getElementById('link-modal-title');
@@ -3158,12 +3812,14 @@ function showLinkModal() {
   const iconValueInput = document.getElementById('link-icon-value');
 
   errorEl.classList.add('hidden');
+  clearFieldErrors(LINK_FIELDS);
 
   if (state.editingLink) {
     title.textContent = 'Edit Link';
     nameInput.value = state.editingLink.name;
     urlInput.value = state.editingLink.url;
     emojiInput.value = state.editingLink.fallbackEmoji || '';
+    renderLinkGroupOptions(state.editingLink.groupId || null);
     renderLinkTagsCheckboxes(state.editingLink.tags || []);
 
     // Set icon type and value
@@ -3175,6 +3831,7 @@ function showLinkModal() {
     nameInput.value = '';
     urlInput.value = '';
     emojiInput.value = '';
+    renderLinkGroupOptions(null);
     renderLinkTagsCheckboxes([]);
 
     // Reset icon to favicon
@@ -3285,6 +3942,7 @@ async function handleSaveLink(e) {
   const url = document.getElementById('link-url').value.trim();
   const fallbackEmoji = document.getElementById('link-emoji').value.trim();
   const selectedTags = getSelectedLinkTags();
+  const groupId = document.getElementById('link-group').value || null;
   const iconType = document.getElementById('link-icon-type').value || 'favicon';
   const iconValue = document.getElementById('link-icon-value').value || null;
   const errorEl = document.getElementById('link-error');
@@ -3303,47 +3961,58 @@ async function handleSaveLink(e) {
     return;
   }
 
-  let linkToSave;
+  const saveBtn = document.querySelector('#link-form button[type="submit"]');
+  setButtonLoading(saveBtn, true);
+
+  let result;
 
   if (state.editingLink) {
     // Update existing link
-    const index = state.links.findIndex(l => l.id === state.editingLink.id);
-    if (index !== -1) {
-      linkToSave = { ...state.links[index], name, url, fallbackEmoji, tags: selectedTags, iconType, iconValue };
+    const existing = state.links.find(l => l.id === state.editingLink.id);
+    const changes = { name, url, fallbackEmoji, tags: selectedTags, groupId, iconType, iconValue };
 
-      // If URL changed and using favicon, refresh the favicon URL
-      if (state.links[index].url !== url && iconType === 'favicon') {
-        linkToSave.faviconUrl = await fetchFavicon(url);
-      }
+    // If URL changed and using favicon, refresh the favicon URL
+    if (existing && existing.url !== url && iconType === 'favicon') {
+      changes.faviconUrl = await fetchFavicon(url);
+    }
 
-      state.links[index] = linkToSave;
+    result = await api.updateLink(state.editingLink.id, changes);
+    if (result.link && existing && (existing.groupId || null) !== groupId) {
+      // Changing group renumbers links in both groups on the server
+      await loadLinks();
+    } else if (result.link) {
+      const index = state.links.findIndex(l => l.id === result.link.id);
+      if (index !== -1) {
+        state.links[index] = result.link;
+      }
     }
   } else {
-    // Add new link
-    const newLink = {
-      id: crypto.randomUUID(),
+    // Add new link (server assigns id and order)
+    result = await api.createLink({
       name,
       url,
       fallbackEmoji,
       tags: selectedTags,
-      order: state.links.length,
+      groupId,
       iconType,
       iconValue,
       faviconUrl: iconType === 'favicon' ? await fetchFavicon(url) : null
-    };
-    state.links.push(newLink);
+    });
+    if (result.link) {
+      state.links.push(result.link);
+    }
   }
 
-  const saveBtn = document.querySelector('#link-form button[type="submit"]');
-  setButtonLoading(saveBtn, true);
-
-  const result = await api.saveLinks(state.links);
   setButtonLoading(saveBtn, false);
-  if (result.success) {
+  if (result.link) {
     const wasEditing = !!state.editingLink;
     hideLinkModal();
     renderLinks();
     showToast(wasEditing ? 'Link saved' : 'Link created', 'success');
+  } else if (result.errors) {
+    const unmatched = showFieldErrors(result.errors, LINK_FIELDS);
+    errorEl.textContent = unmatched.length > 0 ? unmatched[0].message : '';
+    errorEl.classList.toggle('hidden', unmatched.length === 0);
   } else {
     errorEl.textContent = result.error || 'Failed to save link';
     errorEl.classList.remove('hidden');
@@ -3366,14 +4035,17 @@ window.deleteLink = async function(id) {
   );
   if (!confirmed) return;
 
-  state.links = state.links.filter(l => l.id !== id);
+  const result = await api.deleteLink(id);
+  if (!result.success) {
+    showToast(result.error || 'Failed to delete link', 'error');
+    return;
+  }
 
-  // Reorder remaining links
-  state.links.forEach((link, index) => {
-    link.order = index;
-  });
+  // Mirror the server's renumbering of the remaining links
+  const deleted = state.links.find(l => l.id === id);
+  state.links = state.links.filter(l => l.id !== id);
+  renumberGroupLinks(deleted ? deleted.groupId || null : null);
 
-  await api.saveLinks(state.links);
   renderLinks();
   showToast('Link deleted', 'success');
 };
@@ -3388,6 +4060,10 @@ function showSettingsModal() {
 
   openModal(document.getElementById('settings-modal'));
   document.getElementById('page-title').value = state.preferences.pageTitle || 'Simple Linkz';
+  document.getElementById('public-slug').value = state.preferences.publicSlug || '';
+  updatePublicUrlHint();
+  clearFieldErrors(PREFERENCE_FIELDS);
+  hideBookmarksPreview();
 
   // Initialize theme presets UI
   updateThemePresetUI();
@@ -3402,14 +4078,32 @@ function showSettingsModal() {
   updateCustomCssInputs();
 }
 
+const PREFERENCE_FIELDS = {
+  'preferences.pageTitle': 'page-title',
+  'preferences.publicSlug': 'public-slug'
+};
+
 async function hideSettingsModal() {
   const saveBtn = document.getElementById('settings-save-btn');
   setButtonLoading(saveBtn, true);
-  await api.savePreferences(state.preferences);
+  const result = await api.savePreferences(state.preferences);
   setButtonLoading(saveBtn, false);
+  if (result.errors) {
+    // Keep the modal open so the highlighted fields can be fixed
+    const unmatched = showFieldErrors(result.errors, PREFERENCE_FIELDS);
+    if (unmatched.length > 0) {
+      showToast(describeFieldErrors(unmatched), 'error');
+    }
+    return;
+  }
+  clearFieldErrors(PREFERENCE_FIELDS);
   originalPreferences = null;
   closeModal(document.getElementById('settings-modal'));
-  showToast('Settings saved', 'success');
+  if (result.success) {
+    showToast('Settings saved', 'success');
+  } else {
+    showToast(result.error || 'Failed to save settings', 'error');
+  }
 }
 
 function cancelSettingsModal() {
@@ -3445,16 +4139,30 @@ async function handleResetCredentials() {
   if (res.ok) {
     state.csrfToken = null; // Clear CSRF token on reset
     showSetupScreen();
+  } else {
+    const result = await res.json();
+    showToast(result.error || 'Failed to reset credentials', 'error');
   }
 }
 
 async function handleExport() {
-  const data = await api.exportData();
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const format = document.getElementById('export-format').value;
+  const res = await api.exportData(format);
+  if (res.status === 401) {
+    showLoginScreen();
+    return;
+  }
+  if (!res.ok) {
+    const result = await res.json().catch(() => ({}));
+    showToast(result.error || 'Export failed', 'error');
+    return;
+  }
+
+  const blob = await res.blob();
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
-  a.download = 'simple-linkz-export.json';
+  a.download = `simple-linkz-export.${format}`;
   a.click();
   URL.revokeObjectURL(url);
   showToast('Export downloaded', 'success');
@@ -3470,8 +4178,10 @@ async function handleImport(e) {
       const data = JSON.parse(event.target.result);
       const result = await api.importData(data);
       if (result.success) {
+        await loadDashboards();
         await loadLinks();
         await loadTags();
+        await loadGroups();
         await loadPreferences();
         applyTheme();
         renderLinks();
@@ -3480,7 +4190,8 @@ async function handleImport(e) {
         const count = state.links.length;
         showToast(`${count} links imported`, 'success');
       } else {
-        showToast('Import failed: ' + (result.error || 'Unknown error'), 'error');
+        const reason = result.errors ? describeFieldErrors(result.errors) : result.error;
+        showToast('Import failed: ' + (reason || 'Unknown error'), 'error');
       }
     } catch (error) {
       showToast('Invalid import file', 'error');
@@ -3490,207 +4201,1299 @@ async function handleImport(e) {
   e.target.value = ''; // Reset file input
 }
 
-// Tag Management Modal
-function showTagModal() {
-  openModal(document.getElementById('tag-modal'));
-  renderTagList();
-  document.getElementById('new-tag-name').value = '';
-  document.getElementById('new-tag-color').value = '#3B82F6';
-  document.getElementById('tag-error').classList.add('hidden');
+// Browser bookmark import: the file is checked on the server first and the preview
+// lists what will be created; nothing is saved until Import is pressed
+const BOOKMARK_PREVIEW_LIMIT = 100;
+let pendingBookmarksHtml = null;
+
+async function handleBookmarksFile(e) {
+  const file = e.target.files[0];
+  e.target.value = ''; // Reset file input
+  if (!file) return;
+
+  const html = await file.text();
+  const result = await api.importBookmarks(html, true);
+  if (!result.success) {
+    hideBookmarksPreview();
+    showToast('Import failed: ' + (result.error || 'Unknown error'), 'error');
+    return;
+  }
+
+  pendingBookmarksHtml = html;
+  renderBookmarksPreview(result);
+}
+
+function renderBookmarksPreview(preview) {
+  const count = preview.links.length;
+  const parts = [`${count} ${count === 1 ? 'link' : 'links'} will be added to ${preview.dashboard.name}`];
+  if (preview.tags.length > 0) {
+    parts.push(`${preview.tags.length} new ${preview.tags.length === 1 ? 'tag' : 'tags'} from folders`);
+  }
+  if (preview.skipped.length > 0) {
+    parts.push(`${preview.skipped.length} skipped`);
+  }
+  document.getElementById('bookmarks-preview-summary').textContent = parts.join(', ');
+
+  document.getElementById('bookmarks-preview-tags').innerHTML = preview.tags.map(tag => `
+    <span class="px-2 py-0.5 rounded-full text-xs text-white" style="background-color: ${escapeHtml(tag.color)}">${escapeHtml(tag.name)}</span>
+  `).join('');
+
+  const rows = preview.links.slice(0, BOOKMARK_PREVIEW_LIMIT).map(link => `
+    <li class="flex justify-between gap-2">
+      <span class="truncate" title="${escapeHtml(link.url)}">${escapeHtml(link.name)}</span>
+      <span class="text-muted whitespace-nowrap">${escapeHtml(link.tags.join(', '))}${link.addedAt ? ` · ${new Date(link.addedAt).toLocaleDateString()}` : ''}</span>
+    </li>
+  `);
+  if (count > BOOKMARK_PREVIEW_LIMIT) {
+    rows.push(`<li class="text-muted">and ${count - BOOKMARK_PREVIEW_LIMIT} more</li>`);
+  }
+  rows.push(...preview.skipped.slice(0, BOOKMARK_PREVIEW_LIMIT).map(item => `
+    <li class="flex justify-between gap-2 text-muted" title="${escapeHtml(item.url)}">
+      <span class="truncate">${escapeHtml(item.name || item.url)}</span>
+      <span class="whitespace-nowrap">${escapeHtml(item.reason)}</span>
+    </li>
+  `));
+  document.getElementById('bookmarks-preview-list').innerHTML = rows.join('');
+
+  const importBtn = document.getElementById('bookmarks-import-btn');
+  importBtn.textContent = `Import ${count} ${count === 1 ? 'link' : 'links'}`;
+  importBtn.disabled = count === 0;
+  document.getElementById('bookmarks-preview').classList.remove('hidden');
+}
+
+function hideBookmarksPreview() {
+  pendingBookmarksHtml = null;
+  document.getElementById('bookmarks-preview').classList.add('hidden');
+}
+
+async function confirmBookmarksImport() {
+  if (!pendingBookmarksHtml) return;
+
+  const importBtn = document.getElementById('bookmarks-import-btn');
+  setButtonLoading(importBtn, true);
+  const result = await api.importBookmarks(pendingBookmarksHtml, false);
+  setButtonLoading(importBtn, false);
+  if (!result.success) {
+    showToast('Import failed: ' + (result.error || 'Unknown error'), 'error');
+    return;
+  }
+
+  hideBookmarksPreview();
+  await loadLinks();
+  await loadTags();
+  renderLinks();
+  updateTagFilter();
+  showToast(`${result.links.length} bookmarks imported`, 'success');
+}
+
+// Tag Management Modal
+function showTagModal() {
+  openModal(document.getElementById('tag-modal'));
+  renderTagList();
+  document.getElementById('new-tag-name').value = '';
+  document.getElementById('new-tag-color').value = '#3B82F6';
+  document.getElementById('tag-error').classList.add('hidden');
+}
+
+function hideTagModal() {
+  closeModal(document.getElementById('tag-modal'));
+  // Refresh the tag filter dropdown
+  updateTagFilter();
+}
+// Make hideTagModal global for onclick in HTML
+window.hideTagModal = hideTagModal;
+
+function renderTagList() {
+  const container = document.getElementById('tag-list');
+
+  if (state.tags.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No tags created yet.</p>';
+    return;
+  }
+
+  container.innerHTML = state.tags.map(tag => `
+    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg" data-tag-id="${tag.id}">
+      <span class="w-4 h-4 rounded-full flex-shrink-0" style="background-color: ${escapeHtml(tag.color)}"></span>
+      <span class="flex-1 text-sm font-medium">${escapeHtml(tag.name)}</span>
+      <label class="flex items-center gap-1 text-xs text-muted" title="Show links with this tag on your public page">
+        <input type="checkbox" ${tag.public ? 'checked' : ''} onchange="setTagPublic('${tag.id}', this.checked)"> Public
+      </label>
+      <button onclick="editTag('${tag.id}')" class="px-2 py-1 text-xs accent-bg rounded transition-colors">Edit</button>
+      <button onclick="deleteTag('${tag.id}')" class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Delete</button>
+    </div>
+  `).join('');
+}
+
+async function handleAddTag(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('new-tag-name').value.trim();
+  const color = document.getElementById('new-tag-color').value;
+  const errorEl = document.getElementById('tag-error');
+
+  if (!name) {
+    errorEl.textContent = 'Tag name is required';
+    errorEl.classList.remove('hidden');
+    return;
+  }
+
+  const result = await api.createTag(name, color);
+  if (result.tag) {
+    state.tags.push(result.tag);
+    state.tags.sort((a, b) => a.name.localeCompare(b.name));
+    renderTagList();
+    document.getElementById('new-tag-name').value = '';
+    document.getElementById('new-tag-color').value = '#3B82F6';
+    errorEl.classList.add('hidden');
+    updateTagFilter();
+    showToast('Tag created', 'success');
+  } else {
+    errorEl.textContent = result.error || 'Failed to create tag';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+// Edit Tag Modal functions
+const EDIT_TAG_FIELDS = { name: 'edit-tag-name', color: 'edit-tag-color' };
+
+function showEditTagModal(id) {
+  const tag = state.tags.find(t => t.id === id);
+  if (!tag) return;
+
+  document.getElementById('edit-tag-id').value = id;
+  document.getElementById('edit-tag-name').value = tag.name;
+  document.getElementById('edit-tag-color').value = tag.color;
+  document.getElementById('edit-tag-error').classList.add('hidden');
+  clearFieldErrors(EDIT_TAG_FIELDS);
+  openModal(document.getElementById('edit-tag-modal'));
+  document.getElementById('edit-tag-name').focus();
+}
+
+function hideEditTagModal() {
+  closeModal(document.getElementById('edit-tag-modal'));
+}
+window.hideEditTagModal = hideEditTagModal;
+
+async function handleEditTagSubmit(e) {
+  e.preventDefault();
+
+  const id = document.getElementById('edit-tag-id').value;
+  const newName = document.getElementById('edit-tag-name').value.trim();
+  const newColor = document.getElementById('edit-tag-color').value;
+  const errorEl = document.getElementById('edit-tag-error');
+
+  if (!newName) {
+    errorEl.textContent = 'Tag name is required';
+    errorEl.classList.remove('hidden');
+    return;
+  }
+
+  const result = await api.updateTag(id, { name: newName, color: newColor });
+  if (result.tag) {
+    const index = state.tags.findIndex(t => t.id === id);
+    if (index !== -1) {
+      state.tags[index] = result.tag;
+      state.tags.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    hideEditTagModal();
+    renderTagList();
+    updateTagFilter();
+  } else if (result.errors) {
+    const unmatched = showFieldErrors(result.errors, EDIT_TAG_FIELDS);
+    errorEl.textContent = unmatched.length > 0 ? unmatched[0].message : '';
+    errorEl.classList.toggle('hidden', unmatched.length === 0);
+  } else {
+    errorEl.textContent = result.error || 'Failed to update tag';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+window.editTag = function(id) {
+  showEditTagModal(id);
+};
+
+window.setTagPublic = async function(id, isPublic) {
+  const result = await api.updateTag(id, { public: isPublic });
+  if (result.tag) {
+    const index = state.tags.findIndex(t => t.id === id);
+    if (index !== -1) {
+      state.tags[index] = result.tag;
+    }
+    showToast(isPublic ? 'Tag is now public' : 'Tag is now private', 'success');
+  } else {
+    showToast(result.error || 'Failed to update tag', 'error');
+  }
+  renderTagList();
+};
+
+// Custom Confirm Dialog
+function showConfirmModal(title, message, { confirmText = 'Confirm', cancelText = 'Cancel' } = {}) {
+  return new Promise((resolve) => {
+    const modal = document.getElementById('confirm-modal');
+    document.getElementById('confirm-modal-title').textContent = title;
+    document.getElementById('confirm-modal-message').textContent = message;
+
+    const confirmBtn = document.getElementById('confirm-modal-confirm');
+    const cancelBtn = document.getElementById('confirm-modal-cancel');
+    confirmBtn.textContent = confirmText;
+    cancelBtn.textContent = cancelText;
+    openModal(modal);
+
+    const cleanup = () => {
+      closeModal(modal);
+      confirmBtn.removeEventListener('click', handleConfirm);
+      cancelBtn.removeEventListener('click', handleCancel);
+    };
+
+    const handleConfirm = () => {
+      cleanup();
+      resolve(true);
+    };
+
+    const handleCancel = () => {
+      cleanup();
+      resolve(false);
+    };
+
+    confirmBtn.addEventListener('click', handleConfirm);
+    cancelBtn.addEventListener('click', handleCancel);
+  });
+}
+
+window.deleteTag = async function(id) {
+  const confirmed = await showConfirmModal(
+    'Delete Tag',
+    'Are you sure you want to delete this tag? It will be removed from all links.'
+  );
+  if (!confirmed) return;
+
+  const result = await api.deleteTag(id);
+  if (result.success) {
+    state.tags = state.tags.filter(t => t.id !== id);
+    // Remove tag from all links in local state
+    state.links.forEach(link => {
+      if (link.tags) {
+        link.tags = link.tags.filter(t => t !== id);
+      }
+    });
+    // If currently filtering by this tag, clear filter
+    if (state.activeTagFilter === id) {
+      state.activeTagFilter = null;
+    }
+    renderTagList();
+    renderLinks();
+    updateTagFilter();
+  }
+};
+
+// Tag Filter
+function updateTagFilter() {
+  const select = document.getElementById('tag-filter');
+  const currentValue = select.value;
+
+  select.innerHTML = '<option value="">All Links</option>';
+  state.tags.forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag.id;
+    option.textContent = tag.name;
+    option.style.color = tag.color;
+    select.appendChild(option);
+  });
+
+  // Restore previous selection if still valid
+  if (currentValue && state.tags.some(t => t.id === currentValue)) {
+    select.value = currentValue;
+  } else {
+    select.value = '';
+    state.activeTagFilter = null;
+  }
+}
+
+function setTagFilter(tagId) {
+  state.activeTagFilter = tagId || null;
+  renderLinks();
+}
+
+// Account
+function updateAccountUI() {
+  const isAdmin = !!state.user && state.user.role === 'admin';
+  document.getElementById('users-section').classList.toggle('hidden', !isAdmin);
+  document.getElementById('backups-section').classList.toggle('hidden', !isAdmin);
+  document.getElementById('signed-in-as').textContent = state.user ? `Signed in as ${state.user.username}` : '';
+  renderSsoStatus();
+}
+
+// Single sign-on link in Settings, shown when the server has a provider configured
+function renderSsoStatus() {
+  const section = document.getElementById('sso-section');
+  section.classList.toggle('hidden', !state.oidc || !state.user);
+  if (!state.oidc || !state.user) return;
+
+  const body = document.getElementById('sso-body');
+  if (state.user.ssoLinked) {
+    body.innerHTML = `
+      <p class="text-xs text-muted mb-2">You can sign in with ${escapeHtml(state.oidc.name)}.</p>
+      <button onclick="unlinkOidc()" class="w-full px-4 py-2.5 btn-secondary rounded-lg text-sm font-medium transition-colors">Unlink ${escapeHtml(state.oidc.name)}</button>
+    `;
+    return;
+  }
+
+  body.innerHTML = `
+    <p class="text-xs text-muted mb-2">Link your ${escapeHtml(state.oidc.name)} account to sign in with it. Confirm with your current password.</p>
+    <form id="sso-link-form" class="flex gap-2">
+      <input type="password" id="sso-link-password" required autocomplete="current-password" placeholder="Current password" aria-label="Current password"
+        class="flex-1 min-w-0 px-3 py-2 border rounded-lg text-sm">
+      <button type="submit" class="px-4 py-2 btn-secondary rounded-lg text-sm font-medium transition-colors">Link</button>
+    </form>
+  `;
+  document.getElementById('sso-link-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const result = await api.linkOidc(document.getElementById('sso-link-password').value);
+    if (result.url) {
+      window.location.href = result.url;
+    } else {
+      showToast(result.error || 'Failed to link single sign-on', 'error');
+    }
+  });
+}
+
+window.unlinkOidc = async function() {
+  const result = await api.unlinkOidc();
+  if (result.success) {
+    state.user = result.user;
+    renderSsoStatus();
+    showToast('Single sign-on unlinked', 'success');
+  } else {
+    showToast(result.error || 'Failed to unlink single sign-on', 'error');
+  }
+};
+
+// Account Modal
+function showAccountModal() {
+  document.getElementById('change-username-form').reset();
+  document.getElementById('change-password-form').reset();
+  document.getElementById('account-username').value = state.user ? state.user.username : '';
+  setAccountError(null);
+  openModal(document.getElementById('account-modal'));
+}
+
+function hideAccountModal() {
+  document.getElementById('change-username-form').reset();
+  document.getElementById('change-password-form').reset();
+  closeModal(document.getElementById('account-modal'));
+}
+window.hideAccountModal = hideAccountModal;
+
+function setAccountError(message) {
+  const errorEl = document.getElementById('account-error');
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('hidden', !message);
+}
+
+async function handleChangeUsername(e) {
+  e.preventDefault();
+
+  const username = document.getElementById('account-username').value.trim();
+  const currentPassword = document.getElementById('account-username-password').value;
+
+  const result = await api.changeUsername(username, currentPassword);
+  if (result.success) {
+    state.user = result.user;
+    updateAccountUI();
+    document.getElementById('account-username-password').value = '';
+    setAccountError(null);
+    showToast('Username changed', 'success');
+  } else {
+    setAccountError(result.error || 'Failed to change username');
+  }
+}
+
+async function handleChangePassword(e) {
+  e.preventDefault();
+
+  const currentPassword = document.getElementById('account-current-password').value;
+  const newPassword = document.getElementById('account-new-password').value;
+  const confirmPassword = document.getElementById('account-confirm-password').value;
+
+  if (newPassword !== confirmPassword) {
+    setAccountError('New passwords do not match');
+    return;
+  }
+
+  const result = await api.changePassword(currentPassword, newPassword);
+  if (result.success) {
+    document.getElementById('change-password-form').reset();
+    setAccountError(null);
+    showToast('Password changed', 'success');
+  } else {
+    setAccountError(result.error || 'Failed to change password');
+  }
+}
+
+// Two-Factor Authentication Modal
+async function showTwoFactorModal() {
+  openModal(document.getElementById('two-factor-modal'));
+  await renderTwoFactorStatus();
+}
+
+function hideTwoFactorModal() {
+  // Don't leave secrets or recovery codes in the DOM
+  document.getElementById('two-factor-body').innerHTML = '';
+  closeModal(document.getElementById('two-factor-modal'));
+}
+window.hideTwoFactorModal = hideTwoFactorModal;
+
+function setTwoFactorError(message) {
+  const errorEl = document.getElementById('two-factor-error');
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('hidden', !message);
+}
+
+async function renderTwoFactorStatus() {
+  setTwoFactorError(null);
+  const body = document.getElementById('two-factor-body');
+  const status = await api.getTwoFactor();
+
+  if (!status.enabled) {
+    body.innerHTML = `
+      <p class="text-sm mb-4">Two-factor authentication is <strong>off</strong>. Turn it on to require a code from an authenticator app when you sign in.</p>
+      <button onclick="startTwoFactorSetup()" class="w-full px-4 py-2 accent-bg rounded-lg text-sm font-medium transition-colors">Set Up</button>
+    `;
+    return;
+  }
+
+  body.innerHTML = `
+    <p class="text-sm mb-1">Two-factor authentication is <strong>on</strong>.</p>
+    <p class="text-xs text-muted mb-4">${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.</p>
+    <label for="two-factor-password" class="block text-sm font-medium mb-2">Current Password</label>
+    <input type="password" id="two-factor-password" autocomplete="current-password"
+      class="w-full px-3 py-2 border rounded-lg text-sm mb-3">
+    <div class="flex gap-2">
+      <button onclick="regenerateRecoveryCodes()" class="flex-1 px-3 py-2 btn-secondary rounded-lg text-sm font-medium">New Recovery Codes</button>
+      <button onclick="disableTwoFactor()" class="flex-1 px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm font-medium">Turn Off</button>
+    </div>
+  `;
+}
+
+function renderRecoveryCodes(codes) {
+  document.getElementById('two-factor-body').innerHTML = `
+    <p class="text-sm mb-3">Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They won't be shown again.</p>
+    <pre id="recovery-codes" class="p-3 border rounded-lg text-sm font-mono grid grid-cols-2 gap-1">${codes.map(c => `<span>${escapeHtml(c)}</span>`).join('')}</pre>
+    <button onclick="copyRecoveryCodes()" class="w-full mt-3 px-4 py-2 btn-secondary rounded-lg text-sm font-medium">Copy Codes</button>
+  `;
+}
+
+window.startTwoFactorSetup = async function() {
+  setTwoFactorError(null);
+  const result = await api.setupTwoFactor();
+  if (!result.secret) {
+    setTwoFactorError(result.error || 'Failed to start setup');
+    return;
+  }
+
+  document.getElementById('two-factor-body').innerHTML = `
+    <p class="text-sm mb-3">Add this account to your authenticator app: open the link on your phone, or enter the key by hand.</p>
+    <a href="${escapeHtml(result.otpauthUri)}" class="block text-sm underline break-all mb-2">${escapeHtml(result.otpauthUri)}</a>
+    <p class="text-xs text-muted mb-1">Setup key</p>
+    <code class="block p-2 border rounded-lg text-sm font-mono break-all mb-4">${escapeHtml(result.secret.replace(/(.{4})/g, '$1 ').trim())}</code>
+    <form id="two-factor-enable-form" class="flex gap-2">
+      <input type="text" id="two-factor-code" required inputmode="numeric" autocomplete="one-time-code" maxlength="6" placeholder="6-digit code"
+        class="flex-1 min-w-0 px-3 py-2 border rounded-lg text-sm">
+      <button type="submit" class="px-4 py-2 accent-bg rounded-lg text-sm font-medium transition-colors">Turn On</button>
+    </form>
+  `;
+  document.getElementById('two-factor-enable-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const enableResult = await api.enableTwoFactor(document.getElementById('two-factor-code').value.trim());
+    if (enableResult.success) {
+      setTwoFactorError(null);
+      renderRecoveryCodes(enableResult.recoveryCodes);
+      showToast('Two-factor authentication is on', 'success');
+    } else {
+      setTwoFactorError(enableResult.error || 'Invalid authentication code');
+    }
+  });
+  document.getElementById('two-factor-code').focus();
+};
+
+window.disableTwoFactor = async function() {
+  const result = await api.disableTwoFactor(document.getElementById('two-factor-password').value);
+  if (result.success) {
+    showToast('Two-factor authentication is off', 'success');
+    await renderTwoFactorStatus();
+  } else {
+    setTwoFactorError(result.error || 'Failed to turn off two-factor authentication');
+  }
+};
+
+window.regenerateRecoveryCodes = async function() {
+  const result = await api.regenerateRecoveryCodes(document.getElementById('two-factor-password').value);
+  if (result.recoveryCodes) {
+    setTwoFactorError(null);
+    renderRecoveryCodes(result.recoveryCodes);
+  } else {
+    setTwoFactorError(result.error || 'Failed to create recovery codes');
+  }
+};
+
+window.copyRecoveryCodes = async function() {
+  const codes = [...document.querySelectorAll('#recovery-codes span')].map(el => el.textContent).join('\n');
+  try {
+    await navigator.clipboard.writeText(codes);
+    showToast('Recovery codes copied', 'success');
+  } catch (error) {
+    showToast('Select the codes to copy them', 'info');
+  }
+};
+
+// Session Modal
+async function showSessionModal() {
+  openModal(document.getElementById('session-modal'));
+  await loadSessions();
+}
+
+function hideSessionModal() {
+  closeModal(document.getElementById('session-modal'));
+}
+window.hideSessionModal = hideSessionModal;
+
+async function loadSessions() {
+  const result = await api.getSessions();
+  state.sessions = result.sessions || [];
+  renderSessionList();
+}
+
+// Short "Browser on OS" label from a User-Agent string
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return userAgent;
+  return [browser ? browser[1] : 'Unknown browser', system ? system[1] : null].filter(Boolean).join(' on ');
+}
+
+function renderSessionList() {
+  const container = document.getElementById('session-list');
+
+  if (state.sessions.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No active sessions.</p>';
+    return;
+  }
+
+  container.innerHTML = state.sessions.map(session => `
+    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg" data-session-id="${session.id}">
+      <div class="flex-1 min-w-0">
+        <div class="text-sm font-medium truncate" title="${escapeHtml(session.userAgent || '')}">${escapeHtml(describeUserAgent(session.userAgent))}
+          ${session.current ? '<span class="text-xs accent-text">This device</span>' : ''}
+        </div>
+        <div class="text-xs text-muted truncate">
+          ${escapeHtml(session.ip || 'unknown IP')} · last active ${new Date(session.lastSeenAt).toLocaleString()}
+        </div>
+      </div>
+      <button onclick="revokeSession('${session.id}')" class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Sign out</button>
+    </div>
+  `).join('');
+}
+
+window.revokeSession = async function(id) {
+  const session = state.sessions.find(s => s.id === id);
+  if (!session) return;
+
+  if (session.current) {
+    const confirmed = await showConfirmModal(
+      'Sign Out',
+      'This is the device you are using now. Sign out of it?',
+      { confirmText: 'Sign Out' }
+    );
+    if (!confirmed) return;
+  }
+
+  const result = await api.deleteSession(id);
+  if (result.success) {
+    if (result.current) {
+      hideSessionModal();
+      closeModal(document.getElementById('settings-modal'));
+      state.csrfToken = null;
+      showLoginScreen();
+      return;
+    }
+    state.sessions = state.sessions.filter(s => s.id !== id);
+    renderSessionList();
+    showToast('Session signed out', 'success');
+  } else {
+    showToast(result.error || 'Failed to sign out session', 'error');
+  }
+};
+
+// Audit Log Modal
+async function showAuditModal() {
+  openModal(document.getElementById('audit-modal'));
+  document.getElementById('audit-type-filter').value = '';
+  await loadAuditLog();
+}
+
+function hideAuditModal() {
+  closeModal(document.getElementById('audit-modal'));
+}
+window.hideAuditModal = hideAuditModal;
+
+// Load the newest entries, or with `more` the page before the last one shown
+async function loadAuditLog(more = false) {
+  const type = document.getElementById('audit-type-filter').value;
+  const last = state.auditEvents[state.auditEvents.length - 1];
+  const result = await api.getAuditLog(type, more && last ? last : null);
+  if (!result.events) {
+    showToast(result.error || 'Failed to load audit log', 'error');
+    return;
+  }
+
+  state.auditEvents = more ? [...state.auditEvents, ...result.events] : result.events;
+  document.getElementById('audit-more-btn').classList.toggle('hidden', !result.hasMore);
+  renderAuditList();
+}
+
+const AUDIT_EVENT_LABELS = {
+  'login.success': 'Signed in',
+  'login.failure': 'Failed sign-in',
+  'login.blocked': 'IP blocked',
+  'logout': 'Signed out',
+  'credentials.reset': 'Reset credentials',
+  'sso.link': 'Linked single sign-on',
+  'sso.unlink': 'Unlinked single sign-on',
+  'data.import': 'Imported data',
+  'backup.restore': 'Restored backup',
+  'link.delete': 'Deleted link',
+  'tag.delete': 'Deleted tag',
+  'group.delete': 'Deleted group',
+  'dashboard.delete': 'Deleted dashboard',
+  'icon.delete': 'Deleted icon',
+  'token.delete': 'Revoked API token',
+  'session.delete': 'Signed out a session'
+};
+
+// One-line summary of an entry's details
+function describeAuditDetails(entry) {
+  const d = entry.details || {};
+  if (entry.event === 'login.failure') {
+    return [d.username, d.method, d.reason && d.reason.replace(/_/g, ' ')].filter(Boolean).join(' · ');
+  }
+  if (entry.event === 'login.success') return d.method || '';
+  if (entry.event === 'login.blocked') return `for ${Math.round(d.retryAfter / 60000)} min`;
+  if (entry.event === 'data.import' && d.format === 'bookmarks') return `${d.links} bookmarks, ${d.tags} new tags, ${d.skipped} skipped`;
+  if (entry.event === 'data.import') return `${d.links} links, ${d.tags} tags, ${d.groups} groups, ${d.dashboards} dashboards`;
+  if (entry.event === 'backup.restore') return d.backupId || '';
+  if (entry.event === 'sso.unlink' && d.username) return `for ${d.username}`;
+  return d.name || '';
+}
+
+function renderAuditList() {
+  const container = document.getElementById('audit-list');
+
+  if (state.auditEvents.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No matching events.</p>';
+    return;
+  }
+
+  container.innerHTML = state.auditEvents.map(entry => `
+    <div class="flex items-baseline gap-3 p-2 surface-hover-bg rounded-lg text-sm">
+      <span class="text-xs text-muted whitespace-nowrap">${new Date(entry.time).toLocaleString()}</span>
+      <div class="flex-1 min-w-0 truncate">
+        <span class="font-medium">${escapeHtml(AUDIT_EVENT_LABELS[entry.event] || entry.event)}</span>
+        <span class="text-muted">${escapeHtml(describeAuditDetails(entry))}</span>
+      </div>
+      <span class="text-xs text-muted whitespace-nowrap">${escapeHtml(entry.username || '')} ${escapeHtml(entry.ip || '')}</span>
+    </div>
+  `).join('');
+}
+
+// Backup Modal
+const BACKUP_REASON_LABELS = {
+  daily: 'Daily',
+  import: 'Before import',
+  restore: 'Before restore',
+  migration: 'Before upgrade'
+};
+
+async function showBackupModal() {
+  openModal(document.getElementById('backup-modal'));
+  await loadBackups();
+}
+
+function hideBackupModal() {
+  closeModal(document.getElementById('backup-modal'));
+}
+window.hideBackupModal = hideBackupModal;
+
+async function loadBackups() {
+  const result = await api.getBackups();
+  if (!result.backups) {
+    showToast(result.error || 'Failed to load backups', 'error');
+    return;
+  }
+  state.backups = result.backups;
+  document.getElementById('backup-description').textContent =
+    `Snapshots are taken daily and before every import or restore. The newest ${result.retention} of each kind are kept.`;
+  renderBackupList();
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function renderBackupList() {
+  const container = document.getElementById('backup-list');
+
+  if (state.backups.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No backups yet.</p>';
+    return;
+  }
+
+  container.innerHTML = state.backups.map(backup => `
+    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg">
+      <div class="flex-1 min-w-0">
+        <div class="text-sm font-medium">${new Date(backup.createdAt).toLocaleString()}</div>
+        <div class="text-xs text-muted">${escapeHtml(BACKUP_REASON_LABELS[backup.reason] || backup.reason)} · ${formatFileSize(backup.size)}</div>
+      </div>
+      <button onclick="restoreBackup('${backup.id}')" class="px-2 py-1 text-xs btn-secondary rounded transition-colors">Restore</button>
+    </div>
+  `).join('');
+}
+
+window.restoreBackup = async function(id) {
+  const backup = state.backups.find(b => b.id === id);
+  if (!backup) return;
+
+  const confirmed = await showConfirmModal(
+    'Restore Backup',
+    `Replace the dashboards, links and settings of every account with the backup from ${new Date(backup.createdAt).toLocaleString()}? Accounts, passwords and API tokens are not changed. The current data is backed up first.`,
+    { confirmText: 'Restore' }
+  );
+  if (!confirmed) return;
+
+  const result = await api.restoreBackup(id);
+  if (result.success) {
+    // Every workspace may have changed; start over from the restored data
+    window.location.reload();
+  } else {
+    showToast(result.error || 'Failed to restore backup', 'error');
+  }
+};
+
+// API Token Modal
+async function showTokenModal() {
+  openModal(document.getElementById('token-modal'));
+  document.getElementById('add-token-form').reset();
+  document.getElementById('token-error').classList.add('hidden');
+  document.getElementById('new-token').classList.add('hidden');
+  document.getElementById('new-token-secret').value = '';
+  await loadApiTokens();
+}
+
+function hideTokenModal() {
+  // Don't keep the plain token around once the modal is closed
+  document.getElementById('new-token-secret').value = '';
+  closeModal(document.getElementById('token-modal'));
+}
+window.hideTokenModal = hideTokenModal;
+
+async function loadApiTokens() {
+  const result = await api.getApiTokens();
+  state.apiTokens = result.tokens || [];
+  renderTokenList();
+}
+
+function formatTokenDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : 'never';
+}
+
+function renderTokenList() {
+  const container = document.getElementById('token-list');
+
+  if (state.apiTokens.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No API tokens yet.</p>';
+    return;
+  }
+
+  container.innerHTML = state.apiTokens.map(token => `
+    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg" data-token-id="${token.id}">
+      <div class="flex-1 min-w-0">
+        <div class="text-sm font-medium truncate">${escapeHtml(token.name)}
+          <span class="text-xs text-muted">${token.scope === 'read-write' ? 'Read-write' : 'Read-only'}</span>
+        </div>
+        <div class="text-xs text-muted truncate">
+          <code>${escapeHtml(token.prefix)}…</code> · created ${formatTokenDate(token.createdAt)} · last used ${formatTokenDate(token.lastUsedAt)}
+        </div>
+      </div>
+      <button onclick="revokeApiToken('${token.id}')" class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Revoke</button>
+    </div>
+  `).join('');
+}
+
+async function handleAddToken(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('new-token-name').value.trim();
+  const scope = document.getElementById('new-token-scope').value;
+  const errorEl = document.getElementById('token-error');
+
+  const result = await api.createApiToken(name, scope);
+  if (result.token) {
+    state.apiTokens.push(result.token);
+    renderTokenList();
+    document.getElementById('add-token-form').reset();
+    document.getElementById('new-token-secret').value = result.secret;
+    document.getElementById('new-token').classList.remove('hidden');
+    errorEl.classList.add('hidden');
+  } else {
+    errorEl.textContent = result.error || 'Failed to create token';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+async function copyNewToken() {
+  const input = document.getElementById('new-token-secret');
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showToast('Token copied', 'success');
+  } catch (error) {
+    input.select();
+    showToast('Press Ctrl+C to copy the token', 'info');
+  }
+}
+
+window.revokeApiToken = async function(id) {
+  const token = state.apiTokens.find(t => t.id === id);
+  if (!token) return;
+
+  const confirmed = await showConfirmModal(
+    'Revoke API Token',
+    `Scripts using "${token.name}" will stop working. Revoke it?`,
+    { confirmText: 'Revoke' }
+  );
+  if (!confirmed) return;
+
+  const result = await api.deleteApiToken(id);
+  if (result.success) {
+    state.apiTokens = state.apiTokens.filter(t => t.id !== id);
+    renderTokenList();
+    showToast('Token revoked', 'success');
+  } else {
+    showToast(result.error || 'Failed to revoke token', 'error');
+  }
+};
+
+// User Management Modal (admins only)
+async function showUserModal() {
+  openModal(document.getElementById('user-modal'));
+  document.getElementById('add-user-form').reset();
+  document.getElementById('user-error').classList.add('hidden');
+  await loadUsers();
+}
+
+function hideUserModal() {
+  closeModal(document.getElementById('user-modal'));
+}
+window.hideUserModal = hideUserModal;
+
+async function loadUsers() {
+  const result = await api.getUsers();
+  state.users = result.users || [];
+  renderUserList();
+}
+
+function renderUserList() {
+  const container = document.getElementById('user-list');
+
+  container.innerHTML = state.users.map(user => {
+    const isSelf = state.user && user.id === state.user.id;
+    return `
+      <div class="p-2 surface-hover-bg rounded-lg space-y-2 ${user.disabled ? 'opacity-60' : ''}" data-user-id="${user.id}">
+        <div class="flex items-center gap-2">
+          <span class="flex-1 min-w-0 truncate text-sm font-medium">${escapeHtml(user.username)}${isSelf ? ' <span class="text-xs text-muted">(you)</span>' : ''}</span>
+          <select aria-label="Role" onchange="updateUserField('${user.id}', 'role', this.value)" ${isSelf ? 'disabled' : ''}
+            class="px-2 py-1 border rounded text-xs">
+            <option value="user" ${user.role === 'user' ? 'selected' : ''}>User</option>
+            <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+          </select>
+          <button onclick="updateUserField('${user.id}', 'disabled', ${!user.disabled})" ${isSelf ? 'disabled' : ''}
+            class="px-2 py-1 text-xs btn-secondary rounded disabled:opacity-30">${user.disabled ? 'Enable' : 'Disable'}</button>
+          ${user.twoFactorEnabled ? `<button onclick="updateUserField('${user.id}', 'twoFactorEnabled', false)" title="Turn off two-factor authentication"
+            class="px-2 py-1 text-xs btn-secondary rounded">Turn Off 2FA</button>` : ''}
+          ${user.ssoLinked ? `<button onclick="updateUserField('${user.id}', 'ssoLinked', false)" title="Remove the single sign-on link"
+            class="px-2 py-1 text-xs btn-secondary rounded">Unlink SSO</button>` : ''}
+        </div>
+        <div class="flex items-center gap-2">
+          <input type="password" minlength="8" placeholder="New password" autocomplete="new-password" aria-label="New password"
+            class="flex-1 min-w-0 px-2 py-1 border rounded text-xs" data-password-input>
+          <button onclick="resetUserPassword('${user.id}')" class="px-2 py-1 text-xs btn-secondary rounded">Reset Password</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function applyUserResult(result) {
+  const errorEl = document.getElementById('user-error');
+  if (result.user) {
+    const index = state.users.findIndex(u => u.id === result.user.id);
+    if (index !== -1) {
+      state.users[index] = result.user;
+    } else {
+      state.users.push(result.user);
+    }
+    errorEl.classList.add('hidden');
+  } else {
+    errorEl.textContent = result.error || 'Failed to save user';
+    errorEl.classList.remove('hidden');
+  }
+  renderUserList();
+  return !!result.user;
 }
 
-function hideTagModal() {
-  closeModal(document.getElementById('tag-modal'));
-  // Refresh the tag filter dropdown
-  updateTagFilter();
+async function handleAddUser(e) {
+  e.preventDefault();
+
+  const username = document.getElementById('new-user-name').value.trim();
+  const password = document.getElementById('new-user-password').value;
+  const role = document.getElementById('new-user-role').value;
+
+  const result = await api.createUser(username, password, role);
+  if (applyUserResult(result)) {
+    document.getElementById('add-user-form').reset();
+    showToast('User created', 'success');
+  }
 }
-// Make hideTagModal global for onclick in HTML
-window.hideTagModal = hideTagModal;
 
-function renderTagList() {
-  const container = document.getElementById('tag-list');
+window.updateUserField = async function(id, field, value) {
+  const result = await api.updateUser(id, { [field]: value });
+  if (applyUserResult(result) && field === 'disabled') {
+    showToast(value ? 'User disabled' : 'User enabled', 'success');
+  } else if (result.user && field === 'twoFactorEnabled') {
+    showToast('Two-factor authentication turned off', 'success');
+  } else if (result.user && field === 'ssoLinked') {
+    showToast('Single sign-on unlinked', 'success');
+  }
+};
 
-  if (state.tags.length === 0) {
-    container.innerHTML = '<p class="text-muted text-sm italic">No tags created yet.</p>';
-    return;
+window.resetUserPassword = async function(id) {
+  const input = document.querySelector(`[data-user-id="${id}"] [data-password-input]`);
+  const result = await api.updateUser(id, { password: input.value });
+  if (applyUserResult(result)) {
+    showToast('Password reset', 'success');
   }
+};
 
-  container.innerHTML = state.tags.map(tag => `
-    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg" data-tag-id="${tag.id}">
-      <span class="w-4 h-4 rounded-full flex-shrink-0" style="background-color: ${escapeHtml(tag.color)}"></span>
-      <span class="flex-1 text-sm font-medium">${escapeHtml(tag.name)}</span>
-      <button onclick="editTag('${tag.id}')" class="px-2 py-1 text-xs accent-bg rounded transition-colors">Edit</button>
-      <button onclick="deleteTag('${tag.id}')" class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Delete</button>
-    </div>
-  `).join('');
+// Dashboards
+function getActiveDashboard() {
+  return state.dashboards.find(d => d.id === state.dashboardId) || null;
 }
 
-async function handleAddTag(e) {
-  e.preventDefault();
-
-  const name = document.getElementById('new-tag-name').value.trim();
-  const color = document.getElementById('new-tag-color').value;
-  const errorEl = document.getElementById('tag-error');
+function getDashboardUrl(dashboard) {
+  return `${BASE_PATH}/d/${dashboard.slug}`;
+}
 
-  if (!name) {
-    errorEl.textContent = 'Tag name is required';
-    errorEl.classList.remove('hidden');
-    return;
+// Pick the dashboard named by a /d/:slug URL, falling back to the first dashboard
+function selectDashboardFromUrl() {
+  let path = window.location.pathname;
+  if (BASE_PATH && path.startsWith(BASE_PATH)) {
+    path = path.substring(BASE_PATH.length);
   }
+  const match = path.match(/^\/d\/([a-z0-9-]+)\/?$/);
+  const dashboard = match ? state.dashboards.find(d => d.slug === match[1]) : null;
 
-  const result = await api.createTag(name, color);
-  if (result.tag) {
-    state.tags.push(result.tag);
-    state.tags.sort((a, b) => a.name.localeCompare(b.name));
-    renderTagList();
-    document.getElementById('new-tag-name').value = '';
-    document.getElementById('new-tag-color').value = '#3B82F6';
-    errorEl.classList.add('hidden');
-    updateTagFilter();
-    showToast('Tag created', 'success');
-  } else {
-    errorEl.textContent = result.error || 'Failed to create tag';
-    errorEl.classList.remove('hidden');
+  if (match && !dashboard) {
+    showToast('Dashboard not found', 'error');
   }
+  state.dashboardId = (dashboard || state.dashboards[0] || {}).id || null;
 }
 
-// Edit Tag Modal functions
-function showEditTagModal(id) {
-  const tag = state.tags.find(t => t.id === id);
-  if (!tag) return;
+async function switchDashboard(id, { updateUrl = true } = {}) {
+  const dashboard = state.dashboards.find(d => d.id === id);
+  if (!dashboard) return;
 
-  document.getElementById('edit-tag-id').value = id;
-  document.getElementById('edit-tag-name').value = tag.name;
-  document.getElementById('edit-tag-color').value = tag.color;
-  document.getElementById('edit-tag-error').classList.add('hidden');
-  openModal(document.getElementById('edit-tag-modal'));
-  document.getElementById('edit-tag-name').focus();
+  state.dashboardId = dashboard.id;
+  if (updateUrl) {
+    history.pushState({ dashboardId: dashboard.id }, '', getDashboardUrl(dashboard));
+  }
+
+  applyTheme();
+  renderDashboardSwitcher();
+  await loadLinks();
+  await loadGroups();
+  renderLinks();
 }
 
-function hideEditTagModal() {
-  closeModal(document.getElementById('edit-tag-modal'));
+function renderDashboardSwitcher() {
+  const select = document.getElementById('dashboard-switcher');
+  select.innerHTML = state.dashboards
+    .map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`)
+    .join('');
+  select.value = state.dashboardId || '';
 }
-window.hideEditTagModal = hideEditTagModal;
 
-async function handleEditTagSubmit(e) {
-  e.preventDefault();
+// Dashboard Management Modal
+function showDashboardModal() {
+  openModal(document.getElementById('dashboard-modal'));
+  renderDashboardList();
+  document.getElementById('new-dashboard-name').value = '';
+  document.getElementById('dashboard-error').classList.add('hidden');
+}
 
-  const id = document.getElementById('edit-tag-id').value;
-  const newName = document.getElementById('edit-tag-name').value.trim();
-  const newColor = document.getElementById('edit-tag-color').value;
-  const errorEl = document.getElementById('edit-tag-error');
+function hideDashboardModal() {
+  closeModal(document.getElementById('dashboard-modal'));
+}
+window.hideDashboardModal = hideDashboardModal;
+
+function renderDashboardList() {
+  const container = document.getElementById('dashboard-list');
+  const presetOptions = Object.entries(THEME_PRESETS)
+    .map(([id, preset]) => `<option value="${id}">${preset.name}</option>`)
+    .join('');
+
+  container.innerHTML = state.dashboards.map((dashboard, index) => `
+    <div class="p-2 surface-hover-bg rounded-lg space-y-2" data-dashboard-id="${dashboard.id}">
+      <div class="flex items-center gap-2">
+        <input type="text" value="${escapeHtml(dashboard.name)}" maxlength="50" required aria-label="Dashboard name"
+          onchange="updateDashboardField('${dashboard.id}', 'name', this.value.trim())"
+          class="flex-1 min-w-0 px-2 py-1 border rounded text-sm">
+        <button onclick="moveDashboard('${dashboard.id}', -1)" ${index === 0 ? 'disabled' : ''} class="px-2 py-1 text-xs btn-secondary rounded disabled:opacity-30" aria-label="Move up">↑</button>
+        <button onclick="moveDashboard('${dashboard.id}', 1)" ${index === state.dashboards.length - 1 ? 'disabled' : ''} class="px-2 py-1 text-xs btn-secondary rounded disabled:opacity-30" aria-label="Move down">↓</button>
+        <button onclick="deleteDashboard('${dashboard.id}')" ${state.dashboards.length === 1 ? 'disabled' : ''} class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors disabled:opacity-30">Delete</button>
+      </div>
+      <div class="flex items-center gap-2">
+        <span class="text-xs text-muted">/d/</span>
+        <input type="text" value="${escapeHtml(dashboard.slug)}" maxlength="50" aria-label="Dashboard URL slug"
+          onchange="updateDashboardField('${dashboard.id}', 'slug', this.value.trim().toLowerCase())"
+          class="flex-1 min-w-0 px-2 py-1 border rounded text-xs">
+        <select aria-label="Dashboard theme" onchange="updateDashboardTheme('${dashboard.id}', this.value)"
+          class="px-2 py-1 border rounded text-xs" data-theme-select>
+          <option value="">Global theme</option>
+          ${presetOptions}
+        </select>
+      </div>
+    </div>
+  `).join('');
 
-  if (!newName) {
-    errorEl.textContent = 'Tag name is required';
-    errorEl.classList.remove('hidden');
-    return;
-  }
+  container.querySelectorAll('[data-dashboard-id]').forEach(row => {
+    const dashboard = state.dashboards.find(d => d.id === row.dataset.dashboardId);
+    row.querySelector('[data-theme-select]').value = (dashboard.theme && dashboard.theme.themePreset) || '';
+  });
+}
 
-  const result = await api.updateTag(id, newName, newColor);
-  if (result.tag) {
-    const index = state.tags.findIndex(t => t.id === id);
+function applyDashboardResult(result) {
+  const errorEl = document.getElementById('dashboard-error');
+  if (result.dashboard) {
+    const index = state.dashboards.findIndex(d => d.id === result.dashboard.id);
     if (index !== -1) {
-      state.tags[index] = result.tag;
-      state.tags.sort((a, b) => a.name.localeCompare(b.name));
+      state.dashboards[index] = result.dashboard;
+    } else {
+      state.dashboards.push(result.dashboard);
     }
-    hideEditTagModal();
-    renderTagList();
-    updateTagFilter();
+    errorEl.classList.add('hidden');
   } else {
-    errorEl.textContent = result.error || 'Failed to update tag';
+    errorEl.textContent = result.error || 'Failed to save dashboard';
     errorEl.classList.remove('hidden');
   }
+  renderDashboardList();
+  renderDashboardSwitcher();
+  return !!result.dashboard;
 }
 
-window.editTag = function(id) {
-  showEditTagModal(id);
-};
+async function handleAddDashboard(e) {
+  e.preventDefault();
 
-// Custom Confirm Dialog
-function showConfirmModal(title, message) {
-  return new Promise((resolve) => {
-    const modal = document.getElementById('confirm-modal');
-    document.getElementById('confirm-modal-title').textContent = title;
-    document.getElementById('confirm-modal-message').textContent = message;
-    openModal(modal);
+  const name = document.getElementById('new-dashboard-name').value.trim();
+  if (!name) return;
 
-    const confirmBtn = document.getElementById('confirm-modal-confirm');
-    const cancelBtn = document.getElementById('confirm-modal-cancel');
+  const result = await api.createDashboard(name);
+  if (applyDashboardResult(result)) {
+    document.getElementById('new-dashboard-name').value = '';
+    showToast('Dashboard created', 'success');
+  }
+}
 
-    const cleanup = () => {
-      closeModal(modal);
-      confirmBtn.removeEventListener('click', handleConfirm);
-      cancelBtn.removeEventListener('click', handleCancel);
-    };
+window.updateDashboardField = async function(id, field, value) {
+  const result = await api.updateDashboard(id, { [field]: value });
+  if (applyDashboardResult(result) && field === 'slug' && id === state.dashboardId) {
+    history.replaceState({ dashboardId: id }, '', getDashboardUrl(result.dashboard));
+  }
+};
 
-    const handleConfirm = () => {
-      cleanup();
-      resolve(true);
-    };
+window.updateDashboardTheme = async function(id, themePreset) {
+  const dashboard = state.dashboards.find(d => d.id === id);
+  const theme = { ...(dashboard.theme || {}), themePreset: themePreset || undefined };
+  const result = await api.updateDashboard(id, { theme });
+  if (applyDashboardResult(result) && id === state.dashboardId) {
+    applyTheme();
+  }
+};
 
-    const handleCancel = () => {
-      cleanup();
-      resolve(false);
-    };
+window.moveDashboard = async function(id, direction) {
+  const index = state.dashboards.findIndex(d => d.id === id);
+  // Moving up goes in front of the previous dashboard, moving down in front of the one after next
+  const before = direction < 0 ? state.dashboards[index - 1] : state.dashboards[index + 2];
 
-    confirmBtn.addEventListener('click', handleConfirm);
-    cancelBtn.addEventListener('click', handleCancel);
-  });
-}
+  const result = await api.reorderDashboards([id], before ? before.id : null);
+  if (result.dashboards) {
+    state.dashboards = result.dashboards;
+    renderDashboardList();
+    renderDashboardSwitcher();
+  }
+};
 
-window.deleteTag = async function(id) {
+window.deleteDashboard = async function(id) {
+  const dashboard = state.dashboards.find(d => d.id === id);
   const confirmed = await showConfirmModal(
-    'Delete Tag',
-    'Are you sure you want to delete this tag? It will be removed from all links.'
+    'Delete Dashboard',
+    `Delete "${dashboard.name}" and all of its links and groups? This cannot be undone.`
   );
   if (!confirmed) return;
 
-  const result = await api.deleteTag(id);
+  const result = await api.deleteDashboard(id);
   if (result.success) {
-    state.tags = state.tags.filter(t => t.id !== id);
-    // Remove tag from all links in local state
-    state.links.forEach(link => {
-      if (link.tags) {
-        link.tags = link.tags.filter(t => t !== id);
-      }
+    state.dashboards = state.dashboards.filter(d => d.id !== id);
+    state.dashboards.forEach((d, index) => {
+      d.order = index;
     });
-    // If currently filtering by this tag, clear filter
-    if (state.activeTagFilter === id) {
-      state.activeTagFilter = null;
+    if (state.dashboardId === id) {
+      await switchDashboard(state.dashboards[0].id);
     }
-    renderTagList();
-    renderLinks();
-    updateTagFilter();
+    renderDashboardList();
+    renderDashboardSwitcher();
+    showToast('Dashboard deleted', 'success');
   }
 };
 
-// Tag Filter
-function updateTagFilter() {
-  const select = document.getElementById('tag-filter');
-  const currentValue = select.value;
-
-  select.innerHTML = '<option value="">All Links</option>';
-  state.tags.forEach(tag => {
+// Group Selection in Link Modal
+function renderLinkGroupOptions(selectedGroupId) {
+  const select = document.getElementById('link-group');
+  select.innerHTML = '<option value="">No group</option>';
+  [...state.groups].sort((a, b) => a.order - b.order).forEach(group => {
     const option = document.createElement('option');
-    option.value = tag.id;
-    option.textContent = tag.name;
-    option.style.color = tag.color;
+    option.value = group.id;
+    option.textContent = group.icon ? `${group.icon} ${group.name}` : group.name;
     select.appendChild(option);
   });
+  select.value = selectedGroupId || '';
+}
 
-  // Restore previous selection if still valid
-  if (currentValue && state.tags.some(t => t.id === currentValue)) {
-    select.value = currentValue;
-  } else {
-    select.value = '';
-    state.activeTagFilter = null;
-  }
+// Group Management Modal
+function showGroupModal() {
+  openModal(document.getElementById('group-modal'));
+  renderGroupList();
+  document.getElementById('new-group-name').value = '';
+  document.getElementById('new-group-icon').value = '';
+  document.getElementById('group-error').classList.add('hidden');
 }
 
-function setTagFilter(tagId) {
-  state.activeTagFilter = tagId || null;
+function hideGroupModal() {
+  closeModal(document.getElementById('group-modal'));
   renderLinks();
 }
+window.hideGroupModal = hideGroupModal;
+
+function renderGroupList() {
+  const container = document.getElementById('group-list');
+
+  if (state.groups.length === 0) {
+    container.innerHTML = '<p class="text-muted text-sm italic">No groups created yet.</p>';
+    return;
+  }
+
+  const sorted = [...state.groups].sort((a, b) => a.order - b.order);
+  container.innerHTML = sorted.map((group, index) => `
+    <div class="flex items-center gap-2 p-2 surface-hover-bg rounded-lg" data-group-id="${group.id}">
+      <input type="text" value="${escapeHtml(group.icon || '')}" maxlength="2" placeholder="📁" aria-label="Group icon"
+        onchange="updateGroupField('${group.id}', 'icon', this.value)"
+        class="w-10 px-1 py-1 border rounded text-sm text-center">
+      <input type="text" value="${escapeHtml(group.name)}" maxlength="50" required aria-label="Group name"
+        onchange="updateGroupField('${group.id}', 'name', this.value)"
+        class="flex-1 min-w-0 px-2 py-1 border rounded text-sm">
+      <button onclick="moveGroup('${group.id}', -1)" ${index === 0 ? 'disabled' : ''} class="px-2 py-1 text-xs btn-secondary rounded disabled:opacity-30" aria-label="Move up">↑</button>
+      <button onclick="moveGroup('${group.id}', 1)" ${index === sorted.length - 1 ? 'disabled' : ''} class="px-2 py-1 text-xs btn-secondary rounded disabled:opacity-30" aria-label="Move down">↓</button>
+      <button onclick="deleteGroup('${group.id}')" class="px-2 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors">Delete</button>
+    </div>
+  `).join('');
+}
+
+async function handleAddGroup(e) {
+  e.preventDefault();
+
+  const name = document.getElementById('new-group-name').value.trim();
+  const icon = document.getElementById('new-group-icon').value.trim() || null;
+  const errorEl = document.getElementById('group-error');
+
+  if (!name) {
+    errorEl.textContent = 'Group name is required';
+    errorEl.classList.remove('hidden');
+    return;
+  }
+
+  const result = await api.createGroup(name, icon);
+  if (result.group) {
+    state.groups.push(result.group);
+    renderGroupList();
+    document.getElementById('new-group-name').value = '';
+    document.getElementById('new-group-icon').value = '';
+    errorEl.classList.add('hidden');
+    showToast('Group created', 'success');
+  } else {
+    errorEl.textContent = result.error || 'Failed to create group';
+    errorEl.classList.remove('hidden');
+  }
+}
+
+window.updateGroupField = async function(id, field, value) {
+  const errorEl = document.getElementById('group-error');
+  const trimmed = value.trim();
+  const result = await api.updateGroup(id, { [field]: field === 'icon' ? trimmed || null : trimmed });
+  if (result.group) {
+    const index = state.groups.findIndex(g => g.id === id);
+    if (index !== -1) {
+      state.groups[index] = result.group;
+    }
+    errorEl.classList.add('hidden');
+  } else {
+    errorEl.textContent = result.error || 'Failed to update group';
+    errorEl.classList.remove('hidden');
+    renderGroupList();
+  }
+};
+
+window.moveGroup = async function(id, direction) {
+  const sorted = [...state.groups].sort((a, b) => a.order - b.order);
+  const index = sorted.findIndex(g => g.id === id);
+  // Moving up goes in front of the previous group, moving down in front of the one after next
+  const before = direction < 0 ? sorted[index - 1] : sorted[index + 2];
+
+  const result = await api.reorderGroups([id], before ? before.id : null);
+  if (result.groups) {
+    state.groups = result.groups;
+    renderGroupList();
+  }
+};
+
+window.deleteGroup = async function(id) {
+  const confirmed = await showConfirmModal(
+    'Delete Group',
+    'Are you sure you want to delete this group? Its links will be kept without a group.'
+  );
+  if (!confirmed) return;
+
+  const result = await api.deleteGroup(id);
+  if (result.success) {
+    state.groups = state.groups.filter(g => g.id !== id);
+    await loadLinks();
+    renderGroupList();
+    renderLinks();
+  }
+};
 
 // Tag Selection in Link Modal
 function renderLinkTagsCheckboxes(selectedTags = []) {
@@ -3960,6 +5763,9 @@ async function deleteCustomIcon(iconId) {
   if (result.success) {
     iconPickerState.customIcons = iconPickerState.customIcons.filter(i => i.id !== iconId);
     renderCustomIconsGrid();
+    // Links using the icon were reverted to favicon on the server
+    await loadLinks();
+    renderLinks();
   } else {
     alert(result.error || 'Failed to delete icon');
   }
@@ -4037,8 +5843,10 @@ function setupIconPickerEventListeners() {
 // Drag and Drop
 let draggedElement = null;
 
-function setupDragAndDrop() {
-  const linkElements = document.querySelectorAll('[data-link-id]');
+function setupDragAndDrop(root = document) {
+  if (state.readOnly) return;
+
+  const linkElements = root.querySelectorAll('[data-link-id]');
 
   linkElements.forEach(el => {
     el.addEventListener('dragstart', handleDragStart);
@@ -4049,6 +5857,31 @@ function setupDragAndDrop() {
   });
 }
 
+// Group sections accept drops anywhere outside a link, appending to the end of the group
+function setupGroupDropZones() {
+  if (state.readOnly) return;
+
+  document.querySelectorAll('[data-group-drop]').forEach(section => {
+    section.addEventListener('dragover', e => {
+      if (!draggedElement) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      section.classList.add('drop-target');
+    });
+    section.addEventListener('dragleave', e => {
+      if (!section.contains(e.relatedTarget)) {
+        section.classList.remove('drop-target');
+      }
+    });
+    section.addEventListener('drop', e => {
+      e.preventDefault();
+      section.classList.remove('drop-target');
+      if (!draggedElement) return;
+      moveLink(draggedElement.dataset.linkId, section.dataset.groupDrop, null);
+    });
+  });
+}
+
 function handleDragStart(e) {
   draggedElement = this;
   this.classList.add('dragging');
@@ -4089,38 +5922,75 @@ function handleDrop(e) {
     el.classList.remove('drag-over-top', 'drag-over-bottom');
   });
 
+  document.querySelectorAll('.link-group.drop-target').forEach(el => el.classList.remove('drop-target'));
+
   if (draggedElement !== this) {
-    const draggedId = draggedElement.dataset.linkId;
-    const targetId = this.dataset.linkId;
+    const target = state.links.find(l => l.id === this.dataset.linkId);
+    if (!target) return false;
 
-    const draggedIndex = state.links.findIndex(l => l.id === draggedId);
-    const targetIndex = state.links.findIndex(l => l.id === targetId);
+    // Dropping on the lower half of a link places the dragged link after it
+    const rect = this.getBoundingClientRect();
+    const after = e.clientY >= rect.top + rect.height / 2;
+    const groupId = target.groupId || null;
+    const groupLinks = state.links
+      .filter(l => (l.groupId || null) === groupId && l.id !== draggedElement.dataset.linkId)
+      .sort((a, b) => a.order - b.order);
+    const targetIndex = groupLinks.indexOf(target);
+    const before = after ? groupLinks[targetIndex + 1] : target;
+
+    moveLink(draggedElement.dataset.linkId, groupId, before ? before.id : null);
+  }
 
-    // Reorder array
-    const [removed] = state.links.splice(draggedIndex, 1);
-    state.links.splice(targetIndex, 0, removed);
+  return false;
+}
 
-    // Update order values
-    state.links.forEach((link, index) => {
+// Renumber a group's links locally, mirroring the server
+function renumberGroupLinks(groupId) {
+  state.links
+    .filter(l => (l.groupId || null) === groupId)
+    .sort((a, b) => a.order - b.order)
+    .forEach((link, index) => {
       link.order = index;
     });
+}
 
-    // Save and re-render
-    api.saveLinks(state.links);
-    renderLinks();
-    showToast('Order saved', 'info');
-
-    // Brief pulse on the dropped card
-    setTimeout(() => {
-      const droppedCard = document.querySelector(`[data-link-id="${draggedId}"]`);
-      if (droppedCard) {
-        droppedCard.classList.add('drop-complete');
-        droppedCard.addEventListener('animationend', () => droppedCard.classList.remove('drop-complete'), { once: true });
-      }
-    }, 50);
+// Move a link into groupId in front of beforeId (or to the end), then adopt the server's order
+function moveLink(linkId, groupId, beforeId) {
+  const link = state.links.find(l => l.id === linkId);
+  if (!link || linkId === beforeId) return;
+
+  const fromGroupId = link.groupId || null;
+  const before = beforeId ? state.links.find(l => l.id === beforeId) : null;
+  link.groupId = groupId || null;
+  link.order = before ? before.order - 0.5 : Infinity;
+  renumberGroupLinks(link.groupId);
+  if (fromGroupId !== link.groupId) {
+    renumberGroupLinks(fromGroupId);
   }
 
-  return false;
+  api.reorderLinks([linkId], beforeId, groupId || null).then(result => {
+    if (!result.order) return;
+    const byId = new Map(result.order.map(o => [o.id, o]));
+    state.links.forEach(l => {
+      const entry = byId.get(l.id);
+      if (entry) {
+        l.groupId = entry.groupId;
+        l.order = entry.order;
+      }
+    });
+    renderLinks();
+  });
+  renderLinks();
+  showToast('Order saved', 'info');
+
+  // Brief pulse on the dropped card
+  setTimeout(() => {
+    const droppedCard = document.querySelector(`[data-link-id="${linkId}"]`);
+    if (droppedCard) {
+      droppedCard.classList.add('drop-complete');
+      droppedCard.addEventListener('animationend', () => droppedCard.classList.remove('drop-complete'), { once: true });
+    }
+  }, 50);
 }
 
 function handleDragEnd(e) {
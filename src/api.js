@@ -1,9 +1,16 @@
 const url = require('url');
 const https = require('https');
+const net = require('net');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
+const audit = require('./audit');
 const auth = require('./auth');
+const backups = require('./backups');
+const bookmarks = require('./bookmarks');
+const { EXPORT_FORMATS } = require('./exports');
+const oidc = require('./oidc');
+const schema = require('./schema');
 const storage = require('./storage');
 
 // Custom icons configuration
@@ -11,9 +18,35 @@ const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
 const ICONS_DIR = path.join(DATA_DIR, 'icons');
 const MAX_ICON_SIZE = 100 * 1024; // 100KB
 const MAX_CUSTOM_ICONS = 50;
-const ALLOWED_ICON_TYPES = ['.png', '.svg', '.ico', '.webp'];
 
 const COOKIE_NAME = 'session';
+const OIDC_STATE_COOKIE = 'oidc_state';
+const CLEAR_OIDC_STATE_COOKIE = `${OIDC_STATE_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`;
+// Same normalization as server.js; used for redirects back into the app
+const BASE_PATH = (process.env.BASE_PATH || '').replace(/\/$/, '');
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Endpoints that need a signed-in browser session and never accept API tokens
+const SESSION_ONLY_PATHS = ['/api/tokens', '/api/users', '/api/reset-credentials', '/api/account', '/api/sessions', '/api/audit', '/api/backups'];
+const MAX_AUDIT_PAGE = 500;
+
+// Largest JSON request body accepted: imports carry a whole workspace, everything else is small
+const maxBodyKb = parseFloat(process.env.MAX_BODY_SIZE_KB);
+const MAX_BODY_SIZE = (Number.isFinite(maxBodyKb) && maxBodyKb > 0 ? maxBodyKb : 100) * 1024;
+const maxImportMb = parseFloat(process.env.MAX_IMPORT_SIZE_MB);
+const MAX_IMPORT_SIZE = (Number.isFinite(maxImportMb) && maxImportMb > 0 ? maxImportMb : 10) * 1024 * 1024;
+
+// Forward-auth mode: an authenticating reverse proxy (Authelia, Authentik, oauth2-proxy...)
+// names the signed-in user in AUTH_PROXY_HEADER. Only trusted when the connection comes
+// from one of AUTH_PROXY_TRUSTED_PROXIES.
+const AUTH_PROXY_HEADER = (process.env.AUTH_PROXY_HEADER || '').trim().toLowerCase();
+const AUTH_PROXY_TRUSTED_PROXIES = parseAddressList(process.env.AUTH_PROXY_TRUSTED_PROXIES, 'AUTH_PROXY_TRUSTED_PROXIES');
+
+// Reverse proxies whose Forwarded / X-Forwarded-For headers are believed when working
+// out the client IP (for rate limiting and session info). Unset: headers are ignored.
+const TRUSTED_PROXIES = parseAddressList(process.env.TRUSTED_PROXIES, 'TRUSTED_PROXIES');
+if (AUTH_PROXY_HEADER && !AUTH_PROXY_TRUSTED_PROXIES) {
+  console.warn('AUTH_PROXY_HEADER is set without AUTH_PROXY_TRUSTED_PROXIES; forward-auth is disabled');
+}
 
 // Favicon cache - in-memory cache for favicon data
 const faviconCache = new Map();
@@ -45,33 +78,195 @@ function setCachedFavicon(url, data) {
 }
 
 /**
- * Parse JSON body from request
+ * A request body that can't be accepted; `status` and `code` go into the error response
+ */
+function bodyError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parse a JSON object from the request body, reading at most `limit` bytes.
+ * Rejects with a bodyError: 413 when too large, 415 when not sent as JSON, 400 when unparseable.
  */
-function parseBody(req) {
+function parseBody(req, limit = MAX_BODY_SIZE) {
   return new Promise((resolve, reject) => {
-    let body = '';
+    const declaredLength = parseInt(req.headers['content-length'], 10);
+    const hasBody = declaredLength > 0 || req.headers['transfer-encoding'] !== undefined;
+    const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    // Leave the rest of the upload unread; the error response closes the connection
+    const refuse = (error) => {
+      req.removeAllListeners('data');
+      req.resume();
+      reject(error);
+    };
+
+    if (hasBody && mediaType !== 'application/json') {
+      return refuse(bodyError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Request body must be sent as application/json'));
+    }
+    if (declaredLength > limit) {
+      return refuse(bodyError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${formatSize(limit)} limit`));
+    }
+
+    const chunks = [];
+    let size = 0;
     req.on('data', chunk => {
-      body += chunk.toString();
+      size += chunk.length;
+      if (size > limit) {
+        refuse(bodyError(413, 'PAYLOAD_TOO_LARGE', `Request body exceeds the ${formatSize(limit)} limit`));
+        return;
+      }
+      chunks.push(chunk);
     });
+    req.on('error', reject);
     req.on('end', () => {
+      if (size > limit) return;
+      // Decode once at the end so multi-byte characters split across chunks survive
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) {
+        return resolve({});
+      }
+
+      let body;
       try {
-        resolve(body ? JSON.parse(body) : {});
+        body = JSON.parse(text);
       } catch (error) {
-        reject(new Error('Invalid JSON'));
+        return reject(bodyError(400, 'INVALID_JSON', `Invalid JSON: ${error.message}`));
+      }
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(bodyError(400, 'INVALID_JSON', 'Request body must be a JSON object'));
       }
+      resolve(body);
     });
   });
 }
 
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / 1024 / 1024).toFixed(1)}MB` : `${+(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Answer a rejected request body (see parseBody). Returns false for any other error.
+ */
+function sendBodyError(res, error) {
+  if (!error.status || !['PAYLOAD_TOO_LARGE', 'UNSUPPORTED_MEDIA_TYPE', 'INVALID_JSON'].includes(error.code)) {
+    return false;
+  }
+  if (error.status === 413) {
+    res.setHeader('Connection', 'close');
+  }
+  sendJSON(res, error.status, { success: false, error: error.message, code: error.code });
+  return true;
+}
+
+/**
+ * Parse a comma-separated list of IP addresses and CIDR ranges into a net.BlockList.
+ * Invalid entries are skipped with a warning. Returns null when nothing valid is listed.
+ */
+function parseAddressList(value, name) {
+  const list = new net.BlockList();
+  let count = 0;
+
+  for (const entry of (value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const maxBits = type === 'ipv6' ? 128 : 32;
+    const bits = prefix === undefined ? maxBits : (/^\d+$/.test(prefix) ? Number(prefix) : NaN);
+
+    if (!type || !(bits >= 0 && bits <= maxBits)) {
+      console.warn(`Ignoring invalid ${name} entry: ${entry}`);
+      continue;
+    }
+    list.addSubnet(address, bits, type);
+    count++;
+  }
+
+  return count > 0 ? list : null;
+}
+
+/**
+ * Normalize an address: IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+ */
+function normalizeAddress(address) {
+  if (address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+    return address.slice(7);
+  }
+  return address || '';
+}
+
+/**
+ * Check whether an address is in a list from parseAddressList
+ */
+function isTrustedAddress(address, list) {
+  return Boolean(list) && net.isIP(address) !== 0 && list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check whether the connection itself (not a forwarded header) comes from an address in the list
+ */
+function isFromTrustedAddress(req, list) {
+  return isTrustedAddress(normalizeAddress(req.socket.remoteAddress), list);
+}
+
+/**
+ * Extract the address from a Forwarded "for=" value or an X-Forwarded-For entry:
+ * strips quotes, [brackets] and ports. Returns null for "unknown" or obfuscated values.
+ */
+function parseForwardedAddress(value) {
+  let address = value.trim().replace(/^"(.*)"$/, '$1');
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.slice(0, address.lastIndexOf(':'));
+  }
+  address = normalizeAddress(address);
+  return net.isIP(address) !== 0 ? address : null;
+}
+
+/**
+ * The chain of addresses a request was forwarded for, client first, from the
+ * Forwarded header (RFC 7239) or, failing that, X-Forwarded-For
+ */
+function getForwardedChain(req) {
+  if (req.headers.forwarded) {
+    return req.headers.forwarded.split(',').map(element => {
+      const param = element.split(';').map(p => p.trim()).find(p => /^for=/i.test(p));
+      return param ? parseForwardedAddress(param.slice(4)) : null;
+    });
+  }
+  if (req.headers['x-forwarded-for']) {
+    return req.headers['x-forwarded-for'].split(',').map(parseForwardedAddress);
+  }
+  return [];
+}
+
 /**
- * Get client IP from request (handles proxied requests)
+ * Get client IP from request. Forwarded headers are only believed when the connection
+ * comes from a TRUSTED_PROXIES address; the chain is then walked from the nearest hop
+ * back, and the first address that isn't a trusted proxy is the client.
  */
 function getClientIP(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    return forwarded.split(',')[0].trim();
+  let clientIP = normalizeAddress(req.socket.remoteAddress);
+  if (!isTrustedAddress(clientIP, TRUSTED_PROXIES)) {
+    return clientIP;
+  }
+
+  const chain = getForwardedChain(req);
+  for (let i = chain.length - 1; i >= 0; i--) {
+    // An unparseable hop can't be attributed; stop at the proxy that reported it
+    if (!chain[i]) {
+      break;
+    }
+    clientIP = chain[i];
+    if (!isTrustedAddress(clientIP, TRUSTED_PROXIES)) {
+      break;
+    }
   }
-  return req.socket.remoteAddress;
+  return clientIP;
 }
 
 /**
@@ -92,9 +287,10 @@ function parseCookies(req) {
 }
 
 /**
- * Extract session token from request (for CSRF validation)
+ * Verify the session cookie of a request, or null.
+ * Returns { value, stale } as auth.verifyRotatedCookie does.
  */
-async function extractSessionToken(req) {
+async function verifySessionCookie(req) {
   const cookies = parseCookies(req);
   const signedSession = cookies[COOKIE_NAME];
 
@@ -102,32 +298,165 @@ async function extractSessionToken(req) {
     return null;
   }
 
+  const { current, previous } = await storage.getSessionSecrets();
+  return auth.verifyRotatedCookie(signedSession, current, previous);
+}
+
+/**
+ * Extract session token from request (for CSRF validation)
+ */
+async function extractSessionToken(req) {
+  // A session created from forward-auth headers on this request isn't in its cookie yet
+  if (req.proxySessionToken) {
+    return req.proxySessionToken;
+  }
+  const verified = await verifySessionCookie(req);
+  return verified ? verified.value : null;
+}
+
+/**
+ * Set-Cookie value for a session. "Remember me" sessions get a persistent cookie that
+ * lasts until the session expires; others get a browser-session cookie.
+ */
+function sessionCookie(signedToken, session) {
+  const cookie = `${COOKIE_NAME}=${signedToken}; HttpOnly; SameSite=Lax; Path=/`;
+  if (!session.remember) {
+    return cookie;
+  }
+  return `${cookie}; Max-Age=${Math.max(0, Math.ceil((session.expiresAt - Date.now()) / 1000))}`;
+}
+
+/**
+ * Re-sign a session cookie signed with a replaced SESSION_SECRET using the current one,
+ * keeping the session's remaining lifetime. Handlers that set their own cookie override it.
+ */
+async function resignStaleSessionCookie(req, res) {
+  const verified = await verifySessionCookie(req);
+  if (!verified || !verified.stale) {
+    return;
+  }
+
+  const sessions = await storage.getSessions();
+  const session = sessions[verified.value];
+  if (!session || !auth.isSessionValid(session)) {
+    return;
+  }
+
   const secret = await storage.getSessionSecret();
-  return auth.verifyCookie(signedSession, secret);
+  res.setHeader('Set-Cookie', sessionCookie(auth.signCookie(verified.value, secret), session));
 }
 
 /**
- * Check if user is authenticated
+ * Forward-auth: when a trusted proxy names a user in AUTH_PROXY_HEADER, make sure the
+ * request has a session for that user, creating one (and its cookie) if needed. The
+ * new session authenticates this request through req.proxySessionToken.
  */
-async function isAuthenticated(req) {
-  const token = await extractSessionToken(req);
+async function applyProxyAuth(req, res) {
+  if (!AUTH_PROXY_HEADER || !isFromTrustedAddress(req, AUTH_PROXY_TRUSTED_PROXIES)) {
+    return;
+  }
 
-  if (!token) {
-    return false;
+  const username = (req.headers[AUTH_PROXY_HEADER] || '').trim();
+  if (!username) {
+    return;
+  }
+
+  // Accounts are not created on the fly; an admin adds them with a matching username
+  const user = await storage.getUserByUsername(username);
+  if (!user || !user.passwordHash || user.disabled) {
+    return;
+  }
+
+  const currentToken = await extractSessionToken(req);
+  const currentUser = await getSessionUser(currentToken);
+  if (currentUser && currentUser.id === user.id) {
+    return;
+  }
+
+  const { token, session } = auth.createSession(user.id, {
+    userAgent: req.headers['user-agent'],
+    ip: getClientIP(req),
+    remember: false
+  });
+  const sessions = await storage.getSessions();
+  // The proxy now vouches for someone else: end the session the cookie pointed to
+  if (currentToken && sessions[currentToken]) {
+    delete sessions[currentToken];
+    await auth.clearCsrfToken(currentToken);
+  }
+  sessions[token] = session;
+  await storage.saveSessions(sessions);
+  auditEvent(req, 'login.success', user, { method: 'proxy', sessionId: session.id });
+
+  const secret = await storage.getSessionSecret();
+  res.setHeader('Set-Cookie', sessionCookie(auth.signCookie(token, secret), session));
+  req.proxySessionToken = token;
+}
+
+/**
+ * Get the active user that owns a session token, or null
+ */
+async function getSessionUser(sessionToken) {
+  if (!sessionToken) {
+    return null;
   }
 
   const sessions = await storage.getSessions();
-  const session = sessions[token];
+  const session = sessions[sessionToken];
+
+  if (!session || !auth.isSessionValid(session)) {
+    return null;
+  }
+
+  const user = await storage.getUserById(session.userId);
+  return user && !user.disabled ? user : null;
+}
+
+/**
+ * Extract a personal API token from an "Authorization: Bearer" header
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  const match = header && header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the active user that owns an API token record, or null
+ */
+async function getApiTokenUser(apiToken) {
+  if (!apiToken) {
+    return null;
+  }
+
+  const user = await storage.getUserById(apiToken.userId);
+  return user && user.passwordHash && !user.disabled ? user : null;
+}
+
+/**
+ * Get the user the request is authenticated as, or null.
+ * A Bearer token takes precedence over the session cookie.
+ */
+async function getAuthenticatedUser(req) {
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    return getApiTokenUser(await auth.verifyApiToken(bearerToken));
+  }
+  return getSessionUser(await extractSessionToken(req));
+}
 
-  return session && auth.isSessionValid(session);
+/**
+ * Check if user is authenticated
+ */
+async function isAuthenticated(req) {
+  return (await getAuthenticatedUser(req)) !== null;
 }
 
 /**
  * Validate CSRF token for mutating requests (async version)
  */
 async function validateCsrf(req, sessionToken) {
-  const method = req.method;
-  if (method === 'GET' || method === 'HEAD' || method === 'OPTIONS') {
+  if (SAFE_METHODS.includes(req.method)) {
     return true; // No CSRF check for safe methods
   }
 
@@ -141,26 +470,32 @@ async function validateCsrf(req, sessionToken) {
 
 /**
  * Check authentication and CSRF for protected endpoints
- * Returns { authenticated: boolean, sessionToken?: string, csrfValid?: boolean }
+ * Returns { authenticated: boolean, sessionToken?: string, apiToken?: object, user?: object, csrfValid?: boolean }
  */
 async function checkAuthAndCsrf(req) {
-  const sessionToken = await extractSessionToken(req);
-
-  if (!sessionToken) {
-    return { authenticated: false };
+  // Browsers never attach Authorization headers on their own, so token requests
+  // can't be forged cross-site and skip CSRF. Token scope is enforced in route().
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    const apiToken = await auth.verifyApiToken(bearerToken);
+    const user = await getApiTokenUser(apiToken);
+    if (!user) {
+      return { authenticated: false };
+    }
+    return { authenticated: true, apiToken, user, csrfValid: true };
   }
 
-  const sessions = await storage.getSessions();
-  const session = sessions[sessionToken];
+  const sessionToken = await extractSessionToken(req);
+  const user = await getSessionUser(sessionToken);
 
-  if (!session || !auth.isSessionValid(session)) {
+  if (!user) {
     return { authenticated: false };
   }
 
   // For mutating requests, validate CSRF
   const csrfValid = await validateCsrf(req, sessionToken);
 
-  return { authenticated: true, sessionToken, csrfValid };
+  return { authenticated: true, sessionToken, user, csrfValid };
 }
 
 /**
@@ -176,13 +511,94 @@ function sendJSON(res, statusCode, data) {
   res.end(JSON.stringify(data));
 }
 
+/**
+ * Send 400 with field-level errors from schema.validate: { error, code, errors: [{ path, message }] }.
+ * `error` repeats the first message for clients that show a single line.
+ */
+function sendValidationErrors(res, errors) {
+  sendJSON(res, 400, { success: false, error: errors[0].message, code: 'VALIDATION_FAILED', errors });
+}
+
+/**
+ * Format a revision number as an ETag value
+ */
+function formatRevision(revision) {
+  return `"${revision}"`;
+}
+
+/**
+ * Parse a revision number out of an If-Match value ("3" or W/"3")
+ */
+function parseRevision(value) {
+  const match = String(value).trim().match(/^(?:W\/)?"?(\d+)"?$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Get the current server copy of a revisioned collection
+ */
+async function getCollection(userId, collection) {
+  if (collection === 'dashboards') {
+    return storage.getDashboards(userId);
+  }
+  if (collection === 'links') {
+    return storage.getLinks(userId);
+  }
+  if (collection === 'tags') {
+    return storage.getTags(userId);
+  }
+  if (collection === 'groups') {
+    return storage.getGroups(userId);
+  }
+  return storage.getPreferences(userId);
+}
+
+/**
+ * Check the If-Match header against the current revision of a user's collection.
+ * Requests without If-Match (or with "*") are let through. On a mismatch a 409
+ * carrying the current server copy is sent and false is returned.
+ */
+async function checkRevision(req, res, userId, collection) {
+  const ifMatch = req.headers['if-match'];
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+
+  const revision = await storage.getRevision(userId, collection);
+  if (parseRevision(ifMatch) === revision) {
+    return true;
+  }
+
+  res.setHeader('ETag', formatRevision(revision));
+  sendJSON(res, 409, {
+    error: 'Your data changed elsewhere',
+    code: 'REVISION_CONFLICT',
+    collection,
+    revision,
+    [collection]: await getCollection(userId, collection)
+  });
+  return false;
+}
+
+/**
+ * Send a mutation response with the collection's new ETag and all current revisions
+ */
+async function sendRevisioned(res, statusCode, userId, collection, data) {
+  const revisions = await storage.getRevisions(userId);
+  res.setHeader('ETag', formatRevision(revisions[collection]));
+  sendJSON(res, statusCode, { ...data, revisions });
+}
+
 /**
  * Handle GET /api/setup/check
  */
 async function handleSetupCheck(req, res) {
   try {
-    const user = await storage.getUser();
-    sendJSON(res, 200, { needsSetup: !user });
+    const users = await storage.getUsers();
+    sendJSON(res, 200, {
+      needsSetup: !users.some(u => u.passwordHash),
+      oidc: oidc.isEnabled() ? { name: oidc.getProviderName() } : null
+    });
   } catch (error) {
     console.error('Setup check error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
@@ -190,7 +606,8 @@ async function handleSetupCheck(req, res) {
 }
 
 /**
- * Handle POST /api/setup
+ * Handle POST /api/setup - creates the first admin account. An account left
+ * without credentials (after a reset or upgrade) is claimed with its data.
  */
 async function handleSetup(req, res) {
   try {
@@ -207,17 +624,24 @@ async function handleSetup(req, res) {
     }
 
     // Check if user already exists
-    const existingUser = await storage.getUser();
-    if (existingUser) {
+    const users = await storage.getUsers();
+    if (users.some(u => u.passwordHash)) {
       return sendJSON(res, 400, { success: false, error: 'User already exists' });
     }
 
     // Hash password and save user
     const passwordHash = await auth.hashPassword(password);
-    await storage.setUser(username, passwordHash);
+    const placeholder = users.find(u => !u.passwordHash);
+    if (placeholder) {
+      Object.assign(placeholder, { username, passwordHash, role: 'admin', disabled: false });
+      await storage.saveUsers(users);
+    } else {
+      await storage.createUser({ username, passwordHash, role: 'admin' });
+    }
 
     sendJSON(res, 200, { success: true });
   } catch (error) {
+    if (sendBodyError(res, error)) return;
     console.error('Setup error:', error);
     sendJSON(res, 500, { success: false, error: 'Internal server error' });
   }
@@ -232,6 +656,9 @@ async function handleLogin(req, res) {
 
     // Check rate limit BEFORE processing login
     const rateLimitResult = await auth.checkRateLimit(clientIP);
+    if (rateLimitResult.newBlock) {
+      auditEvent(req, 'login.blocked', null, { retryAfter: rateLimitResult.retryAfter, blockCount: rateLimitResult.blockCount });
+    }
     if (!rateLimitResult.allowed) {
       res.setHeader('Retry-After', Math.ceil(rateLimitResult.retryAfter / 1000));
       return sendJSON(res, 429, {
@@ -249,9 +676,10 @@ async function handleLogin(req, res) {
     }
 
     // Get user
-    const user = await storage.getUser();
-    if (!user || user.username !== username) {
+    const user = await storage.getUserByUsername(username);
+    if (!user || !user.passwordHash) {
       await auth.recordFailedAttempt(clientIP);
+      auditEvent(req, 'login.failure', null, { username: String(username).slice(0, 100), reason: 'invalid_credentials' });
       return sendJSON(res, 401, { success: false, error: 'Invalid credentials' });
     }
 
@@ -259,17 +687,41 @@ async function handleLogin(req, res) {
     const valid = await auth.verifyPassword(password, user.passwordHash);
     if (!valid) {
       await auth.recordFailedAttempt(clientIP);
+      auditEvent(req, 'login.failure', user, { reason: 'invalid_credentials' });
       return sendJSON(res, 401, { success: false, error: 'Invalid credentials' });
     }
 
+    if (user.disabled) {
+      auditEvent(req, 'login.failure', user, { reason: 'disabled' });
+      return sendJSON(res, 403, { success: false, error: 'Account disabled', code: 'ACCOUNT_DISABLED' });
+    }
+
+    // Second step: accounts with two-factor authentication also need a TOTP or recovery code
+    if (user.totp) {
+      if (!body.code) {
+        return sendJSON(res, 401, { success: false, error: 'Authentication code required', code: 'TOTP_REQUIRED' });
+      }
+      if (!await auth.verifySecondFactor(user.id, body.code)) {
+        await auth.recordFailedAttempt(clientIP);
+        auditEvent(req, 'login.failure', user, { reason: 'invalid_code' });
+        return sendJSON(res, 401, { success: false, error: 'Invalid authentication code', code: 'TOTP_INVALID' });
+      }
+    }
+
     // Clear rate limit on success
     await auth.clearRateLimitOnSuccess(clientIP);
 
     // Create session
-    const { token, session } = auth.createSession();
+    // Without an explicit "remember": false, keep the long-lived cookie older clients expect
+    const { token, session } = auth.createSession(user.id, {
+      userAgent: req.headers['user-agent'],
+      ip: clientIP,
+      remember: body.remember !== false
+    });
     const sessions = await storage.getSessions();
     sessions[token] = session;
     await storage.saveSessions(sessions);
+    auditEvent(req, 'login.success', user, { method: 'password', sessionId: session.id });
 
     // Generate CSRF token for the session
     const csrfToken = await auth.generateCsrfToken(token);
@@ -282,98 +734,144 @@ async function handleLogin(req, res) {
     if (!res.headersSent) {
       res.writeHead(200, {
         'Content-Type': 'application/json',
-        'Set-Cookie': `${COOKIE_NAME}=${signedToken}; HttpOnly; SameSite=Lax; Path=/; Max-Age=604800`
+        'Set-Cookie': sessionCookie(signedToken, session)
       });
-      res.end(JSON.stringify({ success: true, csrfToken }));
+      res.end(JSON.stringify({ success: true, csrfToken, user: publicUser(user) }));
     }
   } catch (error) {
+    if (sendBodyError(res, error)) return;
     console.error('Login error:', error);
     sendJSON(res, 500, { success: false, error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/logout
+ * Write an audit log entry for a request; `user` is who acted, or null when nobody is signed in
  */
-async function handleLogout(req, res) {
-  try {
-    const authResult = await checkAuthAndCsrf(req);
-
-    // Even if CSRF is invalid, we still clear the session (logout is idempotent)
-    // But we validate to prevent CSRF logout attacks
-    if (authResult.authenticated && !authResult.csrfValid) {
-      return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
-    }
-
-    const cookies = parseCookies(req);
-    const signedSession = cookies[COOKIE_NAME];
-
-    if (signedSession) {
-      const secret = await storage.getSessionSecret();
-      const token = auth.verifyCookie(signedSession, secret);
+function auditEvent(req, event, user, details = {}) {
+  audit.record(event, {
+    userId: user ? user.id : null,
+    username: user ? user.username : null,
+    ip: getClientIP(req),
+    details
+  });
+}
 
-      if (token) {
-        // Clear CSRF token first
-        await auth.clearCsrfToken(token);
+/**
+ * Redirect the browser, optionally setting cookies
+ */
+function sendRedirect(res, location, cookies = []) {
+  if (!res.headersSent) {
+    res.writeHead(302, { Location: location, 'Set-Cookie': cookies, 'Cache-Control': 'no-store' });
+    res.end();
+  }
+}
 
-        // Then delete the session
-        const sessions = await storage.getSessions();
-        delete sessions[token];
-        await storage.saveSessions(sessions);
-      }
-    }
+/**
+ * Handle GET /api/auth/oidc/start - send the browser to the identity provider
+ */
+async function handleOidcStart(req, res) {
+  if (!oidc.isEnabled()) {
+    return sendJSON(res, 404, { error: 'Single sign-on is not configured' });
+  }
 
-    if (!res.headersSent) {
-      res.writeHead(200, {
-        'Content-Type': 'application/json',
-        'Set-Cookie': `${COOKIE_NAME}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`
-      });
-      res.end(JSON.stringify({ success: true }));
-    }
+  try {
+    const { url: authorizationUrl, state } = await oidc.createAuthorizationRequest();
+    sendRedirect(res, authorizationUrl, [await oidcStateCookie(state)]);
   } catch (error) {
-    console.error('Logout error:', error);
-    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+    console.error('OIDC start error:', error);
+    sendRedirect(res, `${BASE_PATH}/?sso_error=unavailable`);
   }
 }
 
 /**
- * Handle GET /api/csrf - Get current CSRF token for session
+ * Cookie holding a flow's state, which ties the flow to this browser so a callback can't
+ * be replayed into another one
  */
-async function handleGetCsrf(req, res) {
-  const sessionToken = await extractSessionToken(req);
-
-  if (!sessionToken) {
-    return sendJSON(res, 401, { error: 'Unauthorized' });
-  }
+async function oidcStateCookie(state) {
+  const secret = await storage.getSessionSecret();
+  return `${OIDC_STATE_COOKIE}=${auth.signCookie(state, secret)}; HttpOnly; SameSite=Lax; Path=/; Max-Age=600`;
+}
 
-  const sessions = await storage.getSessions();
-  const session = sessions[sessionToken];
+/**
+ * The local account linked to an OIDC identity, or null. Identities are only linked by the
+ * account's owner from a signed-in session, never matched by name.
+ */
+async function findOidcUser(claims) {
+  const users = await storage.getUsers();
+  return users.find(u => u.oidc && u.oidc.issuer === claims.iss && u.oidc.subject === claims.sub) || null;
+}
 
-  if (!session || !auth.isSessionValid(session)) {
+/**
+ * Handle POST /api/account/oidc/link - start linking the signed-in account to an identity at
+ * the provider. Requires the current password; returns { url } to send the browser to.
+ */
+async function handleLinkOidc(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  if (!oidc.isEnabled()) {
+    return sendJSON(res, 404, { error: 'Single sign-on is not configured' });
+  }
 
   try {
-    // Check if there's an existing CSRF token
-    const data = await storage.readData();
-    let csrfToken = data.csrfTokens[sessionToken];
+    const body = await parseBody(req);
+    const { account } = await getAccountRecord(authResult.user.id);
 
-    // Generate new one if doesn't exist
-    if (!csrfToken) {
-      csrfToken = await auth.generateCsrfToken(sessionToken);
+    if (!body.password || !await auth.verifyPassword(body.password, account.passwordHash)) {
+      return sendJSON(res, 400, { error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+    if (account.oidc) {
+      return sendJSON(res, 409, { error: 'Your account is already linked to single sign-on', code: 'ALREADY_LINKED' });
     }
 
-    sendJSON(res, 200, { csrfToken });
+    let request;
+    try {
+      request = await oidc.createAuthorizationRequest(account.id);
+    } catch (error) {
+      console.error('OIDC link start error:', error);
+      return sendJSON(res, 502, { error: 'The identity provider could not be reached' });
+    }
+
+    res.setHeader('Set-Cookie', await oidcStateCookie(request.state));
+    sendJSON(res, 200, { url: request.url });
   } catch (error) {
-    console.error('Get CSRF token error:', error);
+    if (sendBodyError(res, error)) return;
+    console.error('Link OIDC error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/reset-credentials
+ * Finish a link started by handleLinkOidc: the identity goes to the account that started
+ * the flow, provided it is still the one signed in here and no account has the identity yet
  */
-async function handleResetCredentials(req, res) {
+async function finishOidcLink(req, res, claims, linkUserId, fail) {
+  const user = await getAuthenticatedUser(req);
+  if (!user || user.id !== linkUserId) {
+    return fail('invalid_state');
+  }
+
+  const users = await storage.getUsers();
+  if (users.some(u => u.oidc && u.oidc.issuer === claims.iss && u.oidc.subject === claims.sub)) {
+    return fail('already_linked');
+  }
+  const account = users.find(u => u.id === user.id);
+  account.oidc = { issuer: claims.iss, subject: claims.sub, linkedAt: Date.now() };
+  await storage.saveUsers(users);
+  auditEvent(req, 'sso.link', account, { subject: claims.sub });
+
+  sendRedirect(res, `${BASE_PATH}/?sso_linked=1`, [CLEAR_OIDC_STATE_COOKIE]);
+}
+
+/**
+ * Handle POST /api/account/oidc/unlink - remove the signed-in account's single sign-on identity
+ */
+async function handleUnlinkOidc(req, res) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -383,14 +881,103 @@ async function handleResetCredentials(req, res) {
   }
 
   try {
-    // Clear all CSRF tokens first
-    const data = await storage.readData();
-    data.csrfTokens = {};
-    await storage.writeData(data);
+    const { users, account } = await getAccountRecord(authResult.user.id);
+    if (account.oidc) {
+      account.oidc = null;
+      await storage.saveUsers(users);
+      auditEvent(req, 'sso.unlink', account);
+    }
+    sendJSON(res, 200, { success: true, user: publicUser(account) });
+  } catch (error) {
+    console.error('Unlink OIDC error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
 
-    // Clear user credentials and all sessions
-    await storage.setUser(null, null);
-    await storage.saveSessions({});
+/**
+ * Handle GET /api/auth/oidc/callback - finish sign-in and issue the session cookie
+ */
+async function handleOidcCallback(req, res) {
+  if (!oidc.isEnabled()) {
+    return sendJSON(res, 404, { error: 'Single sign-on is not configured' });
+  }
+
+  const fail = (reason) => sendRedirect(res, `${BASE_PATH}/?sso_error=${reason}`, [CLEAR_OIDC_STATE_COOKIE]);
+
+  try {
+    const { query } = url.parse(req.url, true);
+    if (query.error) {
+      console.warn('OIDC provider returned an error:', query.error, query.error_description || '');
+      return fail('denied');
+    }
+
+    const { current, previous } = await storage.getSessionSecrets();
+    const verified = auth.verifyRotatedCookie(parseCookies(req)[OIDC_STATE_COOKIE], current, previous);
+    if (!query.code || !query.state || !verified || verified.value !== query.state) {
+      return fail('invalid_state');
+    }
+
+    const { claims, linkUserId } = await oidc.completeAuthorization(query.state, query.code);
+    if (linkUserId) {
+      return finishOidcLink(req, res, claims, linkUserId, fail);
+    }
+
+    const user = await findOidcUser(claims);
+    if (!user || !user.passwordHash) {
+      console.warn(`OIDC sign-in for ${claims.iss} subject ${claims.sub} has no matching account`);
+      auditEvent(req, 'login.failure', null, { method: 'oidc', subject: claims.sub, reason: 'no_account' });
+      return fail('no_account');
+    }
+    if (user.disabled) {
+      auditEvent(req, 'login.failure', user, { method: 'oidc', reason: 'disabled' });
+      return fail('disabled');
+    }
+
+    const { token, session } = auth.createSession(user.id, {
+      userAgent: req.headers['user-agent'],
+      ip: getClientIP(req)
+    });
+    const sessions = await storage.getSessions();
+    sessions[token] = session;
+    await storage.saveSessions(sessions);
+    auditEvent(req, 'login.success', user, { method: 'oidc', sessionId: session.id });
+
+    sendRedirect(res, `${BASE_PATH}/`, [
+      sessionCookie(auth.signCookie(token, current), session),
+      CLEAR_OIDC_STATE_COOKIE
+    ]);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    fail('failed');
+  }
+}
+
+/**
+ * Handle POST /api/logout
+ */
+async function handleLogout(req, res) {
+  try {
+    const authResult = await checkAuthAndCsrf(req);
+
+    // Even if CSRF is invalid, we still clear the session (logout is idempotent)
+    // But we validate to prevent CSRF logout attacks
+    if (authResult.authenticated && !authResult.csrfValid) {
+      return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+    }
+
+    const token = await extractSessionToken(req);
+    if (token) {
+      // Clear CSRF token first
+      await auth.clearCsrfToken(token);
+
+      // Then delete the session
+      const sessions = await storage.getSessions();
+      if (authResult.authenticated) {
+        auditEvent(req, 'logout', authResult.user, { sessionId: sessions[token] && sessions[token].id });
+      }
+      delete sessions[token];
+      await storage.saveSessions(sessions);
+    }
 
     if (!res.headersSent) {
       res.writeHead(200, {
@@ -400,32 +987,43 @@ async function handleResetCredentials(req, res) {
       res.end(JSON.stringify({ success: true }));
     }
   } catch (error) {
-    console.error('Reset credentials error:', error);
+    console.error('Logout error:', error);
     sendJSON(res, 500, { success: false, error: 'Internal server error' });
   }
 }
 
 /**
- * Handle GET /api/links
+ * Handle GET /api/csrf - Get current CSRF token for session
  */
-async function handleGetLinks(req, res) {
-  if (!await isAuthenticated(req)) {
+async function handleGetCsrf(req, res) {
+  const sessionToken = await extractSessionToken(req);
+
+  if (!await getSessionUser(sessionToken)) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
 
   try {
-    const links = await storage.getLinks();
-    sendJSON(res, 200, { links });
+    // Check if there's an existing CSRF token
+    const state = await storage.readState();
+    let csrfToken = state.csrfTokens[sessionToken];
+
+    // Generate new one if doesn't exist
+    if (!csrfToken) {
+      csrfToken = await auth.generateCsrfToken(sessionToken);
+    }
+
+    sendJSON(res, 200, { csrfToken });
   } catch (error) {
-    console.error('Get links error:', error);
+    console.error('Get CSRF token error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/links
+ * Handle POST /api/reset-credentials - only for the sole account, whose links and
+ * settings are kept for the next setup. With several accounts an admin resets passwords.
  */
-async function handleSaveLinks(req, res) {
+async function handleResetCredentials(req, res) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -434,89 +1032,121 @@ async function handleSaveLinks(req, res) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
 
-  try {
-    const body = await parseBody(req);
-    const { links } = body;
+  const { user } = authResult;
 
-    if (!Array.isArray(links)) {
-      return sendJSON(res, 400, { success: false, error: 'Links must be an array' });
+  try {
+    const users = await storage.getUsers();
+    if (users.some(u => u.id !== user.id && u.passwordHash)) {
+      return sendJSON(res, 400, {
+        success: false,
+        error: 'Other accounts exist. Ask an admin to reset your password instead.'
+      });
     }
 
-    // Get existing tags for validation
-    const existingTags = await storage.getTags();
-    const validTagIds = new Set(existingTags.map(t => t.id));
+    auditEvent(req, 'credentials.reset', user);
 
-    // Validate each link
-    const ids = new Set();
-    for (const link of links) {
-      if (!link.id || !link.name || !link.url || typeof link.order !== 'number') {
-        return sendJSON(res, 400, { success: false, error: 'Invalid link format' });
-      }
+    // Clear all CSRF tokens first
+    const state = await storage.readState();
+    state.csrfTokens = {};
+    await storage.writeState(state);
 
-      if (ids.has(link.id)) {
-        return sendJSON(res, 400, { success: false, error: 'Duplicate link ID' });
-      }
-      ids.add(link.id);
+    // Clear user credentials and all sessions
+    const account = users.find(u => u.id === user.id);
+    account.username = null;
+    account.passwordHash = null;
+    account.totp = null;
+    account.totpPending = null;
+    account.recoveryCodes = [];
+    account.oidc = null;
+    await storage.saveUsers(users);
+    await storage.saveSessions({});
+    await auth.revokeUserApiTokens(user.id);
 
-      if (link.order < 0) {
-        return sendJSON(res, 400, { success: false, error: 'Order must be non-negative' });
-      }
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Set-Cookie': `${COOKIE_NAME}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`
+      });
+      res.end(JSON.stringify({ success: true }));
+    }
+  } catch (error) {
+    console.error('Reset credentials error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
 
-      // Validate URL
-      try {
-        const parsedUrl = new URL(link.url);
-        if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
-          return sendJSON(res, 400, { success: false, error: 'URL must be HTTP or HTTPS' });
-        }
-      } catch {
-        return sendJSON(res, 400, { success: false, error: 'Invalid URL' });
-      }
+/**
+ * Handle GET /api/audit - audit log entries, newest first. Admins see every account's
+ * events (optionally ?userId=), everyone else only their own.
+ * ?type=login,data.import filters by event or category; ?before=<time>&beforeSeq=<seq> pages back
+ * from the last entry shown.
+ */
+async function handleGetAudit(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
 
-      // Validate tags if provided
-      if (link.tags !== undefined) {
-        if (!Array.isArray(link.tags)) {
-          return sendJSON(res, 400, { success: false, error: 'Link tags must be an array' });
-        }
-        for (const tagId of link.tags) {
-          if (!validTagIds.has(tagId)) {
-            return sendJSON(res, 400, { success: false, error: `Invalid tag ID: ${tagId}` });
-          }
-        }
-      } else {
-        // Default to empty array if not provided
-        link.tags = [];
-      }
+  try {
+    const { query } = url.parse(req.url, true);
+    const types = String(query.type || '').split(',').map(t => t.trim()).filter(Boolean);
+    const known = types.filter(type => audit.AUDIT_EVENTS.some(e => e === type || e.startsWith(`${type}.`)));
+    if (known.length !== types.length) {
+      return sendJSON(res, 400, { error: `Unknown event type. Known types: ${audit.AUDIT_EVENTS.join(', ')}` });
     }
 
-    await storage.saveLinks(links);
-    sendJSON(res, 200, { success: true });
+    const limit = query.limit === undefined ? 100 : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_PAGE) {
+      return sendJSON(res, 400, { error: `limit must be between 1 and ${MAX_AUDIT_PAGE}` });
+    }
+    const before = query.before === undefined ? null : Number(query.before);
+    if (before !== null && !Number.isFinite(before)) {
+      return sendJSON(res, 400, { error: 'before must be a timestamp' });
+    }
+    const beforeSeq = query.beforeSeq === undefined ? null : Number(query.beforeSeq);
+    if (beforeSeq !== null && (before === null || !Number.isInteger(beforeSeq))) {
+      return sendJSON(res, 400, { error: 'beforeSeq must be an integer, sent with before' });
+    }
+
+    const userId = user.role === 'admin' ? (query.userId || null) : user.id;
+    const result = await audit.query({
+      types,
+      userId,
+      before: before === null ? null : { time: before, seq: beforeSeq },
+      limit
+    });
+    sendJSON(res, 200, result);
   } catch (error) {
-    console.error('Save links error:', error);
-    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+    console.error('Get audit log error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle GET /api/preferences
+ * Handle GET /api/backups (admin only) - data snapshots, newest first
  */
-async function handleGetPreferences(req, res) {
-  if (!await isAuthenticated(req)) {
+async function handleGetBackups(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
+  if (user.role !== 'admin') {
+    return sendJSON(res, 403, { error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+  }
 
   try {
-    const preferences = await storage.getPreferences();
-    sendJSON(res, 200, { preferences });
+    sendJSON(res, 200, { backups: await backups.listBackups(), retention: backups.BACKUP_RETENTION });
   } catch (error) {
-    console.error('Get preferences error:', error);
+    console.error('Get backups error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/preferences
+ * Handle POST /api/backups/:id/restore (admin only) - put back the workspaces from a snapshot.
+ * The current data is snapshotted first, so a restore can itself be undone.
  */
-async function handleSavePreferences(req, res) {
+async function handleRestoreBackup(req, res, backupId) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -524,96 +1154,153 @@ async function handleSavePreferences(req, res) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  if (authResult.user.role !== 'admin') {
+    return sendJSON(res, 403, { error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+  }
 
   try {
-    const body = await parseBody(req);
-    const { preferences } = body;
-
-    // Validate preferences
-    const validLayouts = ['grid', 'list', 'cards'];
-    const validThemePresets = [
-      'midnight', 'slate', 'ocean', 'forest', 'ember', 'lavender', 'sand', 'arctic',
-      'cherry', 'mocha', 'teal', 'blush', 'sapphire', 'mint', 'rose', 'storm',
-      'sunset', 'olive', 'paper', 'graphite'
-    ];
-    const validBackgrounds = [
-      // Light colors
-      'white', 'stone', 'slate', 'sky', 'mint', 'cream', 'peach', 'rose',
-      // Dark colors
-      'charcoal', 'graphite', 'navy', 'ocean', 'forest', 'espresso', 'plum', 'noir',
-      // Legacy colors (for backwards compatibility)
-      'gray', 'zinc', 'cyan', 'lime', 'olive', 'burgundy'
-    ];
-
-    // Normalize legacy named accent colors to hex
-    if (preferences.accentColor) {
-      preferences.accentColor = normalizeAccentColor(preferences.accentColor);
+    let snapshot;
+    try {
+      snapshot = await backups.readBackup(backupId);
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      return sendJSON(res, 400, { error: 'Backup file is not valid JSON' });
     }
-
-    if (!validLayouts.includes(preferences.layout)) {
-      return sendJSON(res, 400, { success: false, error: 'Invalid layout' });
+    if (!snapshot) {
+      return sendJSON(res, 404, { error: 'Backup not found' });
     }
 
-    if (preferences.themePreset && !validThemePresets.includes(preferences.themePreset)) {
-      return sendJSON(res, 400, { success: false, error: 'Invalid theme preset' });
+    const { data, error } = storage.prepareSnapshot(snapshot);
+    if (error) {
+      return sendJSON(res, 400, { error });
     }
 
-    if (preferences.backgroundColor && !validBackgrounds.includes(preferences.backgroundColor)) {
-      return sendJSON(res, 400, { success: false, error: 'Invalid background color' });
-    }
+    const restored = await backups.getBackup(backupId);
+    const safetyBackup = await backups.createBackup('restore', await storage.readData());
+    await storage.restoreData(data);
 
-    // Validate accent color (hex format)
-    if (preferences.accentColor && !isValidHexColor(preferences.accentColor)) {
-      return sendJSON(res, 400, { success: false, error: 'Invalid accent color (must be hex format)' });
-    }
+    auditEvent(req, 'backup.restore', authResult.user, { backupId, safetyBackupId: safetyBackup.id });
+    sendJSON(res, 200, { success: true, restored, safetyBackup });
+  } catch (error) {
+    console.error('Restore backup error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
 
-    if (!preferences.pageTitle || preferences.pageTitle.length > 50) {
-      return sendJSON(res, 400, { success: false, error: 'Page title must be 1-50 characters' });
-    }
+/**
+ * User fields that are safe to send to clients
+ */
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: !!user.disabled,
+    twoFactorEnabled: !!user.totp,
+    ssoLinked: !!user.oidc,
+    createdAt: user.createdAt
+  };
+}
 
-    // Validate custom CSS (optional field - just ensure it's an object if provided)
-    if (preferences.customCss !== undefined && typeof preferences.customCss !== 'object') {
-      return sendJSON(res, 400, { success: false, error: 'Invalid custom CSS format' });
-    }
+/**
+ * Validate a username - returns an error message or null
+ */
+function validateUsername(username) {
+  if (!username || typeof username !== 'string' || username.length < 3 || username.length > 50) {
+    return 'Username must be 3-50 characters';
+  }
+  return null;
+}
 
-    await storage.savePreferences(preferences);
-    sendJSON(res, 200, { success: true });
+/**
+ * Validate a password - returns an error message or null
+ */
+function validatePassword(password) {
+  if (!password || typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+/**
+ * Handle GET /api/me - the signed-in user
+ */
+async function handleGetMe(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  sendJSON(res, 200, { user: publicUser(user) });
+}
+
+/**
+ * Handle GET /api/users (admin only)
+ */
+async function handleGetUsers(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (user.role !== 'admin') {
+    return sendJSON(res, 403, { error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+  }
+
+  try {
+    const users = await storage.getUsers();
+    sendJSON(res, 200, { users: users.filter(u => u.username).map(publicUser) });
   } catch (error) {
-    console.error('Save preferences error:', error);
-    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+    console.error('Get users error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle GET /api/export
+ * Handle POST /api/users (admin only) - create an account with its own empty workspace
  */
-async function handleExport(req, res) {
-  if (!await isAuthenticated(req)) {
+async function handleCreateUser(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  if (authResult.user.role !== 'admin') {
+    return sendJSON(res, 403, { error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+  }
 
   try {
-    const links = await storage.getLinks();
-    const tags = await storage.getTags();
-    const preferences = await storage.getPreferences();
+    const body = await parseBody(req);
+    const { username, password, role = 'user' } = body;
 
-    if (!res.headersSent) {
-      res.writeHead(200, {
-        'Content-Type': 'application/json',
-        'Content-Disposition': 'attachment; filename=simple-linkz-export.json'
-      });
-      res.end(JSON.stringify({ links, tags, preferences }, null, 2));
+    const validationError = validateUsername(username) || validatePassword(password);
+    if (validationError) {
+      return sendJSON(res, 400, { error: validationError });
+    }
+    if (!schema.USER_ROLES.includes(role)) {
+      return sendJSON(res, 400, { error: 'Role must be admin or user' });
     }
+    if (await storage.getUserByUsername(username)) {
+      return sendJSON(res, 409, { error: 'Username already taken' });
+    }
+
+    const passwordHash = await auth.hashPassword(password);
+    const user = await storage.createUser({ username, passwordHash, role });
+
+    sendJSON(res, 201, { user: publicUser(user) });
   } catch (error) {
-    console.error('Export error:', error);
+    if (sendBodyError(res, error)) return;
+    console.error('Create user error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/import
+ * Handle PUT /api/users/:id (admin only) - change role, disable/enable or reset the password.
+ * Disabling an account or resetting its password signs it out everywhere.
  */
-async function handleImport(req, res) {
+async function handleUpdateUser(req, res, userId) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -621,408 +1308,2161 @@ async function handleImport(req, res) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  if (authResult.user.role !== 'admin') {
+    return sendJSON(res, 403, { error: 'Admin access required', code: 'ADMIN_REQUIRED' });
+  }
 
   try {
     const body = await parseBody(req);
-    const { links, tags, preferences } = body;
-
-    // Handle tag import with merging
-    let tagIdMapping = {}; // Maps old tag IDs to new/existing tag IDs
-    if (tags && Array.isArray(tags)) {
-      const existingTags = await storage.getTags();
-      const existingTagsByName = {};
-      existingTags.forEach(t => {
-        existingTagsByName[t.name.toLowerCase()] = t;
-      });
+    const { role, disabled, password, twoFactorEnabled, ssoLinked } = body;
 
-      const mergedTags = [...existingTags];
+    const users = await storage.getUsers();
+    const user = users.find(u => u.id === userId && u.username);
 
-      for (const importedTag of tags) {
-        const normalizedName = importedTag.name.toLowerCase();
-        if (existingTagsByName[normalizedName]) {
-          // Tag with same name exists, use existing tag ID
-          tagIdMapping[importedTag.id] = existingTagsByName[normalizedName].id;
-        } else {
-          // New tag, generate new ID and add
-          const newId = crypto.randomUUID();
-          tagIdMapping[importedTag.id] = newId;
-          const newTag = {
-            id: newId,
-            name: importedTag.name,
-            color: importedTag.color || '#3B82F6'
-          };
-          mergedTags.push(newTag);
-          existingTagsByName[normalizedName] = newTag;
-        }
-      }
+    if (!user) {
+      return sendJSON(res, 404, { error: 'User not found' });
+    }
 
-      await storage.saveTags(mergedTags);
+    // Admins can't lock themselves out
+    if (userId === authResult.user.id && (disabled === true || (role !== undefined && role !== 'admin'))) {
+      return sendJSON(res, 400, { error: 'You cannot disable or demote your own account' });
     }
 
-    // Handle links import with tag ID remapping
-    if (links) {
-      if (!Array.isArray(links)) {
-        return sendJSON(res, 400, { success: false, error: 'Links must be an array' });
+    if (role !== undefined) {
+      if (!schema.USER_ROLES.includes(role)) {
+        return sendJSON(res, 400, { error: 'Role must be admin or user' });
       }
+      user.role = role;
+    }
 
-      // Remap tag IDs in links if we have a mapping
-      const remappedLinks = links.map(link => {
-        if (link.tags && Array.isArray(link.tags) && Object.keys(tagIdMapping).length > 0) {
-          return {
-            ...link,
-            tags: link.tags.map(oldTagId => tagIdMapping[oldTagId] || oldTagId)
-          };
-        }
-        return link;
-      });
-
-      await storage.saveLinks(remappedLinks);
+    if (disabled !== undefined) {
+      if (typeof disabled !== 'boolean') {
+        return sendJSON(res, 400, { error: 'disabled must be a boolean' });
+      }
+      user.disabled = disabled;
     }
 
-    if (preferences) {
-      const validLayouts = ['grid', 'list', 'cards'];
-      const validThemePresets = [
-        'midnight', 'slate', 'ocean', 'forest', 'ember', 'lavender', 'sand', 'arctic',
-        'cherry', 'mocha', 'teal', 'blush', 'sapphire', 'mint', 'rose', 'storm',
-        'sunset', 'olive', 'paper', 'graphite'
-      ];
-      const validBackgrounds = [
-        'white', 'stone', 'slate', 'sky', 'mint', 'cream', 'peach', 'rose',
-        'charcoal', 'graphite', 'navy', 'ocean', 'forest', 'espresso', 'plum', 'noir',
-        'gray', 'zinc', 'cyan', 'lime', 'olive', 'burgundy'
-      ];
-
-      // Normalize legacy named accent colors to hex
-      if (preferences.accentColor) {
-        preferences.accentColor = normalizeAccentColor(preferences.accentColor);
+    if (password !== undefined) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return sendJSON(res, 400, { error: passwordError });
       }
+      user.passwordHash = await auth.hashPassword(password);
+    }
 
-      if (!validLayouts.includes(preferences.layout) ||
-          (preferences.themePreset && !validThemePresets.includes(preferences.themePreset)) ||
-          (preferences.backgroundColor && !validBackgrounds.includes(preferences.backgroundColor)) ||
-          (preferences.pageTitle && (preferences.pageTitle.length < 1 || preferences.pageTitle.length > 50))) {
-        return sendJSON(res, 400, { success: false, error: 'Invalid preferences' });
+    // Admins can turn two-factor authentication off (e.g. a lost phone), but not on
+    if (twoFactorEnabled !== undefined) {
+      if (twoFactorEnabled !== false) {
+        return sendJSON(res, 400, { error: 'Two-factor authentication can only be turned on by the user' });
       }
+      clearTwoFactor(user);
+    }
 
-      // Validate accent color if provided
-      if (preferences.accentColor && !isValidHexColor(preferences.accentColor)) {
-        return sendJSON(res, 400, { success: false, error: 'Invalid accent color format (must be hex)' });
+    // Likewise for single sign-on: admins can remove a link (e.g. a lost provider account), but
+    // only the user can create one
+    const unlinkSso = ssoLinked !== undefined && !!user.oidc;
+    if (ssoLinked !== undefined) {
+      if (ssoLinked !== false) {
+        return sendJSON(res, 400, { error: 'Single sign-on can only be linked by the user' });
       }
+      user.oidc = null;
+    }
 
-      await storage.savePreferences(preferences);
+    await storage.saveUsers(users);
+    if (unlinkSso) {
+      auditEvent(req, 'sso.unlink', authResult.user, { userId: user.id, username: user.username });
+    }
+    if (user.disabled || password !== undefined) {
+      await auth.revokeUserSessions(user.id);
     }
 
-    sendJSON(res, 200, { success: true });
+    sendJSON(res, 200, { user: publicUser(user) });
   } catch (error) {
-    console.error('Import error:', error);
-    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+    if (sendBodyError(res, error)) return;
+    console.error('Update user error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle GET /api/page-title?url=...
+ * Remove two-factor authentication from a user record
  */
-async function handlePageTitle(req, res) {
-  if (!await isAuthenticated(req)) {
+function clearTwoFactor(user) {
+  user.totp = null;
+  user.totpPending = null;
+  user.recoveryCodes = [];
+}
+
+/**
+ * Load the signed-in user's mutable record for an account handler
+ */
+async function getAccountRecord(userId) {
+  const users = await storage.getUsers();
+  return { users, account: users.find(u => u.id === userId) };
+}
+
+/**
+ * Handle GET /api/account/2fa
+ */
+async function handleGetTwoFactor(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
 
-  let responseSent = false;
+  sendJSON(res, 200, {
+    enabled: !!user.totp,
+    recoveryCodesRemaining: user.totp ? (user.recoveryCodes || []).length : 0
+  });
+}
 
-  try {
-    const parsedUrl = url.parse(req.url, true);
-    const targetUrl = parsedUrl.query.url;
+/**
+ * Handle POST /api/account/2fa/setup - start enrollment with a new secret.
+ * Nothing changes for login until the secret is confirmed through /enable.
+ */
+async function handleSetupTwoFactor(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
 
-    if (!targetUrl) {
-      return sendJSON(res, 400, { error: 'URL required' });
+  try {
+    const { users, account } = await getAccountRecord(authResult.user.id);
+    if (account.totp) {
+      return sendJSON(res, 400, { error: 'Two-factor authentication is already on' });
     }
 
-    // Parse domain from URL for fallback
+    const secret = auth.generateTotpSecret();
+    account.totpPending = { secret, createdAt: Date.now() };
+    await storage.saveUsers(users);
+
+    sendJSON(res, 200, { secret, otpauthUri: auth.getTotpUri(secret, account.username) });
+  } catch (error) {
+    console.error('Set up two-factor error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/account/2fa/enable - confirm the pending secret with a code.
+ * Returns the recovery codes; they are only ever shown here.
+ */
+async function handleEnableTwoFactor(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { users, account } = await getAccountRecord(authResult.user.id);
+
+    if (account.totp) {
+      return sendJSON(res, 400, { error: 'Two-factor authentication is already on' });
+    }
+    if (!account.totpPending) {
+      return sendJSON(res, 400, { error: 'Start two-factor setup first' });
+    }
+
+    const counter = auth.verifyTotp(account.totpPending.secret, body.code);
+    if (counter === null) {
+      return sendJSON(res, 400, { error: 'Invalid authentication code', code: 'TOTP_INVALID' });
+    }
+
+    const { codes, hashes } = await auth.generateRecoveryCodes();
+    account.totp = { secret: account.totpPending.secret, enabledAt: Date.now(), lastCounter: counter };
+    account.totpPending = null;
+    account.recoveryCodes = hashes;
+    await storage.saveUsers(users);
+
+    sendJSON(res, 200, { success: true, recoveryCodes: codes, user: publicUser(account) });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Enable two-factor error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/account/2fa/disable - requires the current password
+ */
+async function handleDisableTwoFactor(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { users, account } = await getAccountRecord(authResult.user.id);
+
+    if (!body.password || !await auth.verifyPassword(body.password, account.passwordHash)) {
+      return sendJSON(res, 400, { error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+
+    clearTwoFactor(account);
+    await storage.saveUsers(users);
+
+    sendJSON(res, 200, { success: true, user: publicUser(account) });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Disable two-factor error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/account/2fa/recovery-codes - replace all recovery codes,
+ * requires the current password
+ */
+async function handleRegenerateRecoveryCodes(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { users, account } = await getAccountRecord(authResult.user.id);
+
+    if (!account.totp) {
+      return sendJSON(res, 400, { error: 'Two-factor authentication is off' });
+    }
+    if (!body.password || !await auth.verifyPassword(body.password, account.passwordHash)) {
+      return sendJSON(res, 400, { error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+
+    const { codes, hashes } = await auth.generateRecoveryCodes();
+    account.recoveryCodes = hashes;
+    await storage.saveUsers(users);
+
+    sendJSON(res, 200, { recoveryCodes: codes });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Regenerate recovery codes error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/account/password - change the signed-in user's password.
+ * Every other session of the account is signed out.
+ */
+async function handleChangePassword(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { currentPassword, newPassword } = body;
+    const { users, account } = await getAccountRecord(authResult.user.id);
+
+    if (!currentPassword || !await auth.verifyPassword(currentPassword, account.passwordHash)) {
+      return sendJSON(res, 400, { error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return sendJSON(res, 400, { error: passwordError });
+    }
+
+    account.passwordHash = await auth.hashPassword(newPassword);
+    await storage.saveUsers(users);
+    await auth.revokeUserSessions(account.id, authResult.sessionToken);
+
+    sendJSON(res, 200, { success: true });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Change password error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/account/username - rename the signed-in user (requires the current password)
+ */
+async function handleChangeUsername(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const body = await parseBody(req);
+    const { currentPassword } = body;
+    const username = typeof body.username === 'string' ? body.username.trim() : body.username;
+    const { users, account } = await getAccountRecord(authResult.user.id);
+
+    if (!currentPassword || !await auth.verifyPassword(currentPassword, account.passwordHash)) {
+      return sendJSON(res, 400, { error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+
+    const usernameError = validateUsername(username);
+    if (usernameError) {
+      return sendJSON(res, 400, { error: usernameError });
+    }
+
+    // Changing only the case of your own name is allowed
+    const existing = await storage.getUserByUsername(username);
+    if (existing && existing.id !== account.id) {
+      return sendJSON(res, 409, { error: 'Username already taken' });
+    }
+
+    account.username = username;
+    await storage.saveUsers(users);
+
+    sendJSON(res, 200, { success: true, user: publicUser(account) });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Change username error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Session fields that are safe to send to clients (never the token)
+ */
+function publicSession(session, isCurrent) {
+  return {
+    id: session.id,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: isCurrent
+  };
+}
+
+/**
+ * Handle GET /api/sessions - the signed-in user's active sessions, most recent first
+ */
+async function handleGetSessions(req, res) {
+  const sessionToken = await extractSessionToken(req);
+  const user = await getSessionUser(sessionToken);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const sessions = await storage.getSessions();
+    const list = Object.entries(sessions)
+      .filter(([, session]) => session.userId === user.id && auth.isSessionValid(session))
+      .map(([token, session]) => publicSession(session, token === sessionToken))
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+    sendJSON(res, 200, { sessions: list });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle DELETE /api/sessions/:id - sign out one of the user's sessions
+ */
+async function handleDeleteSession(req, res, sessionId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+
+  try {
+    const sessions = await storage.getSessions();
+    const token = Object.keys(sessions).find(t =>
+      sessions[t].id === sessionId && sessions[t].userId === authResult.user.id
+    );
+    if (!token) {
+      return sendJSON(res, 404, { error: 'Session not found' });
+    }
+
+    await auth.clearCsrfToken(token);
+    delete sessions[token];
+    await storage.saveSessions(sessions);
+    auditEvent(req, 'session.delete', authResult.user, { sessionId });
+
+    // Signing out the current session also clears its cookie
+    const isCurrent = token === authResult.sessionToken;
+    if (isCurrent) {
+      res.setHeader('Set-Cookie', `${COOKIE_NAME}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`);
+    }
+    sendJSON(res, 200, { success: true, current: isCurrent });
+  } catch (error) {
+    console.error('Delete session error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * API token fields that are safe to send to clients (never the hash), with when it was last used
+ */
+function publicApiToken(apiToken, lastUsedAt = null) {
+  return {
+    id: apiToken.id,
+    name: apiToken.name,
+    scope: apiToken.scope,
+    prefix: apiToken.prefix,
+    createdAt: apiToken.createdAt,
+    lastUsedAt
+  };
+}
+
+/**
+ * Handle GET /api/tokens - the caller's personal API tokens
+ */
+async function handleGetApiTokens(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const apiTokens = await storage.getApiTokens();
+    const usage = await storage.getApiTokenUsage();
+    sendJSON(res, 200, {
+      tokens: apiTokens.filter(t => t.userId === user.id).map(t => publicApiToken(t, usage[t.id] || null))
+    });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/tokens - the plain token is only returned in this response
+ */
+async function handleCreateApiToken(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const scope = body.scope || 'read-only';
+
+    if (name.length === 0 || name.length > 50) {
+      return sendJSON(res, 400, { error: 'Token name must be 1-50 characters' });
+    }
+    if (!auth.API_TOKEN_SCOPES.includes(scope)) {
+      return sendJSON(res, 400, { error: `Scope must be one of: ${auth.API_TOKEN_SCOPES.join(', ')}` });
+    }
+
+    const { token, record } = await auth.createApiToken(user.id, name, scope);
+    sendJSON(res, 201, { token: publicApiToken(record), secret: token });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Create API token error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle DELETE /api/tokens/:id
+ */
+async function handleDeleteApiToken(req, res, tokenId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const apiTokens = await storage.getApiTokens();
+    const apiToken = apiTokens.find(t => t.id === tokenId && t.userId === user.id);
+    if (!apiToken) {
+      return sendJSON(res, 404, { error: 'Token not found' });
+    }
+
+    await storage.saveApiTokens(apiTokens.filter(t => t.id !== tokenId));
+    auditEvent(req, 'token.delete', user, { id: apiToken.id, name: apiToken.name });
+    sendJSON(res, 200, { success: true });
+  } catch (error) {
+    console.error('Delete API token error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle GET /api/links
+ */
+async function handleGetLinks(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const dashboard = await resolveDashboard(user.id, url.parse(req.url, true).query.dashboard);
+    if (!dashboard) {
+      return sendJSON(res, 404, { error: 'Dashboard not found' });
+    }
+
+    const links = (await storage.getLinks(user.id)).filter(l => l.dashboardId === dashboard.id);
+    const revision = await storage.getRevision(user.id, 'links');
+    res.setHeader('ETag', formatRevision(revision));
+    sendJSON(res, 200, { links, dashboardId: dashboard.id, revision });
+  } catch (error) {
+    console.error('Get links error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Fields a client may set on a link (id and order are managed by the server)
+ */
+const EDITABLE_LINK_FIELDS = ['dashboardId', 'name', 'url', 'fallbackEmoji', 'tags', 'groupId', 'iconType', 'iconValue', 'faviconUrl'];
+
+/**
+ * Copy only the editable link fields from a request body
+ */
+function pickLinkFields(body) {
+  const fields = {};
+  for (const key of EDITABLE_LINK_FIELDS) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Move the items with the given ids (keeping their relative order) in front of
+ * beforeId, or to the end when beforeId is null. Returns renumbered copies.
+ */
+function moveItems(items, ids, beforeId) {
+  const sorted = [...items].sort((a, b) => a.order - b.order);
+  const moved = ids.map(id => sorted.find(item => item.id === id));
+  const rest = sorted.filter(item => !ids.includes(item.id));
+  const insertAt = beforeId === null ? rest.length : rest.findIndex(item => item.id === beforeId);
+  rest.splice(insertAt, 0, ...moved);
+  return rest.map((item, index) => ({ ...item, order: index }));
+}
+
+/**
+ * Key of the list a link is ordered in - its group within its dashboard
+ */
+function linkBucket(dashboardId, groupId) {
+  return `${dashboardId}/${groupId || ''}`;
+}
+
+/**
+ * Renumber link order values to match their sorted position within each group
+ */
+function normalizeLinkOrder(links) {
+  const nextOrder = new Map();
+  return [...links]
+    .sort((a, b) => a.order - b.order)
+    .map(link => {
+      const bucket = linkBucket(link.dashboardId, link.groupId);
+      const order = nextOrder.get(bucket) || 0;
+      nextOrder.set(bucket, order + 1);
+      return { ...link, order };
+    });
+}
+
+/**
+ * Next free order value at the end of a group in a dashboard
+ */
+function nextLinkOrder(links, dashboardId, groupId) {
+  const bucket = linkBucket(dashboardId, groupId);
+  return links
+    .filter(l => linkBucket(l.dashboardId, l.groupId) === bucket)
+    .reduce((max, l) => Math.max(max, l.order + 1), 0);
+}
+
+/**
+ * Handle GET /api/links/:id
+ */
+async function handleGetLink(req, res, linkId) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const links = await storage.getLinks(user.id);
+    const link = links.find(l => l.id === linkId);
+
+    if (!link) {
+      return sendJSON(res, 404, { error: 'Link not found' });
+    }
+
+    sendJSON(res, 200, { link });
+  } catch (error) {
+    console.error('Get link error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/links - create a single link at the end of its group
+ */
+async function handleCreateLink(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+
+    if (!await checkRevision(req, res, user.id, 'links')) {
+      return;
+    }
+
+    const workspace = await storage.getWorkspace(user.id);
+    const links = workspace.links;
+
+    const newLink = {
+      id: crypto.randomUUID(),
+      dashboardId: null,
+      name: '',
+      url: '',
+      faviconUrl: null,
+      fallbackEmoji: '',
+      tags: [],
+      groupId: null,
+      iconType: 'favicon',
+      iconValue: null,
+      ...pickLinkFields(body),
+      addedAt: Date.now()
+    };
+
+    // Links go to the dashboard given in the body or query, or the first dashboard
+    const dashboard = await resolveDashboard(user.id, newLink.dashboardId || url.parse(req.url, true).query.dashboard);
+    if (!dashboard) {
+      return sendJSON(res, 400, { success: false, error: 'Dashboard not found' });
+    }
+    newLink.dashboardId = dashboard.id;
+    newLink.order = nextLinkOrder(links, newLink.dashboardId, newLink.groupId);
+
+    const errors = schema.validate(newLink, schema.LINK_SCHEMA, '', workspace);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    links.push(newLink);
+    await storage.saveLinks(user.id, links);
+
+    await sendRevisioned(res, 201, user.id, 'links', { link: newLink });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Create link error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle PATCH /api/links/:id - update only the fields present in the body
+ */
+async function handleUpdateLink(req, res, linkId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+
+    if (!await checkRevision(req, res, user.id, 'links')) {
+      return;
+    }
+
+    const workspace = await storage.getWorkspace(user.id);
+    let links = workspace.links;
+    const linkIndex = links.findIndex(l => l.id === linkId);
+
+    if (linkIndex === -1) {
+      return sendJSON(res, 404, { error: 'Link not found' });
+    }
+
+    const existingLink = links[linkIndex];
+    const updatedLink = { ...existingLink, ...pickLinkFields(body) };
+    if (!updatedLink.tags) {
+      updatedLink.tags = [];
+    }
+
+    // Moving to another dashboard without naming a group leaves the link ungrouped
+    if (updatedLink.dashboardId !== existingLink.dashboardId && body.groupId === undefined) {
+      updatedLink.groupId = null;
+    }
+
+    const errors = schema.validate(updatedLink, schema.LINK_SCHEMA, '', workspace);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    // Moving to another group appends the link to the end of that group
+    if (linkBucket(existingLink.dashboardId, existingLink.groupId) !== linkBucket(updatedLink.dashboardId, updatedLink.groupId)) {
+      updatedLink.order = nextLinkOrder(links, updatedLink.dashboardId, updatedLink.groupId);
+    }
+
+    links[linkIndex] = updatedLink;
+    links = normalizeLinkOrder(links);
+    await storage.saveLinks(user.id, links);
+
+    await sendRevisioned(res, 200, user.id, 'links', { link: links.find(l => l.id === linkId) });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Update link error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle DELETE /api/links/:id
+ */
+async function handleDeleteLink(req, res, linkId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    if (!await checkRevision(req, res, user.id, 'links')) {
+      return;
+    }
+
+    const links = await storage.getLinks(user.id);
+    const link = links.find(l => l.id === linkId);
+
+    if (!link) {
+      return sendJSON(res, 404, { error: 'Link not found' });
+    }
+
+    await storage.saveLinks(user.id, normalizeLinkOrder(links.filter(l => l.id !== linkId)));
+    auditEvent(req, 'link.delete', user, { id: link.id, name: link.name, url: link.url });
+    await sendRevisioned(res, 200, user.id, 'links', { success: true });
+  } catch (error) {
+    console.error('Delete link error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/links/reorder
+ * Moves the given links (keeping their relative order) into `groupId` in front
+ * of `beforeId`, or to the end of the group when `beforeId` is null. Without
+ * `groupId` the links go to the group of `beforeId`, or stay in the group of
+ * the first moved link. Links that are not mentioned keep their relative order.
+ * All links stay on the dashboard of the first moved link.
+ */
+async function handleReorderLinks(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const { linkIds, beforeId = null } = body;
+
+    if (!await checkRevision(req, res, user.id, 'links')) {
+      return;
+    }
+
+    if (!Array.isArray(linkIds) || linkIds.length === 0) {
+      return sendJSON(res, 400, { success: false, error: 'linkIds must be a non-empty array' });
+    }
+    if (new Set(linkIds).size !== linkIds.length) {
+      return sendJSON(res, 400, { success: false, error: 'Duplicate link ID' });
+    }
+    if (beforeId !== null && linkIds.includes(beforeId)) {
+      return sendJSON(res, 400, { success: false, error: 'beforeId cannot be one of the moved links' });
+    }
+
+    const links = await storage.getLinks(user.id);
+    const groups = await storage.getGroups(user.id);
+    const linksById = new Map(links.map(l => [l.id, l]));
+
+    for (const linkId of linkIds) {
+      if (!linksById.has(linkId)) {
+        return sendJSON(res, 400, { success: false, error: `Link not found: ${linkId}` });
+      }
+    }
+    if (beforeId !== null && !linksById.has(beforeId)) {
+      return sendJSON(res, 400, { success: false, error: `Link not found: ${beforeId}` });
+    }
+
+    const dashboardId = linksById.get(linkIds[0]).dashboardId;
+    if (linkIds.some(id => linksById.get(id).dashboardId !== dashboardId)) {
+      return sendJSON(res, 400, { success: false, error: 'Links must be on the same dashboard' });
+    }
+
+    // Resolve the target group
+    let groupId;
+    if (body.groupId !== undefined) {
+      groupId = body.groupId;
+      if (groupId !== null && !groups.some(g => g.id === groupId && g.dashboardId === dashboardId)) {
+        return sendJSON(res, 400, { success: false, error: `Invalid group ID: ${groupId}` });
+      }
+    } else if (beforeId !== null) {
+      groupId = linksById.get(beforeId).groupId || null;
+    } else {
+      groupId = linksById.get(linkIds[0]).groupId || null;
+    }
+
+    const bucket = linkBucket(dashboardId, groupId);
+    if (beforeId !== null && linkBucket(linksById.get(beforeId).dashboardId, linksById.get(beforeId).groupId) !== bucket) {
+      return sendJSON(res, 400, { success: false, error: 'beforeId must be in the target group' });
+    }
+
+    // Reorder the target group, then close the gaps the moved links left behind
+    const targetLinks = links
+      .filter(l => linkIds.includes(l.id) || linkBucket(l.dashboardId, l.groupId) === bucket)
+      .map(l => (linkIds.includes(l.id) ? { ...l, groupId } : l));
+    const otherLinks = links.filter(l => !linkIds.includes(l.id) && linkBucket(l.dashboardId, l.groupId) !== bucket);
+    const reordered = normalizeLinkOrder([...otherLinks, ...moveItems(targetLinks, linkIds, beforeId)]);
+    await storage.saveLinks(user.id, reordered);
+
+    await sendRevisioned(res, 200, user.id, 'links', {
+      success: true,
+      order: reordered.map(l => ({ id: l.id, groupId: l.groupId, order: l.order }))
+    });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Reorder links error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Convert legacy accent color names to hex and an empty public URL to null. Anything
+ * else is left for validation to judge.
+ */
+function normalizePreferences(preferences) {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return preferences;
+  }
+  const normalized = { ...preferences };
+  if (normalized.accentColor) {
+    normalized.accentColor = schema.normalizeAccentColor(normalized.accentColor) || normalized.accentColor;
+  }
+  if (normalized.publicSlug === undefined || normalized.publicSlug === '') {
+    normalized.publicSlug = null;
+  }
+  return normalized;
+}
+
+/**
+ * Handle GET /api/preferences
+ */
+async function handleGetPreferences(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const preferences = await storage.getPreferences(user.id);
+    const revision = await storage.getRevision(user.id, 'preferences');
+    res.setHeader('ETag', formatRevision(revision));
+    sendJSON(res, 200, { preferences, revision });
+  } catch (error) {
+    console.error('Get preferences error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/preferences
+ */
+async function handleSavePreferences(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const preferences = normalizePreferences(body.preferences);
+
+    if (!await checkRevision(req, res, user.id, 'preferences')) {
+      return;
+    }
+
+    const errors = schema.validate(preferences, schema.PREFERENCES_SCHEMA, 'preferences');
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    // Public page slug: null disables the page, otherwise it must be unused by other accounts
+    if (preferences.publicSlug !== null) {
+      const owner = await findPublicPageOwner(preferences.publicSlug);
+      if (owner && owner.id !== user.id) {
+        const message = 'That public URL is already taken';
+        return sendJSON(res, 409, { success: false, error: message, errors: [{ path: 'preferences.publicSlug', message }] });
+      }
+    }
+
+    await storage.savePreferences(user.id, preferences);
+    await sendRevisioned(res, 200, user.id, 'preferences', { success: true });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Save preferences error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle GET /api/export
+ */
+async function handleExport(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  const format = url.parse(req.url, true).query.format || 'json';
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    return sendJSON(res, 400, { error: `Unknown export format ${format}: use json, ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const dashboards = await storage.getDashboards(user.id);
+    const links = await storage.getLinks(user.id);
+    const tags = await storage.getTags(user.id);
+    const groups = await storage.getGroups(user.id);
+    const preferences = await storage.getPreferences(user.id);
+    const data = { dashboards, links, tags, groups, preferences };
+
+    const exporter = EXPORT_FORMATS[format];
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': exporter ? exporter.contentType : 'application/json',
+        'Content-Disposition': `attachment; filename=simple-linkz-export.${exporter ? exporter.extension : 'json'}`
+      });
+      res.end(exporter ? exporter.render(data) : JSON.stringify(data, null, 2));
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/import
+ */
+async function handleImport(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req, MAX_IMPORT_SIZE);
+
+    // Files exported by older versions may use named accent colors
+    if (body.preferences) {
+      body.preferences = normalizePreferences(body.preferences);
+    }
+    if (Array.isArray(body.dashboards)) {
+      body.dashboards = body.dashboards.map(d => (d && typeof d === 'object' ? { ...d, theme: normalizeDashboardTheme(d.theme) } : d));
+    }
+
+    const inputErrors = schema.validate(body, schema.IMPORT_SCHEMA);
+    if (inputErrors.length > 0) {
+      return sendValidationErrors(res, inputErrors);
+    }
+    const { dashboards = [], links, tags = [], groups = [], preferences } = body;
+
+    // Everything is merged into a copy of the workspace, checked, and saved in one write
+    const workspace = await storage.getWorkspace(user.id);
+
+    // Dashboards merge by slug
+    const dashboardIdMapping = {}; // Maps old dashboard IDs to new/existing dashboard IDs
+    let nextDashboardOrder = workspace.dashboards.reduce((max, d) => Math.max(max, d.order + 1), 0);
+    for (const importedDashboard of [...dashboards].sort((a, b) => (a.order || 0) - (b.order || 0))) {
+      const existing = workspace.dashboards.find(d => d.slug === importedDashboard.slug);
+      if (existing) {
+        dashboardIdMapping[importedDashboard.id] = existing.id;
+      } else {
+        const newDashboard = {
+          id: crypto.randomUUID(),
+          name: importedDashboard.name,
+          slug: uniqueSlug(importedDashboard.slug || slugify(importedDashboard.name), workspace.dashboards),
+          order: nextDashboardOrder++,
+          theme: importedDashboard.theme || null
+        };
+        dashboardIdMapping[importedDashboard.id] = newDashboard.id;
+        workspace.dashboards.push(newDashboard);
+      }
+    }
+    // Anything that doesn't map to a dashboard lands on the first one
+    const defaultDashboard = [...workspace.dashboards].sort((a, b) => a.order - b.order)[0];
+
+    // Tags merge by name
+    const tagIdMapping = {}; // Maps old tag IDs to new/existing tag IDs
+    const existingTagsByName = {};
+    workspace.tags.forEach(t => {
+      existingTagsByName[t.name.toLowerCase()] = t;
+    });
+    for (const importedTag of tags) {
+      const normalizedName = importedTag.name.toLowerCase();
+      if (existingTagsByName[normalizedName]) {
+        // Tag with same name exists, use existing tag ID
+        tagIdMapping[importedTag.id] = existingTagsByName[normalizedName].id;
+      } else {
+        const newTag = {
+          id: crypto.randomUUID(),
+          name: importedTag.name,
+          color: importedTag.color || '#3B82F6',
+          public: importedTag.public === true
+        };
+        tagIdMapping[importedTag.id] = newTag.id;
+        workspace.tags.push(newTag);
+        existingTagsByName[normalizedName] = newTag;
+      }
+    }
+
+    // Groups merge by name within each dashboard, same as tags
+    const groupIdMapping = {}; // Maps old group IDs to new/existing group IDs
+    const existingGroupsByName = {};
+    workspace.groups.forEach(g => {
+      existingGroupsByName[`${g.dashboardId}/${g.name.toLowerCase()}`] = g;
+    });
+    for (const importedGroup of [...groups].sort((a, b) => (a.order || 0) - (b.order || 0))) {
+      const dashboardId = dashboardIdMapping[importedGroup.dashboardId] || defaultDashboard.id;
+      const normalizedName = `${dashboardId}/${importedGroup.name.toLowerCase()}`;
+      if (existingGroupsByName[normalizedName]) {
+        groupIdMapping[importedGroup.id] = existingGroupsByName[normalizedName].id;
+      } else {
+        const newGroup = {
+          id: crypto.randomUUID(),
+          dashboardId,
+          name: importedGroup.name,
+          icon: importedGroup.icon || null,
+          order: workspace.groups
+            .filter(g => g.dashboardId === dashboardId)
+            .reduce((max, g) => Math.max(max, g.order + 1), 0),
+          collapsed: !!importedGroup.collapsed
+        };
+        groupIdMapping[importedGroup.id] = newGroup.id;
+        workspace.groups.push(newGroup);
+        existingGroupsByName[normalizedName] = newGroup;
+      }
+    }
+
+    // Imported links replace the current ones under new IDs, with tag, group and dashboard IDs
+    // remapped. Tags the file doesn't define, and custom icons, are kept only if they exist here.
+    if (links) {
+      const tagIds = new Set(workspace.tags.map(t => t.id));
+      const iconFiles = new Set(workspace.customIcons.map(i => i.filename));
+      const hasIcon = link => link.iconType && (link.iconType !== 'custom' || iconFiles.has(link.iconValue));
+      workspace.links = links.map((link, index) => ({
+        id: crypto.randomUUID(),
+        dashboardId: dashboardIdMapping[link.dashboardId] || defaultDashboard.id,
+        name: link.name,
+        url: link.url,
+        order: link.order !== undefined ? link.order : index,
+        faviconUrl: link.faviconUrl || null,
+        fallbackEmoji: link.fallbackEmoji || '',
+        tags: (link.tags || []).map(tagId => tagIdMapping[tagId] || tagId).filter(tagId => tagIds.has(tagId)),
+        groupId: groupIdMapping[link.groupId] || null,
+        iconType: hasIcon(link) ? link.iconType : 'favicon',
+        iconValue: hasIcon(link) ? link.iconValue || null : null,
+        ...(link.addedAt !== undefined ? { addedAt: link.addedAt } : {})
+      }));
+    }
+
+    // Importing never publishes a page; keep whatever public URL is already set
+    if (preferences) {
+      workspace.preferences = { ...workspace.preferences, ...preferences, publicSlug: workspace.preferences.publicSlug || null };
+    }
+
+    const errors = schema.validate(workspace, schema.WORKSPACE_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    workspace.links = normalizeLinkOrder(workspace.links);
+
+    // Snapshot everything first so a bad import can be rolled back from Settings → Backups
+    const backup = await backups.createBackup('import', await storage.readData());
+    await storage.saveWorkspace(user.id, workspace);
+
+    const count = items => (Array.isArray(items) ? items.length : 0);
+    auditEvent(req, 'data.import', user, {
+      dashboards: count(dashboards),
+      links: count(links),
+      tags: count(tags),
+      groups: count(groups),
+      preferences: Boolean(preferences),
+      backupId: backup.id
+    });
+    sendJSON(res, 200, { success: true });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Import error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Import a browser bookmarks.html file onto a dashboard: { html, dashboardId, preview }.
+ * Folders become tags. With preview: true nothing is saved and the response lists what would be.
+ */
+async function handleImportBookmarks(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req, MAX_IMPORT_SIZE);
+    if (typeof body.html !== 'string') {
+      return sendValidationErrors(res, [{ path: 'html', message: 'Bookmarks file is required' }]);
+    }
+
+    const dashboard = await resolveDashboard(user.id, body.dashboardId);
+    if (!dashboard) {
+      return sendJSON(res, 400, { success: false, error: 'Dashboard not found' });
+    }
+
+    const found = bookmarks.parseBookmarksHtml(body.html);
+    if (found.length === 0) {
+      return sendJSON(res, 400, { success: false, error: 'No bookmarks found. Export them from your browser as an HTML file.' });
+    }
+
+    const workspace = await storage.getWorkspace(user.id);
+    const plan = bookmarks.planBookmarkImport(workspace, found, dashboard.id);
+    const tagNames = new Map([...workspace.tags, ...plan.tags].map(t => [t.id, t.name]));
+    const summary = {
+      dashboard: { id: dashboard.id, name: dashboard.name },
+      links: plan.links.map(link => ({
+        name: link.name,
+        url: link.url,
+        tags: link.tags.map(tagId => tagNames.get(tagId)),
+        addedAt: link.addedAt || null,
+        hasIcon: Boolean(link.faviconUrl)
+      })),
+      tags: plan.tags.map(tag => ({ name: tag.name, color: tag.color })),
+      skipped: plan.skipped
+    };
+
+    if (body.preview === true) {
+      return sendJSON(res, 200, { success: true, preview: true, ...summary });
+    }
+    if (plan.links.length === 0) {
+      return sendJSON(res, 400, { success: false, error: 'Nothing to import: every bookmark was skipped', skipped: plan.skipped });
+    }
+
+    workspace.tags.push(...plan.tags);
+    workspace.links.push(...plan.links);
+    const errors = schema.validate(workspace, schema.WORKSPACE_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const backup = await backups.createBackup('import', await storage.readData());
+    await storage.saveWorkspace(user.id, workspace);
+
+    auditEvent(req, 'data.import', user, {
+      format: 'bookmarks',
+      dashboardId: dashboard.id,
+      links: plan.links.length,
+      tags: plan.tags.length,
+      skipped: plan.skipped.length,
+      backupId: backup.id
+    });
+    sendJSON(res, 200, { success: true, ...summary });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Bookmark import error:', error);
+    sendJSON(res, 500, { success: false, error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle GET /api/page-title?url=...
+ */
+async function handlePageTitle(req, res) {
+  if (!await isAuthenticated(req)) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  let responseSent = false;
+
+  try {
+    const parsedUrl = url.parse(req.url, true);
+    const targetUrl = parsedUrl.query.url;
+
+    if (!targetUrl) {
+      return sendJSON(res, 400, { error: 'URL required' });
+    }
+
+    // Parse domain from URL for fallback
+    const urlObj = new URL(targetUrl);
+    const domain = urlObj.hostname.replace(/^www\./, '');
+
+    // Try to fetch the page and extract title
+    const protocol = urlObj.protocol === 'https:' ? https : require('http');
+
+    const request = protocol.get(targetUrl, { timeout: 10000 }, (pageRes) => {
+      if (responseSent) return;
+
+      if (pageRes.statusCode === 200) {
+        let html = '';
+        pageRes.on('data', chunk => {
+          if (responseSent) return;
+          html += chunk.toString();
+          // Stop after we have enough to find the title (first 10KB)
+          if (html.length > 10000) {
+            pageRes.destroy();
+          }
+        });
+
+        pageRes.on('end', () => {
+          if (responseSent) return;
+          responseSent = true;
+          // Try to extract title from HTML
+          const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
+          if (titleMatch && titleMatch[1]) {
+            const title = titleMatch[1].trim();
+            return sendJSON(res, 200, { title });
+          }
+          // Fallback to domain name
+          return sendJSON(res, 200, { title: domain });
+        });
+      } else {
+        // Fallback to domain name on error
+        if (responseSent) return;
+        responseSent = true;
+        return sendJSON(res, 200, { title: domain });
+      }
+    });
+
+    request.on('error', () => {
+      if (responseSent) return;
+      responseSent = true;
+      // Fallback to domain name on error
+      return sendJSON(res, 200, { title: domain });
+    });
+
+    request.on('timeout', () => {
+      if (responseSent) return;
+      responseSent = true;
+      request.destroy();
+      // Fallback to domain name on timeout
+      return sendJSON(res, 200, { title: domain });
+    });
+  } catch (error) {
+    console.error('[PAGE TITLE API] Error:', error);
+    if (responseSent) return;
+    responseSent = true;
+    try {
+      const parsedUrl = url.parse(req.url, true);
+      const urlObj = new URL(parsedUrl.query.url);
+      const domain = urlObj.hostname.replace(/^www\./, '');
+      return sendJSON(res, 200, { title: domain });
+    } catch {
+      return sendJSON(res, 400, { error: 'Invalid URL' });
+    }
+  }
+}
+
+/**
+ * Fetch favicon from a URL and return buffered data
+ */
+function fetchFaviconFromUrl(faviconUrl) {
+  return new Promise((resolve, reject) => {
+    const protocol = faviconUrl.startsWith('https') ? https : require('http');
+
+    const httpRequest = protocol.get(faviconUrl, { timeout: 5000 }, (faviconRes) => {
+      // Handle redirects (301, 302, 307, 308)
+      if (faviconRes.statusCode >= 300 && faviconRes.statusCode < 400 && faviconRes.headers.location) {
+        let redirectUrl;
+        if (faviconRes.headers.location.startsWith('http://') || faviconRes.headers.location.startsWith('https://')) {
+          redirectUrl = faviconRes.headers.location;
+        } else {
+          const originalUrl = new URL(faviconUrl);
+          redirectUrl = new URL(faviconRes.headers.location, originalUrl.origin).href;
+        }
+
+        // Follow redirect
+        fetchFaviconFromUrl(redirectUrl).then(resolve).catch(reject);
+        return;
+      }
+
+      if (faviconRes.statusCode === 200) {
+        const chunks = [];
+        faviconRes.on('data', chunk => chunks.push(chunk));
+        faviconRes.on('end', () => {
+          const buffer = Buffer.concat(chunks);
+          const contentType = faviconUrl.includes('google.com') ? 'image/png' : 'image/x-icon';
+          resolve({ buffer, contentType });
+        });
+        faviconRes.on('error', reject);
+      } else {
+        reject(new Error('Favicon not found'));
+      }
+    });
+
+    httpRequest.on('error', reject);
+    httpRequest.on('timeout', () => {
+      httpRequest.destroy();
+      reject(new Error('Timeout'));
+    });
+  });
+}
+
+/**
+ * Handle GET /api/favicon?url=...
+ */
+async function handleFavicon(req, res) {
+  if (!await isAuthenticated(req)) {
+    console.log('[FAVICON API] Unauthorized request');
+    if (!res.headersSent) {
+      res.writeHead(401);
+      res.end();
+    }
+    return;
+  }
+
+  try {
+    const parsedUrl = url.parse(req.url, true);
+    const targetUrl = parsedUrl.query.url;
+
+    console.log('[FAVICON API] Request for URL:', targetUrl);
+
+    if (!targetUrl) {
+      console.log('[FAVICON API] No URL provided');
+      if (!res.headersSent) {
+        res.writeHead(400);
+        res.end();
+      }
+      return;
+    }
+
+    // Check cache first
+    const cachedData = getCachedFavicon(targetUrl);
+    if (cachedData) {
+      console.log('[FAVICON API] Cache HIT for:', targetUrl);
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': cachedData.contentType,
+          'Cache-Control': 'public, max-age=86400',
+          'X-Cache': 'HIT'
+        });
+        res.end(cachedData.buffer);
+      }
+      return;
+    }
+
+    console.log('[FAVICON API] Cache MISS for:', targetUrl);
+
+    // Parse domain from URL
     const urlObj = new URL(targetUrl);
-    const domain = urlObj.hostname.replace(/^www\./, '');
+    console.log('[FAVICON API] Parsed domain:', urlObj.hostname);
+
+    // Try multiple favicon sources in order
+    const faviconUrls = [
+      // Try direct favicon.ico first
+      `${urlObj.protocol}//${urlObj.host}/favicon.ico`,
+      // Fallback to Google's favicon service (more reliable)
+      `https://www.google.com/s2/favicons?domain=${urlObj.hostname}&sz=32`
+    ];
+
+    let succeeded = false;
+
+    for (const faviconUrl of faviconUrls) {
+      console.log('[FAVICON API] Trying:', faviconUrl);
+      try {
+        const { buffer, contentType } = await fetchFaviconFromUrl(faviconUrl);
+
+        // Cache the result
+        setCachedFavicon(targetUrl, { buffer, contentType });
+        console.log('[FAVICON API] Cached favicon for:', targetUrl);
+
+        // Send response
+        if (!res.headersSent) {
+          res.writeHead(200, {
+            'Content-Type': contentType,
+            'Cache-Control': 'public, max-age=86400',
+            'X-Cache': 'MISS'
+          });
+          res.end(buffer);
+        }
+        succeeded = true;
+        console.log('[FAVICON API] Successfully fetched from:', faviconUrl);
+        break;
+      } catch (error) {
+        console.log('[FAVICON API] Failed, trying next source');
+        continue;
+      }
+    }
+
+    if (!succeeded) {
+      console.log('[FAVICON API] All sources failed, returning 404');
+      if (!res.headersSent) {
+        res.writeHead(404);
+        res.end();
+      }
+    }
+  } catch (error) {
+    console.log('[FAVICON API] Unexpected error:', error);
+    if (!res.headersSent) {
+      res.writeHead(404);
+      res.end();
+    }
+  }
+}
+
+/**
+ * Handle GET /api/debug/cache-stats
+ */
+async function handleCacheStats(req, res) {
+  if (!await isAuthenticated(req)) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  sendJSON(res, 200, {
+    faviconCacheSize: faviconCache.size,
+    maxSize: MAX_CACHE_SIZE
+  });
+}
+
+/**
+ * Helper function to remove a tag from all links
+ */
+function removeTagFromAllLinks(data, tagId) {
+  data.links = data.links.map(link => ({
+    ...link,
+    tags: (link.tags || []).filter(t => t !== tagId)
+  }));
+  return data;
+}
+
+/**
+ * Check a tag against the schema and the other tags' names (compared case-insensitively)
+ */
+function validateTag(tag, tags) {
+  const errors = schema.validate(tag, schema.TAG_SCHEMA);
+  if (errors.length === 0 && tags.some(t => t.id !== tag.id && t.name.toLowerCase() === tag.name.toLowerCase())) {
+    errors.push({ path: 'name', message: 'Tag name already exists' });
+  }
+  return errors;
+}
+
+/**
+ * Handle GET /api/tags
+ */
+async function handleGetTags(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+
+  try {
+    const tags = await storage.getTags(user.id);
+    // Sort alphabetically by name
+    const sortedTags = [...tags].sort((a, b) => a.name.localeCompare(b.name));
+    const revision = await storage.getRevision(user.id, 'tags');
+    res.setHeader('ETag', formatRevision(revision));
+    sendJSON(res, 200, { tags: sortedTags, revision });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/tags
+ */
+async function handleCreateTag(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const { name, color } = body;
+
+    if (!await checkRevision(req, res, user.id, 'tags')) {
+      return;
+    }
+
+    const newTag = {
+      id: crypto.randomUUID(),
+      name: typeof name === 'string' ? name.trim() : name,
+      color,
+      public: body.public === undefined ? false : body.public
+    };
+
+    const existingTags = await storage.getTags(user.id);
+    const errors = validateTag(newTag, existingTags);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    newTag.color = newTag.color.toUpperCase();
+
+    existingTags.push(newTag);
+    await storage.saveTags(user.id, existingTags);
+
+    await sendRevisioned(res, 200, user.id, 'tags', { tag: newTag });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Create tag error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle PUT /api/tags/:id
+ */
+async function handleUpdateTag(req, res, tagId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const { name, color } = body;
+
+    if (!await checkRevision(req, res, user.id, 'tags')) {
+      return;
+    }
+
+    const tags = await storage.getTags(user.id);
+    const tagIndex = tags.findIndex(t => t.id === tagId);
+
+    if (tagIndex === -1) {
+      return sendJSON(res, 404, { error: 'Tag not found' });
+    }
+
+    // Links carrying a public tag appear on the owner's public page
+    const tag = { ...tags[tagIndex] };
+    if (name !== undefined) {
+      tag.name = typeof name === 'string' ? name.trim() : name;
+    }
+    if (color !== undefined) {
+      tag.color = color;
+    }
+    if (body.public !== undefined) {
+      tag.public = body.public;
+    }
+
+    const errors = validateTag(tag, tags);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    tag.color = tag.color.toUpperCase();
+
+    tags[tagIndex] = tag;
+    await storage.saveTags(user.id, tags);
+
+    await sendRevisioned(res, 200, user.id, 'tags', { tag });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Update tag error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle DELETE /api/tags/:id
+ */
+async function handleDeleteTag(req, res, tagId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    if (!await checkRevision(req, res, user.id, 'tags')) {
+      return;
+    }
+
+    const workspace = await storage.getWorkspace(user.id);
+    const tagIndex = workspace.tags.findIndex(t => t.id === tagId);
+
+    if (tagIndex === -1) {
+      return sendJSON(res, 404, { error: 'Tag not found' });
+    }
+
+    // Remove the tag and take it off every link in the same write
+    const [tag] = workspace.tags.splice(tagIndex, 1);
+    removeTagFromAllLinks(workspace, tagId);
+    await storage.saveWorkspace(user.id, workspace);
+    auditEvent(req, 'tag.delete', user, { id: tag.id, name: tag.name });
+
+    await sendRevisioned(res, 200, user.id, 'tags', { success: true });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
+
+/**
+ * Handle POST /api/links/bulk-tag
+ */
+async function handleBulkTag(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const { linkIds, operation, tagIds } = body;
 
-    // Try to fetch the page and extract title
-    const protocol = urlObj.protocol === 'https:' ? https : require('http');
+    if (!await checkRevision(req, res, user.id, 'links')) {
+      return;
+    }
 
-    const request = protocol.get(targetUrl, { timeout: 10000 }, (pageRes) => {
-      if (responseSent) return;
+    // Validate input
+    if (!Array.isArray(linkIds) || linkIds.length === 0) {
+      return sendJSON(res, 400, { error: 'linkIds must be a non-empty array' });
+    }
+    if (!Array.isArray(tagIds) || tagIds.length === 0) {
+      return sendJSON(res, 400, { error: 'tagIds must be a non-empty array' });
+    }
+    if (operation !== 'add' && operation !== 'remove') {
+      return sendJSON(res, 400, { error: 'operation must be "add" or "remove"' });
+    }
 
-      if (pageRes.statusCode === 200) {
-        let html = '';
-        pageRes.on('data', chunk => {
-          if (responseSent) return;
-          html += chunk.toString();
-          // Stop after we have enough to find the title (first 10KB)
-          if (html.length > 10000) {
-            pageRes.destroy();
-          }
-        });
+    const workspace = await storage.getWorkspace(user.id);
+    const links = workspace.links || [];
+    const tags = workspace.tags || [];
 
-        pageRes.on('end', () => {
-          if (responseSent) return;
-          responseSent = true;
-          // Try to extract title from HTML
-          const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
-          if (titleMatch && titleMatch[1]) {
-            const title = titleMatch[1].trim();
-            return sendJSON(res, 200, { title });
-          }
-          // Fallback to domain name
-          return sendJSON(res, 200, { title: domain });
-        });
-      } else {
-        // Fallback to domain name on error
-        if (responseSent) return;
-        responseSent = true;
-        return sendJSON(res, 200, { title: domain });
+    // Validate all linkIds exist
+    const linkIdSet = new Set(links.map(l => l.id));
+    for (const linkId of linkIds) {
+      if (!linkIdSet.has(linkId)) {
+        return sendJSON(res, 400, { error: `Link not found: ${linkId}` });
       }
-    });
+    }
 
-    request.on('error', () => {
-      if (responseSent) return;
-      responseSent = true;
-      // Fallback to domain name on error
-      return sendJSON(res, 200, { title: domain });
-    });
+    // Validate all tagIds exist
+    const tagIdSet = new Set(tags.map(t => t.id));
+    for (const tagId of tagIds) {
+      if (!tagIdSet.has(tagId)) {
+        return sendJSON(res, 400, { error: `Tag not found: ${tagId}` });
+      }
+    }
 
-    request.on('timeout', () => {
-      if (responseSent) return;
-      responseSent = true;
-      request.destroy();
-      // Fallback to domain name on timeout
-      return sendJSON(res, 200, { title: domain });
-    });
-  } catch (error) {
-    console.error('[PAGE TITLE API] Error:', error);
-    if (responseSent) return;
-    responseSent = true;
-    try {
-      const parsedUrl = url.parse(req.url, true);
-      const urlObj = new URL(parsedUrl.query.url);
-      const domain = urlObj.hostname.replace(/^www\./, '');
-      return sendJSON(res, 200, { title: domain });
-    } catch {
-      return sendJSON(res, 400, { error: 'Invalid URL' });
+    // Apply operation
+    if (operation === 'add') {
+      workspace.links = links.map(link => {
+        if (linkIds.includes(link.id)) {
+          const newTags = new Set([...(link.tags || []), ...tagIds]);
+          return { ...link, tags: Array.from(newTags) };
+        }
+        return link;
+      });
+    } else if (operation === 'remove') {
+      workspace.links = links.map(link => {
+        if (linkIds.includes(link.id)) {
+          return { ...link, tags: (link.tags || []).filter(t => !tagIds.includes(t)) };
+        }
+        return link;
+      });
     }
+
+    await storage.saveWorkspace(user.id, workspace);
+    await sendRevisioned(res, 200, user.id, 'links', { success: true });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Bulk tag error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Fetch favicon from a URL and return buffered data
+ * Resolve a dashboard by id, or the first dashboard when no id is given.
+ * Returns null for an unknown id.
  */
-function fetchFaviconFromUrl(faviconUrl) {
-  return new Promise((resolve, reject) => {
-    const protocol = faviconUrl.startsWith('https') ? https : require('http');
+async function resolveDashboard(userId, dashboardId) {
+  const dashboards = await storage.getDashboards(userId);
+  if (!dashboardId) {
+    return [...dashboards].sort((a, b) => a.order - b.order)[0] || null;
+  }
+  return dashboards.find(d => d.id === dashboardId) || null;
+}
 
-    const httpRequest = protocol.get(faviconUrl, { timeout: 5000 }, (faviconRes) => {
-      // Handle redirects (301, 302, 307, 308)
-      if (faviconRes.statusCode >= 300 && faviconRes.statusCode < 400 && faviconRes.headers.location) {
-        let redirectUrl;
-        if (faviconRes.headers.location.startsWith('http://') || faviconRes.headers.location.startsWith('https://')) {
-          redirectUrl = faviconRes.headers.location;
-        } else {
-          const originalUrl = new URL(faviconUrl);
-          redirectUrl = new URL(faviconRes.headers.location, originalUrl.origin).href;
-        }
+/**
+ * Turn a dashboard name into a slug
+ */
+function slugify(name) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return slug || 'dashboard';
+}
 
-        // Follow redirect
-        fetchFaviconFromUrl(redirectUrl).then(resolve).catch(reject);
-        return;
-      }
+/**
+ * Append -2, -3, ... to a slug until no other dashboard uses it
+ */
+function uniqueSlug(slug, dashboards) {
+  const taken = new Set(dashboards.map(d => d.slug));
+  let candidate = slug;
+  for (let i = 2; taken.has(candidate); i++) {
+    candidate = `${slug}-${i}`;
+  }
+  return candidate;
+}
 
-      if (faviconRes.statusCode === 200) {
-        const chunks = [];
-        faviconRes.on('data', chunk => chunks.push(chunk));
-        faviconRes.on('end', () => {
-          const buffer = Buffer.concat(chunks);
-          const contentType = faviconUrl.includes('google.com') ? 'image/png' : 'image/x-icon';
-          resolve({ buffer, contentType });
-        });
-        faviconRes.on('error', reject);
-      } else {
-        reject(new Error('Favicon not found'));
-      }
-    });
+/**
+ * Send 409 for a dashboard slug that another dashboard already uses
+ */
+function sendSlugTaken(res) {
+  const message = 'A dashboard with this slug already exists';
+  sendJSON(res, 409, { error: message, errors: [{ path: 'slug', message }] });
+}
 
-    httpRequest.on('error', reject);
-    httpRequest.on('timeout', () => {
-      httpRequest.destroy();
-      reject(new Error('Timeout'));
+/**
+ * Keep only the overridden theme fields (null when nothing is overridden) and convert legacy
+ * accent color names. Values that aren't theme objects are left for validation to reject.
+ */
+function normalizeDashboardTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    return theme || null;
+  }
+  const normalized = {};
+  if (theme.themePreset) normalized.themePreset = theme.themePreset;
+  if (theme.accentColor) normalized.accentColor = schema.normalizeAccentColor(theme.accentColor) || theme.accentColor;
+  if (theme.backgroundColor) normalized.backgroundColor = theme.backgroundColor;
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Renumber group order values within each dashboard
+ */
+function normalizeGroupOrder(groups) {
+  const nextOrder = new Map();
+  return [...groups]
+    .sort((a, b) => a.order - b.order)
+    .map(group => {
+      const order = nextOrder.get(group.dashboardId) || 0;
+      nextOrder.set(group.dashboardId, order + 1);
+      return { ...group, order };
     });
-  });
 }
 
 /**
- * Handle GET /api/favicon?url=...
+ * Handle GET /api/dashboards
  */
-async function handleFavicon(req, res) {
-  if (!await isAuthenticated(req)) {
-    console.log('[FAVICON API] Unauthorized request');
-    if (!res.headersSent) {
-      res.writeHead(401);
-      res.end();
-    }
-    return;
+async function handleGetDashboards(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
   }
 
   try {
-    const parsedUrl = url.parse(req.url, true);
-    const targetUrl = parsedUrl.query.url;
+    const dashboards = await storage.getDashboards(user.id);
+    const sortedDashboards = [...dashboards].sort((a, b) => a.order - b.order);
+    const revision = await storage.getRevision(user.id, 'dashboards');
+    res.setHeader('ETag', formatRevision(revision));
+    sendJSON(res, 200, { dashboards: sortedDashboards, revision });
+  } catch (error) {
+    console.error('Get dashboards error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
 
-    console.log('[FAVICON API] Request for URL:', targetUrl);
+/**
+ * Handle POST /api/dashboards - the slug is derived from the name when omitted
+ */
+async function handleCreateDashboard(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
 
-    if (!targetUrl) {
-      console.log('[FAVICON API] No URL provided');
-      if (!res.headersSent) {
-        res.writeHead(400);
-        res.end();
-      }
-      return;
-    }
+  try {
+    const body = await parseBody(req);
+    const { name, slug, theme = null } = body;
 
-    // Check cache first
-    const cachedData = getCachedFavicon(targetUrl);
-    if (cachedData) {
-      console.log('[FAVICON API] Cache HIT for:', targetUrl);
-      if (!res.headersSent) {
-        res.writeHead(200, {
-          'Content-Type': cachedData.contentType,
-          'Cache-Control': 'public, max-age=86400',
-          'X-Cache': 'HIT'
-        });
-        res.end(cachedData.buffer);
-      }
+    if (!await checkRevision(req, res, user.id, 'dashboards')) {
       return;
     }
 
-    console.log('[FAVICON API] Cache MISS for:', targetUrl);
+    const dashboards = await storage.getDashboards(user.id);
+    const newDashboard = {
+      id: crypto.randomUUID(),
+      name: typeof name === 'string' ? name.trim() : name,
+      slug: slug !== undefined ? slug : uniqueSlug(slugify(name), dashboards),
+      order: dashboards.reduce((max, d) => Math.max(max, d.order + 1), 0),
+      theme: normalizeDashboardTheme(theme)
+    };
 
-    // Parse domain from URL
-    const urlObj = new URL(targetUrl);
-    console.log('[FAVICON API] Parsed domain:', urlObj.hostname);
+    const errors = schema.validate(newDashboard, schema.DASHBOARD_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    if (dashboards.some(d => d.slug === newDashboard.slug)) {
+      return sendSlugTaken(res);
+    }
 
-    // Try multiple favicon sources in order
-    const faviconUrls = [
-      // Try direct favicon.ico first
-      `${urlObj.protocol}//${urlObj.host}/favicon.ico`,
-      // Fallback to Google's favicon service (more reliable)
-      `https://www.google.com/s2/favicons?domain=${urlObj.hostname}&sz=32`
-    ];
+    dashboards.push(newDashboard);
+    await storage.saveDashboards(user.id, dashboards);
 
-    let succeeded = false;
+    await sendRevisioned(res, 201, user.id, 'dashboards', { dashboard: newDashboard });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Create dashboard error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
+}
 
-    for (const faviconUrl of faviconUrls) {
-      console.log('[FAVICON API] Trying:', faviconUrl);
-      try {
-        const { buffer, contentType } = await fetchFaviconFromUrl(faviconUrl);
+/**
+ * Handle PUT /api/dashboards/:id
+ */
+async function handleUpdateDashboard(req, res, dashboardId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
 
-        // Cache the result
-        setCachedFavicon(targetUrl, { buffer, contentType });
-        console.log('[FAVICON API] Cached favicon for:', targetUrl);
+  try {
+    const body = await parseBody(req);
+    const { name, slug, theme } = body;
 
-        // Send response
-        if (!res.headersSent) {
-          res.writeHead(200, {
-            'Content-Type': contentType,
-            'Cache-Control': 'public, max-age=86400',
-            'X-Cache': 'MISS'
-          });
-          res.end(buffer);
-        }
-        succeeded = true;
-        console.log('[FAVICON API] Successfully fetched from:', faviconUrl);
-        break;
-      } catch (error) {
-        console.log('[FAVICON API] Failed, trying next source');
-        continue;
-      }
+    if (!await checkRevision(req, res, user.id, 'dashboards')) {
+      return;
     }
 
-    if (!succeeded) {
-      console.log('[FAVICON API] All sources failed, returning 404');
-      if (!res.headersSent) {
-        res.writeHead(404);
-        res.end();
-      }
+    const dashboards = await storage.getDashboards(user.id);
+    const dashboardIndex = dashboards.findIndex(d => d.id === dashboardId);
+
+    if (dashboardIndex === -1) {
+      return sendJSON(res, 404, { error: 'Dashboard not found' });
     }
-  } catch (error) {
-    console.log('[FAVICON API] Unexpected error:', error);
-    if (!res.headersSent) {
-      res.writeHead(404);
-      res.end();
+
+    const dashboard = { ...dashboards[dashboardIndex] };
+    if (name !== undefined) {
+      dashboard.name = typeof name === 'string' ? name.trim() : name;
+    }
+    if (slug !== undefined) {
+      dashboard.slug = slug;
     }
+    if (theme !== undefined) {
+      dashboard.theme = normalizeDashboardTheme(theme);
+    }
+
+    const errors = schema.validate(dashboard, schema.DASHBOARD_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+    if (dashboards.some(d => d.id !== dashboardId && d.slug === dashboard.slug)) {
+      return sendSlugTaken(res);
+    }
+
+    dashboards[dashboardIndex] = dashboard;
+    await storage.saveDashboards(user.id, dashboards);
+
+    await sendRevisioned(res, 200, user.id, 'dashboards', { dashboard });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Update dashboard error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle GET /api/debug/cache-stats
+ * Handle DELETE /api/dashboards/:id - removes the dashboard with its links and groups
  */
-async function handleCacheStats(req, res) {
-  if (!await isAuthenticated(req)) {
+async function handleDeleteDashboard(req, res, dashboardId) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
 
-  sendJSON(res, 200, {
-    faviconCacheSize: faviconCache.size,
-    maxSize: MAX_CACHE_SIZE
-  });
+  try {
+    if (!await checkRevision(req, res, user.id, 'dashboards')) {
+      return;
+    }
+
+    const workspace = await storage.getWorkspace(user.id);
+    const dashboardIndex = workspace.dashboards.findIndex(d => d.id === dashboardId);
+
+    if (dashboardIndex === -1) {
+      return sendJSON(res, 404, { error: 'Dashboard not found' });
+    }
+    if (workspace.dashboards.length === 1) {
+      return sendJSON(res, 400, { error: 'Cannot delete the last dashboard' });
+    }
+
+    const [dashboard] = workspace.dashboards.splice(dashboardIndex, 1);
+    workspace.dashboards = moveItems(workspace.dashboards, [], null);
+    const linkCount = workspace.links.length;
+    workspace.links = workspace.links.filter(l => l.dashboardId !== dashboardId);
+    workspace.groups = workspace.groups.filter(g => g.dashboardId !== dashboardId);
+    await storage.saveWorkspace(user.id, workspace);
+    auditEvent(req, 'dashboard.delete', user, {
+      id: dashboard.id,
+      name: dashboard.name,
+      linksDeleted: linkCount - workspace.links.length
+    });
+
+    await sendRevisioned(res, 200, user.id, 'dashboards', { success: true });
+  } catch (error) {
+    console.error('Delete dashboard error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
 }
 
 /**
- * Helper function to remove a tag from all links
+ * Handle POST /api/dashboards/reorder - same move semantics as /api/groups/reorder
  */
-function removeTagFromAllLinks(data, tagId) {
-  data.links = data.links.map(link => ({
-    ...link,
-    tags: (link.tags || []).filter(t => t !== tagId)
-  }));
-  return data;
+async function handleReorderDashboards(req, res) {
+  const authResult = await checkAuthAndCsrf(req);
+  if (!authResult.authenticated) {
+    return sendJSON(res, 401, { error: 'Unauthorized' });
+  }
+  if (!authResult.csrfValid) {
+    return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
+  }
+  const { user } = authResult;
+
+  try {
+    const body = await parseBody(req);
+    const { dashboardIds, beforeId = null } = body;
+
+    if (!await checkRevision(req, res, user.id, 'dashboards')) {
+      return;
+    }
+
+    if (!Array.isArray(dashboardIds) || dashboardIds.length === 0) {
+      return sendJSON(res, 400, { error: 'dashboardIds must be a non-empty array' });
+    }
+    if (new Set(dashboardIds).size !== dashboardIds.length) {
+      return sendJSON(res, 400, { error: 'Duplicate dashboard ID' });
+    }
+    if (beforeId !== null && dashboardIds.includes(beforeId)) {
+      return sendJSON(res, 400, { error: 'beforeId cannot be one of the moved dashboards' });
+    }
+
+    const dashboards = await storage.getDashboards(user.id);
+    const dashboardIdSet = new Set(dashboards.map(d => d.id));
+    for (const id of [...dashboardIds, ...(beforeId !== null ? [beforeId] : [])]) {
+      if (!dashboardIdSet.has(id)) {
+        return sendJSON(res, 400, { error: `Dashboard not found: ${id}` });
+      }
+    }
+
+    const reordered = moveItems(dashboards, dashboardIds, beforeId);
+    await storage.saveDashboards(user.id, reordered);
+
+    await sendRevisioned(res, 200, user.id, 'dashboards', { dashboards: reordered });
+  } catch (error) {
+    if (sendBodyError(res, error)) return;
+    console.error('Reorder dashboards error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
 }
 
 /**
- * Validate hex color format (#RGB or #RRGGBB)
+ * Find the active account whose public page uses the given slug
  */
-function isValidHexColor(color) {
-  return /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(color);
+async function findPublicPageOwner(slug) {
+  const users = await storage.getUsers();
+  for (const candidate of users) {
+    if (!candidate.passwordHash || candidate.disabled) continue;
+    const preferences = await storage.getPreferences(candidate.id);
+    if (preferences.publicSlug === slug) {
+      return candidate;
+    }
+  }
+  return null;
 }
 
 /**
- * Legacy named accent colors from older versions - convert to hex
+ * Handle GET /api/public/:slug - unauthenticated, read-only view of the links
+ * carrying a public tag. Only display fields are returned: no user record,
+ * private tags, unpublished links or empty groups.
  */
-const LEGACY_ACCENT_COLORS = {
-  blue: '#3b82f6', green: '#22c55e', purple: '#a855f7', red: '#ef4444',
-  orange: '#f97316', pink: '#ec4899', cyan: '#06b6d4', yellow: '#eab308'
-};
+async function handleGetPublicPage(req, res, slug) {
+  try {
+    const owner = await findPublicPageOwner(slug);
+    if (!owner) {
+      return sendJSON(res, 404, { error: 'Page not found' });
+    }
 
-function normalizeAccentColor(color) {
-  if (!color) return color;
-  if (isValidHexColor(color)) return color;
-  return LEGACY_ACCENT_COLORS[color.toLowerCase()] || null;
+    const [preferences, dashboards, groups, links, tags] = await Promise.all([
+      storage.getPreferences(owner.id),
+      storage.getDashboards(owner.id),
+      storage.getGroups(owner.id),
+      storage.getLinks(owner.id),
+      storage.getTags(owner.id)
+    ]);
+
+    const publicTags = tags.filter(t => t.public === true);
+    const publicTagIds = new Set(publicTags.map(t => t.id));
+    const dashboardOrder = new Map(dashboards.map(d => [d.id, d.order]));
+    const byDashboardThenOrder = (a, b) =>
+      (dashboardOrder.get(a.dashboardId) - dashboardOrder.get(b.dashboardId)) || (a.order - b.order);
+
+    // Flatten every dashboard into one page, keeping the owner's ordering
+    const publicLinks = links
+      .filter(link => dashboardOrder.has(link.dashboardId) && (link.tags || []).some(id => publicTagIds.has(id)))
+      .sort(byDashboardThenOrder)
+      .map((link, index) => ({
+        id: link.id,
+        name: link.name,
+        url: link.url,
+        order: index,
+        tags: link.tags.filter(id => publicTagIds.has(id)),
+        groupId: link.groupId || null,
+        fallbackEmoji: link.fallbackEmoji,
+        iconType: link.iconType,
+        iconValue: link.iconValue,
+        faviconUrl: link.faviconUrl
+      }));
+
+    const usedGroupIds = new Set(publicLinks.map(l => l.groupId).filter(Boolean));
+    const publicGroups = groups
+      .filter(group => usedGroupIds.has(group.id))
+      .sort(byDashboardThenOrder)
+      .map((group, index) => ({
+        id: group.id,
+        name: group.name,
+        icon: group.icon || null,
+        order: index,
+        collapsed: false
+      }));
+
+    sendJSON(res, 200, {
+      preferences: {
+        layout: preferences.layout,
+        themePreset: preferences.themePreset,
+        accentColor: preferences.accentColor,
+        backgroundColor: preferences.backgroundColor,
+        pageTitle: preferences.pageTitle,
+        customCss: preferences.customCss
+      },
+      tags: publicTags.map(t => ({ id: t.id, name: t.name, color: t.color })),
+      groups: publicGroups,
+      links: publicLinks
+    });
+  } catch (error) {
+    console.error('Get public page error:', error);
+    sendJSON(res, 500, { error: 'Internal server error' });
+  }
 }
 
 /**
- * Handle GET /api/tags
+ * Handle GET /api/groups
  */
-async function handleGetTags(req, res) {
-  if (!await isAuthenticated(req)) {
+async function handleGetGroups(req, res) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
 
   try {
-    const tags = await storage.getTags();
-    // Sort alphabetically by name
-    const sortedTags = [...tags].sort((a, b) => a.name.localeCompare(b.name));
-    sendJSON(res, 200, { tags: sortedTags });
+    const dashboard = await resolveDashboard(user.id, url.parse(req.url, true).query.dashboard);
+    if (!dashboard) {
+      return sendJSON(res, 404, { error: 'Dashboard not found' });
+    }
+
+    const groups = (await storage.getGroups(user.id)).filter(g => g.dashboardId === dashboard.id);
+    const sortedGroups = [...groups].sort((a, b) => a.order - b.order);
+    const revision = await storage.getRevision(user.id, 'groups');
+    res.setHeader('ETag', formatRevision(revision));
+    sendJSON(res, 200, { groups: sortedGroups, revision });
   } catch (error) {
-    console.error('Get tags error:', error);
+    console.error('Get groups error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/tags
+ * Handle POST /api/groups - create a group at the end of its dashboard
  */
-async function handleCreateTag(req, res) {
+async function handleCreateGroup(req, res) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -1030,50 +3470,53 @@ async function handleCreateTag(req, res) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
     const body = await parseBody(req);
-    const { name, color } = body;
-
-    // Validate name
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-      return sendJSON(res, 400, { error: 'Tag name is required' });
-    }
-
-    const trimmedName = name.trim();
+    const { name, icon = null } = body;
 
-    // Validate color
-    if (!color || !isValidHexColor(color)) {
-      return sendJSON(res, 400, { error: 'Valid hex color is required (#RGB or #RRGGBB)' });
+    if (!await checkRevision(req, res, user.id, 'groups')) {
+      return;
     }
 
-    // Check uniqueness
-    const existingTags = await storage.getTags();
-    if (existingTags.some(t => t.name.toLowerCase() === trimmedName.toLowerCase())) {
-      return sendJSON(res, 400, { error: 'Tag name already exists' });
+    const dashboard = await resolveDashboard(user.id, body.dashboardId || url.parse(req.url, true).query.dashboard);
+    if (!dashboard) {
+      return sendJSON(res, 400, { error: 'Dashboard not found' });
     }
 
-    // Create new tag
-    const newTag = {
+    const groups = await storage.getGroups(user.id);
+    const newGroup = {
       id: crypto.randomUUID(),
-      name: trimmedName,
-      color: color.toUpperCase()
+      dashboardId: dashboard.id,
+      name: typeof name === 'string' ? name.trim() : name,
+      icon: icon || null,
+      order: groups
+        .filter(g => g.dashboardId === dashboard.id)
+        .reduce((max, g) => Math.max(max, g.order + 1), 0),
+      collapsed: false
     };
 
-    existingTags.push(newTag);
-    await storage.saveTags(existingTags);
+    const errors = schema.validate(newGroup, schema.GROUP_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
 
-    sendJSON(res, 200, { tag: newTag });
+    groups.push(newGroup);
+    await storage.saveGroups(user.id, groups);
+
+    await sendRevisioned(res, 201, user.id, 'groups', { group: newGroup });
   } catch (error) {
-    console.error('Create tag error:', error);
+    if (sendBodyError(res, error)) return;
+    console.error('Create group error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle PUT /api/tags/:id
+ * Handle PUT /api/groups/:id
  */
-async function handleUpdateTag(req, res, tagId) {
+async function handleUpdateGroup(req, res, groupId) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -1081,57 +3524,54 @@ async function handleUpdateTag(req, res, tagId) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
     const body = await parseBody(req);
-    const { name, color } = body;
-
-    const tags = await storage.getTags();
-    const tagIndex = tags.findIndex(t => t.id === tagId);
+    const { name, icon, collapsed } = body;
 
-    if (tagIndex === -1) {
-      return sendJSON(res, 404, { error: 'Tag not found' });
+    if (!await checkRevision(req, res, user.id, 'groups')) {
+      return;
     }
 
-    const tag = tags[tagIndex];
-
-    // Validate and update name if provided
-    if (name !== undefined) {
-      if (typeof name !== 'string' || name.trim().length === 0) {
-        return sendJSON(res, 400, { error: 'Tag name cannot be empty' });
-      }
-      const trimmedName = name.trim();
+    const groups = await storage.getGroups(user.id);
+    const groupIndex = groups.findIndex(g => g.id === groupId);
 
-      // Check uniqueness (excluding current tag)
-      if (tags.some(t => t.id !== tagId && t.name.toLowerCase() === trimmedName.toLowerCase())) {
-        return sendJSON(res, 400, { error: 'Tag name already exists' });
-      }
+    if (groupIndex === -1) {
+      return sendJSON(res, 404, { error: 'Group not found' });
+    }
 
-      tag.name = trimmedName;
+    const group = { ...groups[groupIndex] };
+    if (name !== undefined) {
+      group.name = typeof name === 'string' ? name.trim() : name;
+    }
+    if (icon !== undefined) {
+      group.icon = icon || null;
+    }
+    if (collapsed !== undefined) {
+      group.collapsed = collapsed;
     }
 
-    // Validate and update color if provided
-    if (color !== undefined) {
-      if (!isValidHexColor(color)) {
-        return sendJSON(res, 400, { error: 'Valid hex color is required (#RGB or #RRGGBB)' });
-      }
-      tag.color = color.toUpperCase();
+    const errors = schema.validate(group, schema.GROUP_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
     }
 
-    tags[tagIndex] = tag;
-    await storage.saveTags(tags);
+    groups[groupIndex] = group;
+    await storage.saveGroups(user.id, groups);
 
-    sendJSON(res, 200, { tag });
+    await sendRevisioned(res, 200, user.id, 'groups', { group });
   } catch (error) {
-    console.error('Update tag error:', error);
+    if (sendBodyError(res, error)) return;
+    console.error('Update group error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle DELETE /api/tags/:id
+ * Handle DELETE /api/groups/:id - links in the group become ungrouped
  */
-async function handleDeleteTag(req, res, tagId) {
+async function handleDeleteGroup(req, res, groupId) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -1139,35 +3579,46 @@ async function handleDeleteTag(req, res, tagId) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
-    const tags = await storage.getTags();
-    const tagIndex = tags.findIndex(t => t.id === tagId);
+    if (!await checkRevision(req, res, user.id, 'groups')) {
+      return;
+    }
 
-    if (tagIndex === -1) {
-      return sendJSON(res, 404, { error: 'Tag not found' });
+    const workspace = await storage.getWorkspace(user.id);
+    const groupIndex = workspace.groups.findIndex(g => g.id === groupId);
+
+    if (groupIndex === -1) {
+      return sendJSON(res, 404, { error: 'Group not found' });
     }
 
-    // Remove the tag
-    tags.splice(tagIndex, 1);
-    await storage.saveTags(tags);
+    const [group] = workspace.groups.splice(groupIndex, 1);
+    workspace.groups = normalizeGroupOrder(workspace.groups);
 
-    // Remove the tag from all links
-    const data = await storage.readData();
-    removeTagFromAllLinks(data, tagId);
-    await storage.writeData(data);
+    // Append the group's links to the end of the dashboard's ungrouped links
+    const ungroupedEnd = nextLinkOrder(workspace.links, group.dashboardId, null);
+    workspace.links = normalizeLinkOrder(workspace.links.map(link => {
+      if (link.groupId === groupId) {
+        return { ...link, groupId: null, order: ungroupedEnd + link.order };
+      }
+      return link;
+    }));
+    await storage.saveWorkspace(user.id, workspace);
+    auditEvent(req, 'group.delete', user, { id: group.id, name: group.name });
 
-    sendJSON(res, 200, { success: true });
+    await sendRevisioned(res, 200, user.id, 'groups', { success: true });
   } catch (error) {
-    console.error('Delete tag error:', error);
+    console.error('Delete group error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
 
 /**
- * Handle POST /api/links/bulk-tag
+ * Handle POST /api/groups/reorder - same move semantics as /api/links/reorder,
+ * within the dashboard of the moved groups
  */
-async function handleBulkTag(req, res) {
+async function handleReorderGroups(req, res) {
   const authResult = await checkAuthAndCsrf(req);
   if (!authResult.authenticated) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
@@ -1175,64 +3626,48 @@ async function handleBulkTag(req, res) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
     const body = await parseBody(req);
-    const { linkIds, operation, tagIds } = body;
+    const { groupIds, beforeId = null } = body;
 
-    // Validate input
-    if (!Array.isArray(linkIds) || linkIds.length === 0) {
-      return sendJSON(res, 400, { error: 'linkIds must be a non-empty array' });
+    if (!await checkRevision(req, res, user.id, 'groups')) {
+      return;
     }
-    if (!Array.isArray(tagIds) || tagIds.length === 0) {
-      return sendJSON(res, 400, { error: 'tagIds must be a non-empty array' });
+
+    if (!Array.isArray(groupIds) || groupIds.length === 0) {
+      return sendJSON(res, 400, { error: 'groupIds must be a non-empty array' });
     }
-    if (operation !== 'add' && operation !== 'remove') {
-      return sendJSON(res, 400, { error: 'operation must be "add" or "remove"' });
+    if (new Set(groupIds).size !== groupIds.length) {
+      return sendJSON(res, 400, { error: 'Duplicate group ID' });
+    }
+    if (beforeId !== null && groupIds.includes(beforeId)) {
+      return sendJSON(res, 400, { error: 'beforeId cannot be one of the moved groups' });
     }
 
-    const data = await storage.readData();
-    const links = data.links || [];
-    const tags = data.tags || [];
-
-    // Validate all linkIds exist
-    const linkIdSet = new Set(links.map(l => l.id));
-    for (const linkId of linkIds) {
-      if (!linkIdSet.has(linkId)) {
-        return sendJSON(res, 400, { error: `Link not found: ${linkId}` });
+    const groups = await storage.getGroups(user.id);
+    const groupsById = new Map(groups.map(g => [g.id, g]));
+    for (const id of [...groupIds, ...(beforeId !== null ? [beforeId] : [])]) {
+      if (!groupsById.has(id)) {
+        return sendJSON(res, 400, { error: `Group not found: ${id}` });
       }
     }
 
-    // Validate all tagIds exist
-    const tagIdSet = new Set(tags.map(t => t.id));
-    for (const tagId of tagIds) {
-      if (!tagIdSet.has(tagId)) {
-        return sendJSON(res, 400, { error: `Tag not found: ${tagId}` });
+    const dashboardId = groupsById.get(groupIds[0]).dashboardId;
+    for (const id of [...groupIds, ...(beforeId !== null ? [beforeId] : [])]) {
+      if (groupsById.get(id).dashboardId !== dashboardId) {
+        return sendJSON(res, 400, { error: 'Groups must be on the same dashboard' });
       }
     }
 
-    // Apply operation
-    if (operation === 'add') {
-      data.links = links.map(link => {
-        if (linkIds.includes(link.id)) {
-          const newTags = new Set([...(link.tags || []), ...tagIds]);
-          return { ...link, tags: Array.from(newTags) };
-        }
-        return link;
-      });
-    } else if (operation === 'remove') {
-      data.links = links.map(link => {
-        if (linkIds.includes(link.id)) {
-          return { ...link, tags: (link.tags || []).filter(t => !tagIds.includes(t)) };
-        }
-        return link;
-      });
-    }
+    const reordered = moveItems(groups.filter(g => g.dashboardId === dashboardId), groupIds, beforeId);
+    await storage.saveGroups(user.id, [...groups.filter(g => g.dashboardId !== dashboardId), ...reordered]);
 
-    await storage.writeData(data);
-    sendJSON(res, 200, { success: true });
+    await sendRevisioned(res, 200, user.id, 'groups', { groups: reordered });
   } catch (error) {
-    console.error('Bulk tag error:', error);
+    if (sendBodyError(res, error)) return;
+    console.error('Reorder groups error:', error);
     sendJSON(res, 500, { error: 'Internal server error' });
   }
 }
@@ -1243,6 +3678,10 @@ async function handleBulkTag(req, res) {
 function parseMultipartFormData(req) {
   return new Promise((resolve, reject) => {
     const contentType = req.headers['content-type'] || '';
+    if (!contentType.toLowerCase().startsWith('multipart/form-data')) {
+      req.resume();
+      return reject(bodyError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Icons must be uploaded as multipart/form-data'));
+    }
     const boundaryMatch = contentType.match(/boundary=(.+)/);
     if (!boundaryMatch) {
       return reject(new Error('No boundary found in multipart request'));
@@ -1255,8 +3694,10 @@ function parseMultipartFormData(req) {
     req.on('data', chunk => {
       totalSize += chunk.length;
       if (totalSize > MAX_ICON_SIZE + 1024) { // Allow 1KB overhead for form data
-        req.destroy();
-        reject(new Error('File too large'));
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        req.resume();
+        reject(bodyError(413, 'PAYLOAD_TOO_LARGE', 'File size exceeds 100KB limit'));
         return;
       }
       chunks.push(chunk);
@@ -1309,12 +3750,13 @@ function parseMultipartFormData(req) {
  * Handle GET /api/icons
  */
 async function handleGetIcons(req, res) {
-  if (!await isAuthenticated(req)) {
+  const user = await getAuthenticatedUser(req);
+  if (!user) {
     return sendJSON(res, 401, { error: 'Unauthorized' });
   }
 
   try {
-    const icons = await storage.getCustomIcons();
+    const icons = await storage.getCustomIcons(user.id);
     sendJSON(res, 200, { icons });
   } catch (error) {
     console.error('Get icons error:', error);
@@ -1333,10 +3775,11 @@ async function handleUploadIcon(req, res) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
     // Check icon count limit
-    const existingIcons = await storage.getCustomIcons();
+    const existingIcons = await storage.getCustomIcons(user.id);
     if (existingIcons.length >= MAX_CUSTOM_ICONS) {
       return sendJSON(res, 400, { error: `Maximum ${MAX_CUSTOM_ICONS} custom icons allowed` });
     }
@@ -1346,6 +3789,7 @@ async function handleUploadIcon(req, res) {
     try {
       fileData = await parseMultipartFormData(req);
     } catch (parseError) {
+      if (sendBodyError(res, parseError)) return;
       return sendJSON(res, 400, { error: parseError.message });
     }
 
@@ -1358,27 +3802,28 @@ async function handleUploadIcon(req, res) {
 
     // Validate file type
     const ext = path.extname(filename).toLowerCase();
-    if (!ALLOWED_ICON_TYPES.includes(ext)) {
+    if (!schema.ICON_EXTENSIONS.includes(ext)) {
       return sendJSON(res, 400, { error: 'File type not allowed. Use PNG, SVG, ICO, or WEBP' });
     }
 
     // Generate unique ID and filename
     const iconId = crypto.randomUUID();
-    const safeFilename = `${iconId}${ext}`;
-
-    // Save file
-    await fs.writeFile(path.join(ICONS_DIR, safeFilename), buffer);
-
-    // Add to custom icons list
     const newIcon = {
       id: iconId,
-      filename: safeFilename,
+      filename: `${iconId}${ext}`,
       originalName: filename,
       uploadedAt: Date.now()
     };
 
+    const errors = schema.validate(newIcon, schema.CUSTOM_ICON_SCHEMA);
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    // Save file and add it to the custom icons list
+    await fs.writeFile(path.join(ICONS_DIR, newIcon.filename), buffer);
     existingIcons.push(newIcon);
-    await storage.saveCustomIcons(existingIcons);
+    await storage.saveCustomIcons(user.id, existingIcons);
 
     sendJSON(res, 200, { icon: newIcon });
   } catch (error) {
@@ -1398,9 +3843,10 @@ async function handleDeleteIcon(req, res, iconId) {
   if (!authResult.csrfValid) {
     return sendJSON(res, 403, { error: 'Invalid CSRF token', code: 'CSRF_INVALID' });
   }
+  const { user } = authResult;
 
   try {
-    const icons = await storage.getCustomIcons();
+    const icons = await storage.getCustomIcons(user.id);
     const iconIndex = icons.findIndex(i => i.id === iconId);
 
     if (iconIndex === -1) {
@@ -1419,12 +3865,12 @@ async function handleDeleteIcon(req, res, iconId) {
 
     // Remove from list
     icons.splice(iconIndex, 1);
-    await storage.saveCustomIcons(icons);
+    await storage.saveCustomIcons(user.id, icons);
 
     // Update any links using this icon to revert to favicon
-    const data = await storage.readData();
+    const workspace = await storage.getWorkspace(user.id);
     let linksUpdated = false;
-    data.links = data.links.map(link => {
+    workspace.links = workspace.links.map(link => {
       if (link.iconType === 'custom' && link.iconValue === icon.filename) {
         linksUpdated = true;
         return { ...link, iconType: 'favicon', iconValue: null };
@@ -1432,9 +3878,10 @@ async function handleDeleteIcon(req, res, iconId) {
       return link;
     });
     if (linksUpdated) {
-      await storage.writeData(data);
+      await storage.saveWorkspace(user.id, workspace);
     }
 
+    auditEvent(req, 'icon.delete', user, { id: icon.id, name: icon.originalName });
     sendJSON(res, 200, { success: true });
   } catch (error) {
     console.error('Delete icon error:', error);
@@ -1449,6 +3896,29 @@ async function route(req, res) {
   const parsedUrl = url.parse(req.url, true);
   const pathname = parsedUrl.pathname;
 
+  // Personal API tokens: read-only tokens may only use safe methods, and no token
+  // may manage accounts or other tokens
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    if (SESSION_ONLY_PATHS.some(p => pathname === p || pathname.startsWith(`${p}/`))) {
+      return sendJSON(res, 403, { error: 'API tokens cannot be used for this endpoint', code: 'SESSION_REQUIRED' });
+    }
+    const apiToken = await auth.verifyApiToken(bearerToken);
+    if (apiToken && apiToken.scope !== 'read-write' && !SAFE_METHODS.includes(req.method)) {
+      return sendJSON(res, 403, { error: 'This API token is read-only', code: 'TOKEN_READ_ONLY' });
+    }
+  } else {
+    await resignStaleSessionCookie(req, res);
+    await applyProxyAuth(req, res);
+    const sessionToken = await extractSessionToken(req);
+    const renewed = sessionToken ? await auth.touchSession(sessionToken, getClientIP(req)) : null;
+    // Sliding expiry: push a persistent cookie's Max-Age out along with the session
+    if (renewed && renewed.remember) {
+      const secret = await storage.getSessionSecret();
+      res.setHeader('Set-Cookie', sessionCookie(auth.signCookie(sessionToken, secret), renewed));
+    }
+  }
+
   // Setup endpoints
   if (pathname === '/api/setup/check' && req.method === 'GET') {
     return handleSetupCheck(req, res);
@@ -1464,6 +3934,12 @@ async function route(req, res) {
   if (pathname === '/api/logout' && req.method === 'POST') {
     return handleLogout(req, res);
   }
+  if (pathname === '/api/auth/oidc/start' && req.method === 'GET') {
+    return handleOidcStart(req, res);
+  }
+  if (pathname === '/api/auth/oidc/callback' && req.method === 'GET') {
+    return handleOidcCallback(req, res);
+  }
   if (pathname === '/api/csrf' && req.method === 'GET') {
     return handleGetCsrf(req, res);
   }
@@ -1471,17 +3947,147 @@ async function route(req, res) {
     return handleResetCredentials(req, res);
   }
 
+  // User endpoints
+  if (pathname === '/api/me' && req.method === 'GET') {
+    return handleGetMe(req, res);
+  }
+  if (pathname === '/api/audit' && req.method === 'GET') {
+    return handleGetAudit(req, res);
+  }
+
+  // Backup endpoints
+  if (pathname === '/api/backups' && req.method === 'GET') {
+    return handleGetBackups(req, res);
+  }
+  const backupRestoreMatch = pathname.match(/^\/api\/backups\/([a-z0-9-]+)\/restore$/);
+  if (backupRestoreMatch && req.method === 'POST') {
+    return handleRestoreBackup(req, res, backupRestoreMatch[1]);
+  }
+  if (pathname === '/api/users' && req.method === 'GET') {
+    return handleGetUsers(req, res);
+  }
+  if (pathname === '/api/users' && req.method === 'POST') {
+    return handleCreateUser(req, res);
+  }
+
+  // User endpoints with ID parameter
+  const userMatch = pathname.match(/^\/api\/users\/([a-f0-9-]+)$/i);
+  if (userMatch && req.method === 'PUT') {
+    return handleUpdateUser(req, res, userMatch[1]);
+  }
+
+  // Account endpoints
+  if (pathname === '/api/account/password' && req.method === 'POST') {
+    return handleChangePassword(req, res);
+  }
+  if (pathname === '/api/account/username' && req.method === 'POST') {
+    return handleChangeUsername(req, res);
+  }
+
+  // Two-factor authentication endpoints
+  if (pathname === '/api/account/2fa' && req.method === 'GET') {
+    return handleGetTwoFactor(req, res);
+  }
+  if (pathname === '/api/account/2fa/setup' && req.method === 'POST') {
+    return handleSetupTwoFactor(req, res);
+  }
+  if (pathname === '/api/account/2fa/enable' && req.method === 'POST') {
+    return handleEnableTwoFactor(req, res);
+  }
+  if (pathname === '/api/account/2fa/disable' && req.method === 'POST') {
+    return handleDisableTwoFactor(req, res);
+  }
+  if (pathname === '/api/account/2fa/recovery-codes' && req.method === 'POST') {
+    return handleRegenerateRecoveryCodes(req, res);
+  }
+
+  // Single sign-on link endpoints
+  if (pathname === '/api/account/oidc/link' && req.method === 'POST') {
+    return handleLinkOidc(req, res);
+  }
+  if (pathname === '/api/account/oidc/unlink' && req.method === 'POST') {
+    return handleUnlinkOidc(req, res);
+  }
+
+  // Session endpoints
+  if (pathname === '/api/sessions' && req.method === 'GET') {
+    return handleGetSessions(req, res);
+  }
+  const sessionMatch = pathname.match(/^\/api\/sessions\/([a-f0-9-]+)$/i);
+  if (sessionMatch && req.method === 'DELETE') {
+    return handleDeleteSession(req, res, sessionMatch[1]);
+  }
+
+  // Personal API token endpoints
+  if (pathname === '/api/tokens' && req.method === 'GET') {
+    return handleGetApiTokens(req, res);
+  }
+  if (pathname === '/api/tokens' && req.method === 'POST') {
+    return handleCreateApiToken(req, res);
+  }
+  const apiTokenMatch = pathname.match(/^\/api\/tokens\/([a-f0-9-]+)$/i);
+  if (apiTokenMatch && req.method === 'DELETE') {
+    return handleDeleteApiToken(req, res, apiTokenMatch[1]);
+  }
+
+  // Public page (no authentication)
+  const publicMatch = pathname.match(/^\/api\/public\/([a-z0-9-]+)$/);
+  if (publicMatch && req.method === 'GET') {
+    return handleGetPublicPage(req, res, publicMatch[1]);
+  }
+
+  // Dashboard endpoints
+  if (pathname === '/api/dashboards' && req.method === 'GET') {
+    return handleGetDashboards(req, res);
+  }
+  if (pathname === '/api/dashboards' && req.method === 'POST') {
+    return handleCreateDashboard(req, res);
+  }
+  if (pathname === '/api/dashboards/reorder' && req.method === 'POST') {
+    return handleReorderDashboards(req, res);
+  }
+
+  // Dashboard endpoints with ID parameter
+  const dashboardMatch = pathname.match(/^\/api\/dashboards\/([a-f0-9-]+)$/i);
+  if (dashboardMatch) {
+    const dashboardId = dashboardMatch[1];
+    if (req.method === 'PUT') {
+      return handleUpdateDashboard(req, res, dashboardId);
+    }
+    if (req.method === 'DELETE') {
+      return handleDeleteDashboard(req, res, dashboardId);
+    }
+  }
+
   // Link endpoints
   if (pathname === '/api/links' && req.method === 'GET') {
     return handleGetLinks(req, res);
   }
   if (pathname === '/api/links' && req.method === 'POST') {
-    return handleSaveLinks(req, res);
+    return handleCreateLink(req, res);
+  }
+  if (pathname === '/api/links/reorder' && req.method === 'POST') {
+    return handleReorderLinks(req, res);
   }
   if (pathname === '/api/links/bulk-tag' && req.method === 'POST') {
     return handleBulkTag(req, res);
   }
 
+  // Link endpoints with ID parameter
+  const linkMatch = pathname.match(/^\/api\/links\/([a-f0-9-]+)$/i);
+  if (linkMatch) {
+    const linkId = linkMatch[1];
+    if (req.method === 'GET') {
+      return handleGetLink(req, res, linkId);
+    }
+    if (req.method === 'PATCH') {
+      return handleUpdateLink(req, res, linkId);
+    }
+    if (req.method === 'DELETE') {
+      return handleDeleteLink(req, res, linkId);
+    }
+  }
+
   // Preference endpoints
   if (pathname === '/api/preferences' && req.method === 'GET') {
     return handleGetPreferences(req, res);
@@ -1497,6 +4103,9 @@ async function route(req, res) {
   if (pathname === '/api/import' && req.method === 'POST') {
     return handleImport(req, res);
   }
+  if (pathname === '/api/import/bookmarks' && req.method === 'POST') {
+    return handleImportBookmarks(req, res);
+  }
 
   // Page title endpoint
   if (pathname === '/api/page-title' && req.method === 'GET') {
@@ -1533,6 +4142,29 @@ async function route(req, res) {
     }
   }
 
+  // Group endpoints
+  if (pathname === '/api/groups' && req.method === 'GET') {
+    return handleGetGroups(req, res);
+  }
+  if (pathname === '/api/groups' && req.method === 'POST') {
+    return handleCreateGroup(req, res);
+  }
+  if (pathname === '/api/groups/reorder' && req.method === 'POST') {
+    return handleReorderGroups(req, res);
+  }
+
+  // Group endpoints with ID parameter
+  const groupMatch = pathname.match(/^\/api\/groups\/([a-f0-9-]+)$/i);
+  if (groupMatch) {
+    const groupId = groupMatch[1];
+    if (req.method === 'PUT') {
+      return handleUpdateGroup(req, res, groupId);
+    }
+    if (req.method === 'DELETE') {
+      return handleDeleteGroup(req, res, groupId);
+    }
+  }
+
   // Icon endpoints
   if (pathname === '/api/icons' && req.method === 'GET') {
     return handleGetIcons(req, res);
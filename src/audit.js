@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Append-only security audit log: one JSON object per line in DATA_DIR/audit.log,
+// rotated to audit.log.1 ... audit.log.N when it grows past the size limit.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const maxSizeMb = parseFloat(process.env.AUDIT_LOG_MAX_SIZE_MB);
+const MAX_FILE_SIZE = (Number.isFinite(maxSizeMb) && maxSizeMb > 0 ? maxSizeMb : 5) * 1024 * 1024;
+const ROTATED_FILES = 5;
+
+const AUDIT_EVENTS = [
+  'login.success',
+  'login.failure',
+  'login.blocked',
+  'logout',
+  'credentials.reset',
+  'sso.link',
+  'sso.unlink',
+  'data.import',
+  'backup.restore',
+  'link.delete',
+  'tag.delete',
+  'group.delete',
+  'dashboard.delete',
+  'icon.delete',
+  'token.delete',
+  'session.delete'
+];
+
+// Appends run one at a time so lines never interleave and rotation can't race
+let writeQueue = Promise.resolve();
+
+// Sequence number of the last entry written, read from the log before the first write. It
+// orders entries written in the same millisecond, which `time` alone can't.
+let lastSeq = null;
+
+/**
+ * Rename audit.log -> audit.log.1 -> audit.log.2 ..., dropping the oldest
+ */
+async function rotate() {
+  for (let i = ROTATED_FILES - 1; i >= 0; i--) {
+    const from = i === 0 ? AUDIT_FILE : `${AUDIT_FILE}.${i}`;
+    try {
+      await fs.rename(from, `${AUDIT_FILE}.${i + 1}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+async function appendEntry(entry) {
+  if (lastSeq === null) {
+    lastSeq = await readLastSeq();
+  }
+  lastSeq++;
+  const line = JSON.stringify({ seq: lastSeq, ...entry }) + '\n';
+
+  let size = 0;
+  try {
+    size = (await fs.stat(AUDIT_FILE)).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    await fs.mkdir(DATA_DIR, { recursive: true });
+  }
+  if (size > 0 && size + Buffer.byteLength(line) > MAX_FILE_SIZE) {
+    await rotate();
+  }
+
+  await fs.appendFile(AUDIT_FILE, line, { mode: 0o600 });
+}
+
+/**
+ * Record an audit event. Never throws: a failed write is logged and the request goes on.
+ * Fields: { userId, username, ip, details }. Entries are written as
+ * { seq, time, event, userId, username, ip, details }.
+ */
+function record(event, { userId = null, username = null, ip = null, details = {} } = {}) {
+  const entry = { time: Date.now(), event, userId, username, ip, details };
+  writeQueue = writeQueue
+    .then(() => appendEntry(entry))
+    .catch(error => console.error('Audit log write error:', error));
+  return writeQueue;
+}
+
+/**
+ * Read one log file's entries, newest first (missing files read as empty)
+ */
+async function readEntries(file) {
+  let content;
+  try {
+    content = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n').reverse()) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a line cut short by a crash mid-write
+    }
+  }
+  return entries;
+}
+
+function logFiles() {
+  const files = [AUDIT_FILE];
+  for (let i = 1; i <= ROTATED_FILES; i++) {
+    files.push(`${AUDIT_FILE}.${i}`);
+  }
+  return files;
+}
+
+/**
+ * Sequence number of the newest entry in the logs, or 0 (entries from before sequence
+ * numbers have none)
+ */
+async function readLastSeq() {
+  for (const file of logFiles()) {
+    const newest = (await readEntries(file)).find(entry => Number.isInteger(entry.seq));
+    if (newest) return newest.seq;
+  }
+  return 0;
+}
+
+/**
+ * Whether an entry comes before the page cursor { time, seq }. Without a seq, everything in the
+ * cursor's millisecond is left out.
+ */
+function isBefore(entry, cursor) {
+  if (entry.time !== cursor.time) return entry.time < cursor.time;
+  return cursor.seq !== null && (entry.seq || 0) < cursor.seq;
+}
+
+/**
+ * Find audit entries, newest first.
+ * Options: { types: [event or "category" prefix], userId, before: { time, seq }, limit },
+ * where `before` is the last entry of the previous page.
+ * Returns { events, hasMore }.
+ */
+async function query({ types = [], userId = null, before = null, limit = 100 } = {}) {
+  await writeQueue;
+
+  const matchesType = event => types.length === 0 ||
+    types.some(type => event === type || event.startsWith(`${type}.`));
+
+  const events = [];
+  for (const file of logFiles()) {
+    for (const entry of await readEntries(file)) {
+      if (before !== null && !isBefore(entry, before)) continue;
+      if (userId !== null && entry.userId !== userId) continue;
+      if (!matchesType(entry.event)) continue;
+
+      if (events.length === limit) {
+        return { events, hasMore: true };
+      }
+      events.push(entry);
+    }
+  }
+  return { events, hasMore: false };
+}
+
+module.exports = {
+  AUDIT_EVENTS,
+  record,
+  query
+};
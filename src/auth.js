@@ -3,12 +3,36 @@ const crypto = require('crypto');
 const storage = require('./storage');
 
 const BCRYPT_ROUNDS = 10;
-const SESSION_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+// Sessions expire after a period without use, renewed on each request ("sliding" expiry),
+// but never outlive SESSION_MAX_LIFETIME_DAYS from sign-in
+const SESSION_DURATION = 7 * DAY;          // idle timeout with "remember me"
+const BROWSER_SESSION_DURATION = DAY;      // idle timeout without it (browser-session cookie)
+const maxLifetimeDays = parseFloat(process.env.SESSION_MAX_LIFETIME_DAYS);
+const SESSION_MAX_LIFETIME = (Number.isFinite(maxLifetimeDays) && maxLifetimeDays > 0 ? maxLifetimeDays : 30) * DAY;
+
+// Personal API tokens
+const API_TOKEN_PREFIX = 'slk_';
+const API_TOKEN_SCOPES = ['read-only', 'read-write'];
+const API_TOKEN_TOUCH_INTERVAL = 60 * 1000; // Record a token's use at most once a minute
+const SESSION_TOUCH_INTERVAL = 60 * 1000;   // Update a session's lastSeenAt at most once a minute
+const MAX_USER_AGENT_LENGTH = 300;
+
+// TOTP (RFC 6238) two-factor authentication
+const TOTP_ISSUER = 'Simple Linkz';
+const TOTP_PERIOD = 30;     // seconds per code
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;      // accept one period of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
 
 // Rate limiting constants
 const RATE_LIMIT_WINDOW = 15 * 60 * 1000;  // 15 minutes
 const MAX_ATTEMPTS = 5;
 const BASE_BLOCK_DURATION = 15 * 60 * 1000; // 15 minutes base
+const BLOCK_HISTORY = 24 * 60 * 60 * 1000;  // forget an IP's backoff a day after its block ends
+const MAX_TRACKED_IPS = 10000;              // cap on IPs kept in each rate-limit table
 
 /**
  * Hash a password using bcrypt
@@ -69,18 +93,101 @@ function verifyCookie(signedValue, secret) {
 }
 
 /**
- * Create a new session
+ * Verify a signed cookie against the current secret, then against replaced secrets
+ * still in their grace period. Returns { value, stale } where stale means the cookie
+ * was signed with a replaced secret and should be re-signed, or null.
+ */
+function verifyRotatedCookie(signedValue, currentSecret, previousSecrets = []) {
+  const value = verifyCookie(signedValue, currentSecret);
+  if (value) {
+    return { value, stale: false };
+  }
+
+  for (const secret of previousSecrets) {
+    const previousValue = verifyCookie(signedValue, secret);
+    if (previousValue) {
+      return { value: previousValue, stale: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Expiry for a session used at `now`: its idle timeout from now, capped by the maximum lifetime
+ */
+function getSessionExpiry(session, now = Date.now()) {
+  const idle = session.remember ? SESSION_DURATION : BROWSER_SESSION_DURATION;
+  return Math.min(now + idle, session.createdAt + SESSION_MAX_LIFETIME);
+}
+
+/**
+ * Create a new session for a user, recording where it was signed in from.
+ * `remember` selects a persistent cookie and the longer idle timeout.
  */
-function createSession() {
+function createSession(userId, { userAgent = null, ip = null, remember = true } = {}) {
   const token = generateSessionToken();
   const now = Date.now();
-  return {
-    token,
-    session: {
-      createdAt: now,
-      expiresAt: now + SESSION_DURATION
-    }
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    createdAt: now,
+    expiresAt: null,
+    lastSeenAt: now,
+    remember: Boolean(remember),
+    userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip
   };
+  session.expiresAt = getSessionExpiry(session, now);
+  return { token, session };
+}
+
+/**
+ * Record activity on a session and slide its expiry forward (throttled to keep writes down).
+ * Returns the session when it was updated, so the caller can refresh the cookie, or null.
+ */
+async function touchSession(token, ip) {
+  const sessions = await storage.getSessions();
+  const session = sessions[token];
+  if (!session || !isSessionValid(session)) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (now - (session.lastSeenAt || 0) <= SESSION_TOUCH_INTERVAL && session.ip === ip) {
+    return null;
+  }
+
+  session.lastSeenAt = now;
+  session.ip = ip;
+  session.expiresAt = getSessionExpiry(session, now);
+  await storage.saveSessions(sessions);
+  return session;
+}
+
+/**
+ * Delete expired sessions and CSRF tokens whose session no longer exists.
+ * Returns the number of sessions removed.
+ */
+async function sweepExpiredSessions() {
+  const state = await storage.readState();
+  let removed = 0;
+
+  for (const [token, session] of Object.entries(state.sessions)) {
+    if (!isSessionValid(session)) {
+      delete state.sessions[token];
+      removed++;
+    }
+  }
+
+  const orphanedCsrf = Object.keys(state.csrfTokens).filter(token => !state.sessions[token]);
+  for (const token of orphanedCsrf) {
+    delete state.csrfTokens[token];
+  }
+
+  if (removed > 0 || orphanedCsrf.length > 0) {
+    await storage.writeState(state);
+  }
+  return removed;
 }
 
 /**
@@ -93,6 +200,253 @@ function isSessionValid(session) {
   return Date.now() < session.expiresAt;
 }
 
+/**
+ * Hash an API token for storage. Tokens are long random values, so a fast
+ * hash is enough and keeps per-request verification cheap.
+ */
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a personal API token for a user. The plain token is only returned here;
+ * data.json keeps its hash (state.json only records when it was last used).
+ */
+async function createApiToken(userId, name, scope) {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const record = {
+    id: crypto.randomUUID(),
+    userId,
+    name,
+    scope,
+    tokenHash: hashApiToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 8),
+    createdAt: Date.now()
+  };
+
+  const apiTokens = await storage.getApiTokens();
+  apiTokens.push(record);
+  await storage.saveApiTokens(apiTokens);
+
+  return { token, record };
+}
+
+/**
+ * Look up the stored record for a plain API token, or null, and record that it was used
+ * (in state.json, so API traffic never rewrites the data)
+ */
+async function verifyApiToken(token) {
+  if (!token || typeof token !== 'string' || !token.startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+
+  // timingSafeEqual throws on buffers of different lengths, e.g. a hand-edited hash
+  const tokenHash = Buffer.from(hashApiToken(token), 'hex');
+  const apiTokens = await storage.getApiTokens();
+  const record = apiTokens.find(t => {
+    const storedHash = Buffer.from(t.tokenHash, 'hex');
+    return storedHash.length === tokenHash.length && crypto.timingSafeEqual(storedHash, tokenHash);
+  });
+  if (!record) {
+    return null;
+  }
+
+  const now = Date.now();
+  const usage = await storage.getApiTokenUsage();
+  if (!usage[record.id] || now - usage[record.id] > API_TOKEN_TOUCH_INTERVAL) {
+    usage[record.id] = now;
+    await storage.saveApiTokenUsage(usage);
+  }
+  return record;
+}
+
+/**
+ * Delete every API token that belongs to a user
+ */
+async function revokeUserApiTokens(userId) {
+  const apiTokens = await storage.getApiTokens();
+  await storage.saveApiTokens(apiTokens.filter(t => t.userId !== userId));
+}
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding (the format authenticator apps expect)
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string, ignoring case, spaces and padding
+ */
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random base32 TOTP secret (160 bits, as RFC 4226 recommends)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP code (RFC 4226) of a base32 secret for a counter value
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ */
+function getTotpCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Check a TOTP code. Returns the matching time step, or null. Steps at or before
+ * lastCounter are rejected so a code can't be replayed.
+ */
+function verifyTotp(secret, code, lastCounter = -1, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = getTotpCounter(now);
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+    if (counter <= lastCounter) continue;
+    if (crypto.timingSafeEqual(Buffer.from(generateHotp(secret, counter)), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (directly or as a QR code)
+ */
+function getTotpUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}` +
+    `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+}
+
+/**
+ * Normalize a recovery code as typed by the user (case, dashes and spaces don't matter)
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes. Returns the plain codes (shown once) and their bcrypt hashes.
+ */
+async function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(5).toString('hex');
+    codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+  }
+  const hashes = await Promise.all(codes.map(code => hashPassword(normalizeRecoveryCode(code))));
+  return { codes, hashes };
+}
+
+/**
+ * Find the recovery code hash a code matches. Returns its index, or -1.
+ */
+async function findRecoveryCode(hashes, code) {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return -1;
+  }
+
+  for (let i = 0; i < hashes.length; i++) {
+    if (await verifyPassword(normalized, hashes[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Check a login's second factor: a TOTP code, or else an unused recovery code
+ * (which is then consumed). Returns true on success. The slow recovery code check runs
+ * on a copy; the code is then removed from the current record, so two logins racing
+ * with one code can't both succeed and changes saved meanwhile aren't overwritten.
+ */
+async function verifySecondFactor(userId, code) {
+  const user = (await storage.getUsers()).find(u => u.id === userId);
+
+  const counter = verifyTotp(user.totp.secret, code, user.totp.lastCounter);
+  if (counter !== null) {
+    return storage.updateUsers(users => {
+      const current = users.find(u => u.id === userId);
+      if (!current || !current.totp || current.totp.lastCounter >= counter) {
+        return false;
+      }
+      current.totp.lastCounter = counter;
+      return true;
+    });
+  }
+
+  const recoveryCodes = user.recoveryCodes || [];
+  const index = await findRecoveryCode(recoveryCodes, code);
+  if (index === -1) {
+    return false;
+  }
+  const hash = recoveryCodes[index];
+  return storage.updateUsers(users => {
+    const current = users.find(u => u.id === userId);
+    const unused = current ? (current.recoveryCodes || []).indexOf(hash) : -1;
+    if (unused === -1) {
+      return false;
+    }
+    current.recoveryCodes.splice(unused, 1);
+    return true;
+  });
+}
+
 /**
  * Clean old attempts from the array, keeping only those within the window
  */
@@ -104,12 +458,12 @@ function cleanOldAttempts(attempts, windowStart) {
  * Check if an IP is rate limited
  */
 async function checkRateLimit(ip) {
-  const data = await storage.readData();
+  const state = await storage.readState();
   const now = Date.now();
   const windowStart = now - RATE_LIMIT_WINDOW;
 
   // Check if currently blocked
-  const blockInfo = data.rateLimiting.blocked[ip];
+  const blockInfo = state.rateLimiting.blocked[ip];
   if (blockInfo && blockInfo.until > now) {
     return {
       allowed: false,
@@ -119,7 +473,7 @@ async function checkRateLimit(ip) {
   }
 
   // Count recent attempts
-  const attempts = data.rateLimiting.attempts[ip] || [];
+  const attempts = state.rateLimiting.attempts[ip] || [];
   const recentAttempts = cleanOldAttempts(attempts, windowStart);
 
   if (recentAttempts.length >= MAX_ATTEMPTS) {
@@ -128,14 +482,14 @@ async function checkRateLimit(ip) {
     const blockDuration = BASE_BLOCK_DURATION * Math.pow(2, blockCount - 1);
 
     // Block the IP
-    data.rateLimiting.blocked[ip] = {
+    state.rateLimiting.blocked[ip] = {
       until: now + blockDuration,
       blockCount
     };
-    data.rateLimiting.attempts[ip] = []; // Clear attempts
-    await storage.writeData(data);
+    delete state.rateLimiting.attempts[ip]; // Clear attempts
+    await storage.writeState(state);
 
-    return { allowed: false, retryAfter: blockDuration, blockCount };
+    return { allowed: false, retryAfter: blockDuration, blockCount, newBlock: true };
   }
 
   return { allowed: true };
@@ -145,30 +499,80 @@ async function checkRateLimit(ip) {
  * Record a failed login attempt for an IP
  */
 async function recordFailedAttempt(ip) {
-  const data = await storage.readData();
+  const state = await storage.readState();
   const now = Date.now();
   const windowStart = now - RATE_LIMIT_WINDOW;
 
-  if (!data.rateLimiting.attempts[ip]) {
-    data.rateLimiting.attempts[ip] = [];
-  }
+  // Only the last MAX_ATTEMPTS timestamps matter for the limit
+  const attempts = cleanOldAttempts(state.rateLimiting.attempts[ip] || [], windowStart);
+  attempts.push(now);
+  state.rateLimiting.attempts[ip] = attempts.slice(-MAX_ATTEMPTS);
 
-  data.rateLimiting.attempts[ip] = cleanOldAttempts(
-    data.rateLimiting.attempts[ip],
-    windowStart
-  );
-  data.rateLimiting.attempts[ip].push(now);
-  await storage.writeData(data);
+  pruneRateLimiting(state.rateLimiting, now);
+  await storage.writeState(state);
 }
 
 /**
  * Clear rate limit attempts on successful login (but keep blockCount for backoff)
  */
 async function clearRateLimitOnSuccess(ip) {
-  const data = await storage.readData();
-  if (data.rateLimiting.attempts[ip]) {
-    data.rateLimiting.attempts[ip] = [];
-    await storage.writeData(data);
+  const state = await storage.readState();
+  if (state.rateLimiting.attempts[ip]) {
+    delete state.rateLimiting.attempts[ip];
+    await storage.writeState(state);
+  }
+}
+
+/**
+ * Drop rate-limit entries that no longer affect anything, then cap each table at
+ * MAX_TRACKED_IPS by evicting the stalest IPs. Returns true if anything was removed.
+ */
+function pruneRateLimiting(rateLimiting, now = Date.now()) {
+  const windowStart = now - RATE_LIMIT_WINDOW;
+  let changed = false;
+
+  for (const [ip, attempts] of Object.entries(rateLimiting.attempts)) {
+    const recent = cleanOldAttempts(attempts, windowStart);
+    if (recent.length === 0) {
+      delete rateLimiting.attempts[ip];
+      changed = true;
+    } else if (recent.length !== attempts.length) {
+      rateLimiting.attempts[ip] = recent;
+      changed = true;
+    }
+  }
+
+  for (const [ip, block] of Object.entries(rateLimiting.blocked)) {
+    if (block.until + BLOCK_HISTORY < now) {
+      delete rateLimiting.blocked[ip];
+      changed = true;
+    }
+  }
+
+  const evict = (table, lastActivity) => {
+    const ips = Object.keys(table);
+    if (ips.length <= MAX_TRACKED_IPS) {
+      return;
+    }
+    ips.sort((a, b) => lastActivity(table[a]) - lastActivity(table[b]));
+    for (const ip of ips.slice(0, ips.length - MAX_TRACKED_IPS)) {
+      delete table[ip];
+    }
+    changed = true;
+  };
+  evict(rateLimiting.attempts, attempts => attempts[attempts.length - 1]);
+  evict(rateLimiting.blocked, block => block.until);
+
+  return changed;
+}
+
+/**
+ * Garbage-collect stale rate-limit state (run periodically)
+ */
+async function sweepRateLimiting() {
+  const state = await storage.readState();
+  if (pruneRateLimiting(state.rateLimiting)) {
+    await storage.writeState(state);
   }
 }
 
@@ -177,9 +581,9 @@ async function clearRateLimitOnSuccess(ip) {
  */
 async function generateCsrfToken(sessionToken) {
   const csrfToken = crypto.randomBytes(32).toString('hex');
-  const data = await storage.readData();
-  data.csrfTokens[sessionToken] = csrfToken;
-  await storage.writeData(data);
+  const state = await storage.readState();
+  state.csrfTokens[sessionToken] = csrfToken;
+  await storage.writeState(state);
   return csrfToken;
 }
 
@@ -187,8 +591,8 @@ async function generateCsrfToken(sessionToken) {
  * Validate a CSRF token against the session
  */
 async function validateCsrfToken(sessionToken, csrfToken) {
-  const data = await storage.readData();
-  const expected = data.csrfTokens[sessionToken];
+  const state = await storage.readState();
+  const expected = state.csrfTokens[sessionToken];
   return expected && expected === csrfToken;
 }
 
@@ -196,9 +600,24 @@ async function validateCsrfToken(sessionToken, csrfToken) {
  * Clear CSRF token on logout
  */
 async function clearCsrfToken(sessionToken) {
-  const data = await storage.readData();
-  delete data.csrfTokens[sessionToken];
-  await storage.writeData(data);
+  const state = await storage.readState();
+  delete state.csrfTokens[sessionToken];
+  await storage.writeState(state);
+}
+
+/**
+ * Delete every session (and its CSRF token) that belongs to a user,
+ * optionally keeping the one the request came from
+ */
+async function revokeUserSessions(userId, exceptToken = null) {
+  const state = await storage.readState();
+  for (const [token, session] of Object.entries(state.sessions)) {
+    if (session.userId === userId && token !== exceptToken) {
+      delete state.sessions[token];
+      delete state.csrfTokens[token];
+    }
+  }
+  await storage.writeState(state);
 }
 
 module.exports = {
@@ -207,12 +626,28 @@ module.exports = {
   generateSessionToken,
   signCookie,
   verifyCookie,
+  verifyRotatedCookie,
   createSession,
+  touchSession,
+  sweepExpiredSessions,
   isSessionValid,
   checkRateLimit,
   recordFailedAttempt,
   clearRateLimitOnSuccess,
+  sweepRateLimiting,
   generateCsrfToken,
   validateCsrfToken,
-  clearCsrfToken
+  clearCsrfToken,
+  revokeUserSessions,
+  API_TOKEN_SCOPES,
+  createApiToken,
+  verifyApiToken,
+  revokeUserApiTokens,
+  generateTotpSecret,
+  generateHotp,
+  verifyTotp,
+  getTotpUri,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  verifySecondFactor
 };
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Rolling snapshots of user content (accounts, workspaces, API tokens) in DATA_DIR/backups,
+// taken once a day and before anything that replaces data in bulk. Session secrets and
+// sign-in state are not included.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const retention = parseInt(process.env.BACKUP_RETENTION, 10);
+const BACKUP_RETENTION = Number.isInteger(retention) && retention > 0 ? retention : 14;
+const DAILY_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Why a snapshot was taken: on schedule, or just before an import, a restore or a schema upgrade
+const BACKUP_REASONS = ['daily', 'import', 'restore', 'migration'];
+// <createdAt>-<reason>-<random suffix>; snapshots taken before the suffix was added have none
+const BACKUP_ID_PATTERN = new RegExp(`^(\\d+)-(${BACKUP_REASONS.join('|')})(?:-[0-9a-f]{8})?$`);
+
+// Top-level keys left out of snapshots: the cookie signing secrets, and sign-in state that
+// data from before schema version 5 still carries
+const EXCLUDED_KEYS = ['sessionSecret', 'previousSessionSecrets', 'sessions', 'csrfTokens', 'rateLimiting'];
+
+function backupFile(id) {
+  return path.join(BACKUP_DIR, `${id}.json`);
+}
+
+/**
+ * Write a snapshot of `data`. Returns { id, reason, createdAt, size }.
+ */
+async function createBackup(reason, data) {
+  if (!BACKUP_REASONS.includes(reason)) {
+    throw new Error(`Unknown backup reason ${reason}`);
+  }
+
+  const createdAt = Date.now();
+  const id = `${createdAt}-${reason}-${crypto.randomBytes(4).toString('hex')}`;
+  const snapshot = { ...data };
+  for (const key of EXCLUDED_KEYS) {
+    delete snapshot[key];
+  }
+  const content = JSON.stringify(snapshot, null, 2);
+
+  await fs.mkdir(BACKUP_DIR, { recursive: true });
+  const tempFile = backupFile(id) + '.tmp';
+  await fs.writeFile(tempFile, content, { encoding: 'utf8', mode: 0o600 });
+  await fs.rename(tempFile, backupFile(id));
+
+  await pruneBackups();
+  return { id, reason, createdAt, size: Buffer.byteLength(content) };
+}
+
+/**
+ * List snapshots, newest first: [{ id, reason, createdAt, size }]
+ */
+async function listBackups() {
+  let files;
+  try {
+    files = await fs.readdir(BACKUP_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const backups = [];
+  for (const file of files) {
+    const match = path.basename(file, '.json').match(BACKUP_ID_PATTERN);
+    if (!match || !file.endsWith('.json')) continue;
+    const { size } = await fs.stat(path.join(BACKUP_DIR, file));
+    backups.push({ id: match[0], reason: match[2], createdAt: Number(match[1]), size });
+  }
+  return backups.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Delete all but the newest BACKUP_RETENTION snapshots of each reason, so a run of imports
+ * can't push out the daily snapshots (or the other way round)
+ */
+async function pruneBackups() {
+  const backups = await listBackups();
+  const expired = BACKUP_REASONS.flatMap(reason =>
+    backups.filter(b => b.reason === reason).slice(BACKUP_RETENTION)
+  );
+  for (const backup of expired) {
+    await fs.unlink(backupFile(backup.id)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+/**
+ * Whether the daily snapshot is due (none taken in the last 24 hours)
+ */
+async function isDailyBackupDue() {
+  const latest = (await listBackups()).find(b => b.reason === 'daily');
+  return !latest || Date.now() - latest.createdAt >= DAILY_INTERVAL;
+}
+
+/**
+ * Read a snapshot's data, or null if there is no such backup
+ */
+async function readBackup(id) {
+  if (!BACKUP_ID_PATTERN.test(id)) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(backupFile(id), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Find one snapshot's listing entry, or null
+ */
+async function getBackup(id) {
+  return (await listBackups()).find(b => b.id === id) || null;
+}
+
+module.exports = {
+  BACKUP_RETENTION,
+  createBackup,
+  listBackups,
+  getBackup,
+  readBackup,
+  isDailyBackupDue
+};
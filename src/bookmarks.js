@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const schema = require('./schema');
+
+// Browser bookmark exports in the Netscape bookmark file format (bookmarks.html from Chrome,
+// Firefox, Edge and Safari): nested <DL> lists of <H3> folders and <A> bookmarks.
+const MAX_BOOKMARKS = 5000;
+
+// Folders every browser has at the top; as tags they would land on nearly every link.
+// Firefox marks them with attributes, Chrome and Edge only mark the bookmarks bar.
+const ROOT_FOLDER_ATTRIBUTES = ['personal_toolbar_folder', 'unfiled_bookmarks_folder'];
+const ROOT_FOLDER_NAMES = ['other bookmarks', 'other favorites', 'mobile bookmarks', 'mobile favorites'];
+
+// Colors handed out to tags created from folders, in turn
+const TAG_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Tags that end the <H3> or <A> being read: its closing tag, or the next entry when it was
+// left unclosed, so one missing </A> can't swallow the rest of the file
+const BLOCK_TAGS = ['dl', 'dt', 'dd', 'h3', 'a'];
+
+const TAG_NAME_PATTERN = /[a-z][\w-]*/iy;
+const ATTRIBUTE_NAME_PATTERN = /[\w-]+/y;
+const UNQUOTED_VALUE_PATTERN = /[^\s"'>]*/y;
+const WHITESPACE_PATTERN = /\s*/y;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+/**
+ * Match a sticky pattern at `index`: the matched text, or '' when it doesn't match there
+ */
+function matchAt(pattern, text, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(text);
+  return match ? match[0] : '';
+}
+
+/**
+ * Attributes of a tag (the source between its name and `>`), names lowercased. Scans left to
+ * right without backtracking; an unterminated quote runs to the end of the tag.
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  let index = 0;
+  while (index < source.length) {
+    index += matchAt(WHITESPACE_PATTERN, source, index).length;
+    const name = matchAt(ATTRIBUTE_NAME_PATTERN, source, index);
+    if (!name) {
+      index++;
+      continue;
+    }
+    index += name.length;
+    index += matchAt(WHITESPACE_PATTERN, source, index).length;
+    if (source[index] !== '=') {
+      attributes[name.toLowerCase()] = '';
+      continue;
+    }
+    index += 1 + matchAt(WHITESPACE_PATTERN, source, index + 1).length;
+
+    let value;
+    const quote = source[index];
+    if (quote === '"' || quote === "'") {
+      const end = source.indexOf(quote, index + 1);
+      value = source.slice(index + 1, end === -1 ? source.length : end);
+      index = end === -1 ? source.length : end + 1;
+    } else {
+      value = matchAt(UNQUOTED_VALUE_PATTERN, source, index);
+      index += value.length;
+    }
+    attributes[name.toLowerCase()] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Split HTML into tags and the text between them in a single pass:
+ * [{ text } | { tag, closing, attributes }], with tag names lowercased. Comments and
+ * declarations are dropped; a `<` that doesn't start a tag is text. Every position is read
+ * once, so the time grows with the length of the file even when tags are never closed.
+ */
+function tokenize(html) {
+  const tokens = [];
+  let index = 0;
+  const addText = end => {
+    if (end > index) tokens.push({ text: html.slice(index, end) });
+  };
+
+  while (index < html.length) {
+    const start = html.indexOf('<', index);
+    if (start === -1) break;
+
+    if (html.startsWith('<!--', start)) {
+      addText(start);
+      const end = html.indexOf('-->', start + 4);
+      index = end === -1 ? html.length : end + 3;
+      continue;
+    }
+
+    const closing = html[start + 1] === '/';
+    const nameStart = start + (closing ? 2 : 1);
+    const tag = html[nameStart] === '!' || html[nameStart] === '?' ? '!' : matchAt(TAG_NAME_PATTERN, html, nameStart);
+    if (!tag) {
+      // A stray `<` is text; keep looking after it
+      addText(start + 1);
+      index = start + 1;
+      continue;
+    }
+
+    const end = html.indexOf('>', nameStart);
+    if (end === -1) {
+      // Nothing after this is a complete tag
+      break;
+    }
+    addText(start);
+    if (tag !== '!') {
+      tokens.push({
+        tag: tag.toLowerCase(),
+        closing,
+        attributes: closing ? {} : parseAttributes(html.slice(nameStart + tag.length, end))
+      });
+    }
+    index = end + 1;
+  }
+  addText(html.length);
+  return tokens;
+}
+
+function collapseText(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * ADD_DATE as a timestamp in milliseconds, or null. Browsers write seconds; some tools
+ * write milliseconds or microseconds instead.
+ */
+function parseAddDate(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  if (number > 1e14) return Math.floor(number / 1000);
+  if (number > 1e11) return Math.floor(number);
+  return Math.floor(number * 1000);
+}
+
+/**
+ * Read the bookmarks out of a bookmarks.html file, in file order:
+ * [{ name, url, folders: [folder names, outermost first], tags, addedAt, icon }].
+ * `tags` come from the TAGS attribute written by Firefox, Pinboard and our own export.
+ */
+function parseBookmarksHtml(html) {
+  const bookmarks = [];
+  const folders = []; // One entry per open <DL>: its folder name, or null for the top level and browser roots
+  let pendingFolder = null;
+  let element = null; // The <H3> or <A> whose text is being read: { tag, attributes, text }
+
+  const finishElement = () => {
+    if (!element) return;
+    const { tag, attributes } = element;
+    const text = collapseText(element.text);
+    element = null;
+
+    if (tag === 'h3') {
+      const isRoot = ROOT_FOLDER_ATTRIBUTES.some(attribute => attributes[attribute] !== undefined) ||
+        (folders.length === 1 && ROOT_FOLDER_NAMES.includes(text.toLowerCase()));
+      pendingFolder = isRoot ? null : text || null;
+      return;
+    }
+
+    if (!attributes.href) return;
+    bookmarks.push({
+      name: text,
+      url: attributes.href.trim(),
+      folders: folders.filter(Boolean),
+      tags: (attributes.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+      addedAt: parseAddDate(attributes.add_date),
+      icon: attributes.icon || null
+    });
+  };
+
+  for (const token of tokenize(html)) {
+    if (token.text !== undefined) {
+      if (element) element.text += token.text;
+      continue;
+    }
+
+    if (element && BLOCK_TAGS.includes(token.tag)) {
+      finishElement();
+    }
+    if (token.tag === 'dl') {
+      if (token.closing) {
+        folders.pop();
+      } else {
+        folders.push(pendingFolder);
+        pendingFolder = null;
+      }
+    } else if ((token.tag === 'h3' || token.tag === 'a') && !token.closing) {
+      element = { tag: token.tag, attributes: token.attributes, text: '' };
+    }
+  }
+  finishElement();
+  return bookmarks;
+}
+
+/**
+ * Work out what importing `bookmarks` onto a dashboard adds to `workspace`, without changing it.
+ * Links go to the end of the dashboard outside any group, tagged with their folders and tags; links
+ * already on the dashboard are left out. Returns { links, tags, skipped }: the new link and tag
+ * records, and [{ name, url, reason }] for bookmarks that won't be imported.
+ */
+function planBookmarkImport(workspace, bookmarks, dashboardId) {
+  const tagsByName = new Map(workspace.tags.map(t => [t.name.toLowerCase(), t]));
+  const dashboardLinks = workspace.links.filter(l => l.dashboardId === dashboardId);
+  const knownUrls = new Set(dashboardLinks.flatMap(l => [l.url, schema.isHttpUrl(l.url) ? new URL(l.url).href : l.url]));
+  let order = dashboardLinks
+    .filter(l => !l.groupId)
+    .reduce((max, l) => Math.max(max, l.order + 1), 0);
+
+  const links = [];
+  const newTags = [];
+  const skipped = [];
+  const skip = (bookmark, reason) => skipped.push({ name: bookmark.name, url: bookmark.url, reason });
+
+  for (const bookmark of bookmarks) {
+    if (!schema.isHttpUrl(bookmark.url)) {
+      skip(bookmark, 'Not an HTTP or HTTPS link');
+      continue;
+    }
+    // Stored as the URL parser writes it, so whatever the file had in HREF comes out
+    // percent-encoded
+    const url = new URL(bookmark.url).href;
+    if (knownUrls.has(url)) {
+      skip(bookmark, 'Already on this dashboard');
+      continue;
+    }
+    if (links.length >= MAX_BOOKMARKS) {
+      skip(bookmark, `More than ${MAX_BOOKMARKS} bookmarks in one import`);
+      continue;
+    }
+
+    const tagIds = [];
+    for (const folder of [...bookmark.folders, ...bookmark.tags]) {
+      const name = folder.slice(0, 50).trim();
+      let tag = tagsByName.get(name.toLowerCase());
+      if (!tag) {
+        const color = TAG_COLORS[(workspace.tags.length + newTags.length) % TAG_COLORS.length];
+        tag = { id: crypto.randomUUID(), name, color, public: false };
+        tagsByName.set(name.toLowerCase(), tag);
+        newTags.push(tag);
+      }
+      if (!tagIds.includes(tag.id)) {
+        tagIds.push(tag.id);
+      }
+    }
+
+    // An icon that is too large or not an image is dropped; the link fetches its favicon instead
+    const icon = bookmark.icon && schema.validate(bookmark.icon, schema.LINK_SCHEMA.fields.faviconUrl).length === 0
+      ? bookmark.icon
+      : null;
+
+    const link = {
+      id: crypto.randomUUID(),
+      dashboardId,
+      name: (bookmark.name || url).slice(0, 200),
+      url,
+      order,
+      faviconUrl: icon,
+      fallbackEmoji: '',
+      tags: tagIds,
+      groupId: null,
+      iconType: 'favicon',
+      iconValue: null
+    };
+    if (bookmark.addedAt !== null) {
+      link.addedAt = bookmark.addedAt;
+    }
+
+    const errors = schema.validate(link, schema.LINK_SCHEMA);
+    if (errors.length > 0) {
+      skip(bookmark, errors[0].message);
+      continue;
+    }
+    links.push(link);
+    knownUrls.add(link.url);
+    order++;
+  }
+
+  // Folders whose bookmarks were all skipped don't become tags
+  const usedTagIds = new Set(links.flatMap(l => l.tags));
+  return { links, tags: newTags.filter(t => usedTagIds.has(t.id)), skipped };
+}
+
+module.exports = {
+  MAX_BOOKMARKS,
+  parseBookmarksHtml,
+  planBookmarkImport
+};
@@ -0,0 +1,178 @@
+// Export formats other than the JSON backup: a browser bookmarks file, a spreadsheet and an
+// outline. Each gets { dashboards, links, tags, groups, preferences } and returns the file text.
+// Tags become folders (a link with several tags appears in each) or a column.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Dashboards in order, each with its links in page order (by group, then position) and
+ * those links grouped by tag: [{ dashboard, links, byTag: [{ tag, links }], untagged }]
+ */
+function arrangeLinks({ dashboards, links, tags, groups }) {
+  const groupOrder = new Map(groups.map(g => [g.id, g.order]));
+  const sortedTags = [...tags].sort((a, b) => a.name.localeCompare(b.name));
+
+  return [...dashboards].sort((a, b) => a.order - b.order).map(dashboard => {
+    const dashboardLinks = links
+      .filter(l => l.dashboardId === dashboard.id)
+      .sort((a, b) => {
+        const groupA = a.groupId ? groupOrder.get(a.groupId) : -1;
+        const groupB = b.groupId ? groupOrder.get(b.groupId) : -1;
+        return groupA - groupB || a.order - b.order;
+      });
+    return {
+      dashboard,
+      links: dashboardLinks,
+      byTag: sortedTags
+        .map(tag => ({ tag, links: dashboardLinks.filter(l => l.tags.includes(tag.id)) }))
+        .filter(folder => folder.links.length > 0),
+      untagged: dashboardLinks.filter(l => l.tags.length === 0)
+    };
+  });
+}
+
+function tagNames(link, tags) {
+  return link.tags.map(id => tags.find(t => t.id === id)).filter(Boolean).map(t => t.name);
+}
+
+/**
+ * Netscape bookmark file, as read by the import of every major browser: a folder per
+ * dashboard holding a folder per tag, with untagged links after them
+ */
+function toBookmarksHtml(data) {
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file.',
+    '     It will be read and overwritten.',
+    '     DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escapeHtml(data.preferences.pageTitle)}</TITLE>`,
+    `<H1>${escapeHtml(data.preferences.pageTitle)}</H1>`,
+    '<DL><p>'
+  ];
+
+  const bookmark = (link, indent) => {
+    let attributes = `HREF="${escapeHtml(link.url)}"`;
+    if (link.addedAt) {
+      attributes += ` ADD_DATE="${Math.floor(link.addedAt / 1000)}"`;
+    }
+    if (link.faviconUrl && link.faviconUrl.startsWith('data:')) {
+      attributes += ` ICON="${escapeHtml(link.faviconUrl)}"`;
+    }
+    const names = tagNames(link, data.tags);
+    if (names.length > 0) {
+      attributes += ` TAGS="${escapeHtml(names.join(','))}"`;
+    }
+    lines.push(`${indent}<DT><A ${attributes}>${escapeHtml(link.name)}</A>`);
+  };
+  const folder = (name, indent, fill) => {
+    lines.push(`${indent}<DT><H3>${escapeHtml(name)}</H3>`, `${indent}<DL><p>`);
+    fill(indent + '    ');
+    lines.push(`${indent}</DL><p>`);
+  };
+
+  for (const { dashboard, byTag, untagged } of arrangeLinks(data)) {
+    folder(dashboard.name, '    ', indent => {
+      for (const { tag, links } of byTag) {
+        folder(tag.name, indent, inner => links.forEach(link => bookmark(link, inner)));
+      }
+      untagged.forEach(link => bookmark(link, indent));
+    });
+  }
+
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+const CSV_COLUMNS = ['name', 'url', 'dashboard', 'group', 'tags', 'added'];
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per link (RFC 4180, with a UTF-8 byte order mark so Excel reads accents);
+ * tags are listed in one column separated by semicolons
+ */
+function toCsv(data) {
+  const rows = [CSV_COLUMNS];
+  for (const { dashboard, links } of arrangeLinks(data)) {
+    for (const link of links) {
+      const group = link.groupId ? data.groups.find(g => g.id === link.groupId) : null;
+      rows.push([
+        link.name,
+        link.url,
+        dashboard.name,
+        group ? group.name : '',
+        tagNames(link, data.tags).join('; '),
+        link.addedAt ? new Date(link.addedAt).toISOString() : ''
+      ]);
+    }
+  }
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * OPML 2.0 outline: a node per dashboard and tag, and type="link" nodes carrying the URL,
+ * creation date and tags (as categories)
+ */
+function toOpml(data) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeHtml(data.preferences.pageTitle)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  const outline = (link, indent) => {
+    let attributes = `type="link" text="${escapeHtml(link.name)}" url="${escapeHtml(link.url)}"`;
+    if (link.addedAt) {
+      attributes += ` created="${new Date(link.addedAt).toUTCString()}"`;
+    }
+    const names = tagNames(link, data.tags);
+    if (names.length > 0) {
+      attributes += ` category="${escapeHtml(names.map(name => `/${name.replace(/[/,]/g, ' ')}`).join(','))}"`;
+    }
+    lines.push(`${indent}<outline ${attributes}/>`);
+  };
+
+  for (const { dashboard, byTag, untagged } of arrangeLinks(data)) {
+    lines.push(`    <outline text="${escapeHtml(dashboard.name)}">`);
+    for (const { tag, links } of byTag) {
+      lines.push(`      <outline text="${escapeHtml(tag.name)}">`);
+      links.forEach(link => outline(link, '        '));
+      lines.push('      </outline>');
+    }
+    untagged.forEach(link => outline(link, '      '));
+    lines.push('    </outline>');
+  }
+
+  lines.push('  </body>', '</opml>');
+  return lines.join('\n') + '\n';
+}
+
+// ?format= values of GET /api/export, besides the default json
+const EXPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: toBookmarksHtml },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: toCsv },
+  opml: { contentType: 'text/x-opml; charset=utf-8', extension: 'opml', render: toOpml }
+};
+
+module.exports = {
+  EXPORT_FORMATS
+};
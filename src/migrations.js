@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const {
+  CURRENT_SCHEMA_VERSION,
+  REVISIONED_COLLECTIONS,
+  DEFAULT_WORKSPACE,
+  ID_COLLECTIONS,
+  LINK_SCHEMA,
+  TAG_SCHEMA,
+  GROUP_SCHEMA,
+  DASHBOARD_SCHEMA,
+  PREFERENCES_SCHEMA,
+  createWorkspace,
+  isUuid,
+  normalizeAccentColor
+} = require('./schema');
+
+// Keys of data.json that moved into each user's workspace (version 2)
+const WORKSPACE_KEYS = ['preferences', 'dashboards', 'links', 'tags', 'groups', 'customIcons', 'revisions'];
+
+// Keys of data.json that moved into state.json (version 5)
+const STATE_KEYS = ['sessions', 'csrfTokens', 'rateLimiting'];
+
+/**
+ * Bring a user's workspace up to the version 3 structure - returns true if anything changed
+ */
+function migrateWorkspace(workspace) {
+  let needsWrite = false;
+
+  // Add preferences if missing
+  if (!workspace.preferences) {
+    workspace.preferences = JSON.parse(JSON.stringify(DEFAULT_WORKSPACE.preferences));
+    needsWrite = true;
+  }
+
+  // Add links array if missing
+  if (!Array.isArray(workspace.links)) {
+    workspace.links = [];
+    needsWrite = true;
+  }
+
+  // Add tags array if missing (upgrade for tag system)
+  if (!workspace.tags) {
+    workspace.tags = [];
+    needsWrite = true;
+  }
+
+  // Ensure all links have a tags array (upgrade for tag system)
+  if (workspace.links && Array.isArray(workspace.links)) {
+    workspace.links = workspace.links.map(link => {
+      if (!link.tags) {
+        needsWrite = true;
+        return { ...link, tags: [] };
+      }
+      return link;
+    });
+  }
+
+  // Add customCss if missing (upgrade for theme engine)
+  if (workspace.preferences && !workspace.preferences.customCss) {
+    workspace.preferences.customCss = {
+      borderRadius: '0.625rem',
+      fontFamily: 'system-ui',
+      linkGap: '1rem'
+    };
+    needsWrite = true;
+  }
+
+  // Migrate to new theme preset system
+  if (workspace.preferences) {
+    // Add themePreset if missing
+    if (!workspace.preferences.themePreset) {
+      workspace.preferences.themePreset = 'midnight';
+      needsWrite = true;
+    }
+    // Add accentColor if missing (or migrate from buttonColor)
+    if (!workspace.preferences.accentColor) {
+      workspace.preferences.accentColor = workspace.preferences.buttonColor || '#3b82f6';
+      needsWrite = true;
+    }
+    // Remove deprecated color fields from old system
+    if (workspace.preferences.buttonColor !== undefined) {
+      delete workspace.preferences.buttonColor;
+      needsWrite = true;
+    }
+    if (workspace.preferences.buttonTextColor !== undefined) {
+      delete workspace.preferences.buttonTextColor;
+      needsWrite = true;
+    }
+    if (workspace.preferences.cardColor !== undefined) {
+      delete workspace.preferences.cardColor;
+      needsWrite = true;
+    }
+    if (workspace.preferences.cardTextColor !== undefined) {
+      delete workspace.preferences.cardTextColor;
+      needsWrite = true;
+    }
+    // Remove other deprecated fields
+    if (workspace.preferences.theme !== undefined) {
+      delete workspace.preferences.theme;
+      needsWrite = true;
+    }
+    if (workspace.preferences.themeBundle !== undefined) {
+      delete workspace.preferences.themeBundle;
+      needsWrite = true;
+    }
+    // Remove cardShadow from customCss (now handled by theme presets)
+    if (workspace.preferences.customCss && workspace.preferences.customCss.cardShadow !== undefined) {
+      delete workspace.preferences.customCss.cardShadow;
+      needsWrite = true;
+    }
+  }
+
+  // Add customIcons array if missing (upgrade for icon system)
+  if (!workspace.customIcons) {
+    workspace.customIcons = [];
+    needsWrite = true;
+  }
+
+  // Ensure all links have iconType and iconValue (upgrade for icon system)
+  if (workspace.links && Array.isArray(workspace.links)) {
+    workspace.links = workspace.links.map(link => {
+      if (link.iconType === undefined) {
+        needsWrite = true;
+        return { ...link, iconType: 'favicon', iconValue: null };
+      }
+      return link;
+    });
+  }
+
+  // Add groups array if missing (upgrade for link groups)
+  if (!workspace.groups) {
+    workspace.groups = [];
+    needsWrite = true;
+  }
+
+  // Ensure all links have a groupId (upgrade for link groups)
+  if (workspace.links && Array.isArray(workspace.links)) {
+    workspace.links = workspace.links.map(link => {
+      if (link.groupId === undefined) {
+        needsWrite = true;
+        return { ...link, groupId: null };
+      }
+      return link;
+    });
+  }
+
+  // Add a default dashboard if missing (upgrade for multiple dashboards)
+  if (!Array.isArray(workspace.dashboards) || workspace.dashboards.length === 0) {
+    workspace.dashboards = [{
+      id: crypto.randomUUID(),
+      name: 'Home',
+      slug: 'home',
+      order: 0,
+      theme: null
+    }];
+    needsWrite = true;
+  }
+
+  // Ensure all links and groups belong to a dashboard (upgrade for multiple dashboards)
+  const defaultDashboardId = [...workspace.dashboards].sort((a, b) => a.order - b.order)[0].id;
+  for (const collection of ['links', 'groups']) {
+    if (workspace[collection] && Array.isArray(workspace[collection])) {
+      workspace[collection] = workspace[collection].map(item => {
+        if (!item.dashboardId) {
+          needsWrite = true;
+          return { ...item, dashboardId: defaultDashboardId };
+        }
+        return item;
+      });
+    }
+  }
+
+  // Add revisions if missing (upgrade for optimistic concurrency)
+  if (!workspace.revisions) {
+    workspace.revisions = {};
+    needsWrite = true;
+  }
+  for (const collection of REVISIONED_COLLECTIONS) {
+    if (typeof workspace.revisions[collection] !== 'number') {
+      workspace.revisions[collection] = 1;
+      needsWrite = true;
+    }
+  }
+
+  return needsWrite;
+}
+
+/**
+ * Drop fields outside the schema from an array of records
+ */
+function keepSchemaFields(records, schema) {
+  return records.map(record => Object.fromEntries(
+    Object.entries(record).filter(([key]) => Object.prototype.hasOwnProperty.call(schema.fields, key))
+  ));
+}
+
+/**
+ * Repair what imports and old versions let into a workspace (version 6): unknown fields,
+ * missing link ids and order, references to tags, groups and icons that don't exist, missing
+ * preferences, named accent colors. Anything else that breaks the schema is left for
+ * validation to report.
+ */
+function tidyWorkspace(workspace) {
+  workspace.links = keepSchemaFields(workspace.links || [], LINK_SCHEMA);
+  workspace.tags = keepSchemaFields(workspace.tags || [], TAG_SCHEMA);
+  workspace.groups = keepSchemaFields(workspace.groups || [], GROUP_SCHEMA);
+  workspace.dashboards = keepSchemaFields(workspace.dashboards || [], DASHBOARD_SCHEMA);
+
+  const tagIds = new Set(workspace.tags.map(t => t.id));
+  const iconFiles = new Set((workspace.customIcons || []).map(i => i.filename));
+  workspace.links.forEach((link, index) => {
+    if (typeof link.id !== 'string' || !link.id) {
+      link.id = crypto.randomUUID();
+    }
+    if (!Number.isInteger(link.order) || link.order < 0) {
+      link.order = index;
+    }
+    link.tags = Array.isArray(link.tags) ? link.tags.filter(tagId => tagIds.has(tagId)) : [];
+    if (link.groupId === undefined || (link.groupId !== null &&
+        !workspace.groups.some(g => g.id === link.groupId && g.dashboardId === link.dashboardId))) {
+      link.groupId = null;
+    }
+    if (link.iconType === 'custom' && !iconFiles.has(link.iconValue)) {
+      link.iconType = 'favicon';
+      link.iconValue = null;
+    }
+  });
+
+  // Preferences fall back to the defaults for anything the workspace never stored
+  const defaults = JSON.parse(JSON.stringify(DEFAULT_WORKSPACE.preferences));
+  const [preferences] = keepSchemaFields([{ ...defaults, ...workspace.preferences }], PREFERENCES_SCHEMA);
+  preferences.accentColor = normalizeAccentColor(preferences.accentColor) || defaults.accentColor;
+  workspace.preferences = preferences;
+  for (const dashboard of workspace.dashboards) {
+    const accentColor = dashboard.theme && dashboard.theme.accentColor;
+    if (accentColor) {
+      if (normalizeAccentColor(accentColor)) {
+        dashboard.theme.accentColor = normalizeAccentColor(accentColor);
+      } else {
+        delete dashboard.theme.accentColor;
+      }
+    }
+  }
+}
+
+/**
+ * Give every record in a workspace that has no UUID, or one already used, a new one (version 7),
+ * and point the references to dashboards, groups and tags at the new ids. When an id was
+ * used twice, references keep pointing at the first record that had it.
+ */
+function assignUniqueIds(workspace) {
+  const used = new Set();
+  const renamed = {};
+  for (const collection of ID_COLLECTIONS) {
+    const kept = new Set();
+    renamed[collection] = new Map();
+    for (const record of workspace[collection] || []) {
+      if (isUuid(record.id) && !used.has(record.id)) {
+        kept.add(record.id);
+      } else {
+        const id = crypto.randomUUID();
+        if (!kept.has(record.id) && !renamed[collection].has(record.id)) {
+          renamed[collection].set(record.id, id);
+        }
+        record.id = id;
+      }
+      used.add(record.id);
+    }
+  }
+
+  const reference = (collection, id) => renamed[collection].get(id) || id;
+  for (const group of workspace.groups || []) {
+    group.dashboardId = reference('dashboards', group.dashboardId);
+  }
+  for (const link of workspace.links || []) {
+    link.dashboardId = reference('dashboards', link.dashboardId);
+    link.groupId = link.groupId === null ? null : reference('groups', link.groupId);
+    link.tags = link.tags.map(tagId => reference('tags', tagId));
+  }
+}
+
+// Ordered schema migrations: each upgrades data at `version - 1` to `version`, and runs once
+// per install. Data that predates schemaVersion counts as version 1. Until version 5 upgrades
+// were applied ad hoc on every start, so a version 1 install may already have any of them:
+// migrations up to 5 check before changing anything.
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move single-user data into a workspace owned by an admin account',
+    up(data) {
+      if (Array.isArray(data.users)) return;
+
+      data.users = [];
+      data.workspaces = {};
+
+      // Without credentials the account stays a placeholder that the next setup claims
+      const legacyUser = data.user;
+      if (legacyUser || WORKSPACE_KEYS.some(key => data[key] !== undefined)) {
+        const userId = crypto.randomUUID();
+        data.users.push({
+          id: userId,
+          username: legacyUser ? legacyUser.username : null,
+          passwordHash: legacyUser ? legacyUser.passwordHash : null,
+          role: 'admin',
+          disabled: false,
+          createdAt: Date.now()
+        });
+
+        const workspace = {};
+        for (const key of WORKSPACE_KEYS) {
+          if (data[key] !== undefined) {
+            workspace[key] = data[key];
+            delete data[key];
+          }
+        }
+        data.workspaces[userId] = workspace;
+
+        // Existing sessions belong to the only user
+        for (const session of Object.values(data.sessions || {})) {
+          session.userId = userId;
+        }
+      }
+
+      delete data.user;
+    }
+  },
+  {
+    version: 3,
+    description: 'Bring every workspace up to date (tags, themes, icons, groups, dashboards, revisions)',
+    up(data) {
+      data.workspaces = data.workspaces || {};
+      for (const user of data.users) {
+        if (!data.workspaces[user.id]) {
+          data.workspaces[user.id] = createWorkspace();
+        }
+        migrateWorkspace(data.workspaces[user.id]);
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Add personal API tokens',
+    up(data) {
+      if (!Array.isArray(data.apiTokens)) {
+        data.apiTokens = [];
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Move sessions, CSRF tokens and rate limits into state.json',
+    up(data, state) {
+      // A state.json written by an earlier start is newer than what's left in the data
+      for (const key of STATE_KEYS) {
+        if (data[key] !== undefined && state[key] === undefined) {
+          state[key] = data[key];
+        }
+        delete data[key];
+      }
+
+      // Give sessions a public id so they can be listed and revoked without exposing the token.
+      // Sessions from before "remember me" all had a persistent cookie.
+      for (const session of Object.values(state.sessions || {})) {
+        if (!session.id) {
+          session.id = crypto.randomUUID();
+          session.lastSeenAt = session.lastSeenAt || session.createdAt;
+          session.userAgent = session.userAgent || null;
+          session.ip = session.ip || null;
+        }
+        if (session.remember === undefined) {
+          session.remember = true;
+        }
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Clean up links, tags and groups that imports stored without validation',
+    up(data) {
+      for (const workspace of Object.values(data.workspaces || {})) {
+        tidyWorkspace(workspace);
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Give links, tags, groups, dashboards and icons without a unique UUID a new one',
+    up(data) {
+      for (const workspace of Object.values(data.workspaces || {})) {
+        assignUniqueIds(workspace);
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Move API token last-used times into state.json',
+    up(data, state) {
+      state.apiTokenUsage = state.apiTokenUsage || {};
+      for (const apiToken of data.apiTokens || []) {
+        if (apiToken.lastUsedAt && !state.apiTokenUsage[apiToken.id]) {
+          state.apiTokenUsage[apiToken.id] = apiToken.lastUsedAt;
+        }
+        delete apiToken.lastUsedAt;
+      }
+    }
+  }
+];
+
+if (MIGRATIONS[MIGRATIONS.length - 1].version !== CURRENT_SCHEMA_VERSION) {
+  throw new Error('The last migration must upgrade to CURRENT_SCHEMA_VERSION');
+}
+
+/**
+ * Schema version of stored data (data from before versioning is version 1)
+ */
+function getSchemaVersion(data) {
+  return data.schemaVersion === undefined ? 1 : data.schemaVersion;
+}
+
+/**
+ * Throw unless this code can upgrade `data`: data written by a newer version of the app is
+ * refused, since this code can't know what that version changed
+ */
+function assertSupportedVersion(data) {
+  const version = getSchemaVersion(data);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schema version ${JSON.stringify(data.schemaVersion)}`);
+  }
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Data has schema version ${version}, but this version of Simple Linkz only ` +
+      `supports up to ${CURRENT_SCHEMA_VERSION}. Upgrade Simple Linkz, or restore a backup taken before the upgrade.`);
+  }
+}
+
+/**
+ * Migrations that still have to run on `data`, in order (throws like assertSupportedVersion)
+ */
+function pendingMigrations(data) {
+  assertSupportedVersion(data);
+  const version = getSchemaVersion(data);
+  return MIGRATIONS.filter(migration => migration.version > version);
+}
+
+/**
+ * Run one migration on `data` in place and record the version it reached
+ */
+function applyMigration(data, state, migration) {
+  migration.up(data, state);
+  data.schemaVersion = migration.version;
+}
+
+/**
+ * Upgrade `data` in place to CURRENT_SCHEMA_VERSION. Sign-in state moved out of the data
+ * goes into `state`. Returns the migrations that ran.
+ */
+function migrate(data, state) {
+  const pending = pendingMigrations(data);
+  for (const migration of pending) {
+    applyMigration(data, state, migration);
+  }
+  return pending;
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  assertSupportedVersion,
+  pendingMigrations,
+  applyMigration,
+  migrate
+};
@@ -0,0 +1,295 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// OpenID Connect sign-in (authorization code flow with PKCE). Enabled when the issuer,
+// client id and redirect URI are all configured.
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || '';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single Sign-On';
+
+const FLOW_TTL = 10 * 60 * 1000;           // a sign-in must finish within 10 minutes
+const MAX_PENDING_FLOWS = 1000;
+const METADATA_TTL = 60 * 60 * 1000;       // re-read discovery document and keys hourly
+const REQUEST_TIMEOUT = 10000;
+const MAX_RESPONSE_SIZE = 1024 * 1024;
+const CLOCK_SKEW = 60;                     // seconds of leeway on exp / iat
+
+// Signature algorithms accepted on ID tokens, with their digest and verify options
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Sign-ins started but not finished, keyed by state: { nonce, codeVerifier, linkUserId, createdAt }
+const pendingFlows = new Map();
+
+let metadataCache = null; // { discovery, jwks, fetchedAt }
+
+/**
+ * Whether OIDC sign-in is configured
+ */
+function isEnabled() {
+  return Boolean(OIDC_ISSUER && OIDC_CLIENT_ID && OIDC_REDIRECT_URI);
+}
+
+/**
+ * Display name for the sign-in button
+ */
+function getProviderName() {
+  return OIDC_PROVIDER_NAME;
+}
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function randomToken() {
+  return base64url(crypto.randomBytes(32));
+}
+
+/**
+ * Make an HTTP(S) request and parse the JSON response
+ */
+function requestJSON(target, { method = 'GET', headers = {}, body = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const protocol = target.startsWith('https:') ? https : http;
+    const request = protocol.request(target, {
+      method,
+      headers: { Accept: 'application/json', ...headers },
+      timeout: REQUEST_TIMEOUT
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_SIZE) {
+          request.destroy(new Error(`Response from ${target} is too large`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => {
+        try {
+          resolve({ status: response.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+        } catch {
+          reject(new Error(`Invalid JSON from ${target} (HTTP ${response.statusCode})`));
+        }
+      });
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.on('timeout', () => request.destroy(new Error(`Timeout requesting ${target}`)));
+    if (body) {
+      request.write(body);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Load the issuer's discovery document and signing keys (cached).
+ * `refresh` forces a reload, e.g. when an ID token names an unknown key.
+ */
+async function getMetadata(refresh = false) {
+  if (metadataCache && !refresh && Date.now() - metadataCache.fetchedAt < METADATA_TTL) {
+    return metadataCache;
+  }
+
+  const { status, body: discovery } = await requestJSON(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (status !== 200) {
+    throw new Error(`OIDC discovery failed with HTTP ${status}`);
+  }
+  if (String(discovery.issuer || '').replace(/\/$/, '') !== OIDC_ISSUER) {
+    throw new Error(`OIDC discovery issuer ${discovery.issuer} does not match OIDC_ISSUER`);
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!discovery[field]) {
+      throw new Error(`OIDC discovery document has no ${field}`);
+    }
+  }
+
+  const { status: jwksStatus, body: jwks } = await requestJSON(discovery.jwks_uri);
+  if (jwksStatus !== 200 || !Array.isArray(jwks.keys)) {
+    throw new Error(`Fetching OIDC signing keys failed with HTTP ${jwksStatus}`);
+  }
+
+  metadataCache = { discovery, jwks, fetchedAt: Date.now() };
+  return metadataCache;
+}
+
+/**
+ * Start a sign-in: remember a fresh state, nonce and PKCE verifier, and build the
+ * issuer's authorization URL. With `linkUserId` the flow links the identity to that
+ * signed-in account instead of signing in. Returns { url, state }.
+ */
+async function createAuthorizationRequest(linkUserId = null) {
+  const { discovery } = await getMetadata();
+
+  const now = Date.now();
+  for (const [key, flow] of pendingFlows) {
+    if (now - flow.createdAt > FLOW_TTL || pendingFlows.size >= MAX_PENDING_FLOWS) {
+      pendingFlows.delete(key);
+    }
+  }
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  pendingFlows.set(state, { nonce, codeVerifier, linkUserId, createdAt: now });
+
+  const authUrl = new URL(discovery.authorization_endpoint);
+  authUrl.searchParams.set('response_type', 'code');
+  authUrl.searchParams.set('client_id', OIDC_CLIENT_ID);
+  authUrl.searchParams.set('redirect_uri', OIDC_REDIRECT_URI);
+  authUrl.searchParams.set('scope', OIDC_SCOPES);
+  authUrl.searchParams.set('state', state);
+  authUrl.searchParams.set('nonce', nonce);
+  authUrl.searchParams.set('code_challenge', base64url(crypto.createHash('sha256').update(codeVerifier).digest()));
+  authUrl.searchParams.set('code_challenge_method', 'S256');
+
+  return { url: authUrl.href, state };
+}
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint
+ */
+async function exchangeCode(discovery, code, codeVerifier) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Confidential clients authenticate with client_secret_basic unless the issuer only offers client_secret_post
+  const authMethods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (OIDC_CLIENT_SECRET && authMethods.includes('client_secret_basic')) {
+    const credentials = `${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', OIDC_CLIENT_ID);
+    if (OIDC_CLIENT_SECRET) {
+      params.set('client_secret', OIDC_CLIENT_SECRET);
+    }
+  }
+
+  const { status, body } = await requestJSON(discovery.token_endpoint, { method: 'POST', headers, body: params.toString() });
+  if (status !== 200 || !body.id_token) {
+    throw new Error(`OIDC token exchange failed with HTTP ${status}${body.error ? `: ${body.error}` : ''}`);
+  }
+  return body;
+}
+
+/**
+ * Find the issuer key an ID token was signed with
+ */
+function findSigningKey(jwks, header) {
+  const candidates = jwks.keys.filter(key => !key.use || key.use === 'sig');
+  if (header.kid) {
+    return candidates.find(key => key.kid === header.kid) || null;
+  }
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * Verify an ID token's signature and claims. Returns its claims.
+ */
+async function verifyIdToken(idToken, nonce) {
+  const parts = String(idToken).split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed ID token');
+  }
+
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Malformed ID token');
+  }
+
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+  }
+
+  let metadata = await getMetadata();
+  let jwk = findSigningKey(metadata.jwks, header);
+  if (!jwk) {
+    // The issuer may have rotated its keys since we last loaded them
+    metadata = await getMetadata(true);
+    jwk = findSigningKey(metadata.jwks, header);
+  }
+  if (!jwk) {
+    throw new Error('ID token was signed with an unknown key');
+  }
+
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Invalid ID token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== metadata.discovery.issuer) {
+    throw new Error('ID token issuer mismatch');
+  }
+  if (!audiences.includes(OIDC_CLIENT_ID) || (audiences.length > 1 && claims.azp !== OIDC_CLIENT_ID)) {
+    throw new Error('ID token audience mismatch');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW < now) {
+    throw new Error('ID token expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW > now) {
+    throw new Error('ID token issued in the future');
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Finish a flow started by createAuthorizationRequest: redeem the code and verify the ID
+ * token. Each state can be used once. Returns { claims, linkUserId }.
+ */
+async function completeAuthorization(state, code) {
+  const flow = pendingFlows.get(state);
+  pendingFlows.delete(state);
+  if (!flow || Date.now() - flow.createdAt > FLOW_TTL) {
+    throw new Error('Unknown or expired OIDC state');
+  }
+
+  const { discovery } = await getMetadata();
+  const tokens = await exchangeCode(discovery, code, flow.codeVerifier);
+  return { claims: await verifyIdToken(tokens.id_token, flow.nonce), linkUserId: flow.linkUserId };
+}
+
+module.exports = {
+  isEnabled,
+  getProviderName,
+  createAuthorizationRequest,
+  completeAuthorization
+};
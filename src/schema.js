@@ -0,0 +1,609 @@
+const crypto = require('crypto');
+
+// Shape of the stored data: defaults for new installs, users and workspaces, and the
+// validation rules that data.json, imports and API payloads are checked against
+
+// Current schema version - increment when data structure changes, and add the
+// migration that upgrades older data to MIGRATIONS in migrations.js
+const CURRENT_SCHEMA_VERSION = 8;
+
+// Collections that carry a revision number for optimistic concurrency (If-Match / ETag)
+const REVISIONED_COLLECTIONS = ['dashboards', 'links', 'tags', 'groups', 'preferences'];
+
+// Default workspace - every user gets their own copy
+const DEFAULT_WORKSPACE = {
+  preferences: {
+    layout: 'grid',
+    pageTitle: 'Simple Linkz',
+    // Theme settings
+    themePreset: 'midnight',        // Theme preset name
+    accentColor: '#3b82f6',         // Accent/button color (hex)
+    backgroundColor: 'noir',        // Page background (preset name)
+    // Custom styling
+    customCss: {
+      borderRadius: '0.625rem',
+      fontFamily: 'system-ui',
+      linkGap: '1rem'
+    },
+    publicSlug: null                // Slug of the read-only /public/:slug page, null when unpublished
+  },
+  dashboards: [],   // Dashboard structure: { id: "uuid", name: "Home", slug: "home", order: 0,
+                    //   theme: null | { themePreset, accentColor, backgroundColor } }
+  links: [],
+  // Link structure includes: { id, dashboardId, name, url, order, faviconUrl, fallbackEmoji, tags,
+  //   groupId: null | groupId (order is the position within the dashboard and group),
+  //   iconType: 'favicon' | 'material' | 'fontawesome' | 'custom',
+  //   iconValue: null | iconId | filename }
+  tags: [],         // Tag structure: { id: "uuid", name: "Work", color: "#3B82F6", public: false }
+  groups: [],       // Group structure: { id: "uuid", dashboardId: "uuid", name: "Infra", icon: "🛠️", order: 0, collapsed: false }
+  customIcons: [],  // Custom icon structure: { id: "uuid", filename: "icon.png", uploadedAt: timestamp }
+  revisions: {      // Bumped by writeData whenever the matching collection changes
+    dashboards: 1,
+    links: 1,
+    tags: 1,
+    groups: 1,
+    preferences: 1
+  }
+};
+
+// Default data structure
+const DEFAULT_DATA = {
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  sessionSecret: null,
+  previousSessionSecrets: [], // Replaced secrets still in their grace period: [{ secret, retiredAt }]
+  users: [],        // User structure: { id: "uuid", username, passwordHash, role: 'admin' | 'user', disabled, createdAt,
+                    //   totp: null | { secret, enabledAt, lastCounter }, totpPending: null | { secret, createdAt },
+                    //   recoveryCodes: [bcrypt hashes], oidc: null | { issuer, subject, linkedAt } }
+  workspaces: {},   // { "userId": { ...DEFAULT_WORKSPACE } }
+  apiTokens: []     // API token structure: { id: "uuid", userId, name, scope: 'read-only' | 'read-write',
+                    //   tokenHash: sha256 hex, prefix, createdAt }
+};
+
+// Volatile sign-in state and API token usage, kept in state.json
+const DEFAULT_STATE = {
+  sessions: {},     // { "token": { id: "uuid", userId, createdAt, expiresAt, lastSeenAt, remember, userAgent, ip } }
+  rateLimiting: {
+    attempts: {},   // { "ip": [timestamp1, timestamp2, ...] }
+    blocked: {}     // { "ip": { until: timestamp, blockCount: number } }
+  },
+  csrfTokens: {},   // { "sessionToken": "csrfToken" }
+  apiTokenUsage: {} // { "tokenId": lastUsedAt }
+};
+
+/**
+ * Create a fresh workspace with a single "Home" dashboard
+ */
+function createWorkspace() {
+  const workspace = JSON.parse(JSON.stringify(DEFAULT_WORKSPACE));
+  workspace.dashboards.push({
+    id: crypto.randomUUID(),
+    name: 'Home',
+    slug: 'home',
+    order: 0,
+    theme: null
+  });
+  return workspace;
+}
+
+// Allowed values
+const LAYOUTS = ['grid', 'list', 'cards'];
+const THEME_PRESETS = [
+  'midnight', 'slate', 'ocean', 'forest', 'ember', 'lavender', 'sand', 'arctic',
+  'cherry', 'mocha', 'teal', 'blush', 'sapphire', 'mint', 'rose', 'storm',
+  'sunset', 'olive', 'paper', 'graphite'
+];
+const BACKGROUNDS = [
+  // Light colors
+  'white', 'stone', 'slate', 'sky', 'mint', 'cream', 'peach', 'rose',
+  // Dark colors
+  'charcoal', 'graphite', 'navy', 'ocean', 'forest', 'espresso', 'plum', 'noir',
+  // Legacy colors (for backwards compatibility)
+  'gray', 'zinc', 'cyan', 'lime', 'olive', 'burgundy'
+];
+const ICON_TYPES = ['favicon', 'material', 'fontawesome', 'custom'];
+const ICON_EXTENSIONS = ['.png', '.svg', '.ico', '.webp'];
+const USER_ROLES = ['admin', 'user'];
+const API_TOKEN_SCOPES = ['read-only', 'read-write'];
+// Favicons can be stored inline as data: URIs (from browser bookmark exports); raster images only
+const EMBEDDED_ICON_PATTERN = /^data:image\/(png|gif|jpeg|webp|x-icon|vnd\.microsoft\.icon);base64,[A-Za-z0-9+/]+=*$/;
+const MAX_FAVICON_URL_LENGTH = 16 * 1024;
+
+// Named accent colors from older versions and their hex values
+const LEGACY_ACCENT_COLORS = {
+  blue: '#3b82f6', green: '#22c55e', purple: '#a855f7', red: '#ef4444',
+  orange: '#f97316', pink: '#ec4899', cyan: '#06b6d4', yellow: '#eab308'
+};
+
+/**
+ * Hex color (#RGB or #RRGGBB)
+ */
+function isHexColor(value) {
+  return typeof value === 'string' && /^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$/.test(value);
+}
+
+/**
+ * Slug of a dashboard or public page: lowercase letters, digits and single dashes
+ */
+function isSlug(value) {
+  return typeof value === 'string' && value.length <= 50 && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(value);
+}
+
+/**
+ * UUID in the form crypto.randomUUID() writes. Ids end up in routes and in the markup of
+ * the page, so nothing else is accepted.
+ */
+function isUuid(value) {
+  return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+}
+
+/**
+ * Absolute http(s) URL
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Hex accent color, converting legacy color names. Returns null for anything else.
+ */
+function normalizeAccentColor(color) {
+  if (isHexColor(color)) return color;
+  return (typeof color === 'string' && LEGACY_ACCENT_COLORS[color.toLowerCase()]) || null;
+}
+
+// String formats a rule can require: test and the message when it fails
+const FORMATS = {
+  'hex-color': { test: isHexColor, message: 'must be a hex color like #3B82F6' },
+  slug: { test: isSlug, message: 'may only contain lowercase letters, numbers and dashes' },
+  uuid: { test: isUuid, message: 'must be a UUID' },
+  'http-url': { test: isHttpUrl, message: 'must be an HTTP or HTTPS URL' },
+  favicon: {
+    test: value => !value.startsWith('data:') || EMBEDDED_ICON_PATTERN.test(value),
+    message: 'must be a URL or an embedded PNG, GIF, JPEG, WebP or ICO image'
+  },
+  background: {
+    test: value => isHexColor(value) || BACKGROUNDS.includes(value),
+    message: 'must be a hex color or a background preset'
+  },
+  'icon-file': {
+    // Uploaded icons are stored as <uuid><extension> inside DATA_DIR/icons
+    test: value => /^[0-9a-f-]{36}\.[a-z]+$/.test(value) && ICON_EXTENSIONS.some(ext => value.endsWith(ext)),
+    message: 'must be an uploaded icon file name'
+  }
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be text',
+  integer: 'must be a whole number',
+  number: 'must be a number',
+  boolean: 'must be true or false',
+  array: 'must be a list',
+  object: 'must be an object'
+};
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Path of a child value: links + 3 -> links[3], links[3] + url -> links[3].url
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a rule. Returns field-level errors [{ path, message }], empty if valid.
+ *
+ * Rule keys: type, label (used in messages), optional (may be missing), nullable, enum, format
+ * (a FORMATS name), minLength / maxLength, min, minItems / maxItems, items (rule for array
+ * entries), fields (rules for object properties; other properties are errors unless
+ * extraFields is set), values (rule for every property of a keyed object), and
+ * check(value, context) for rules spanning several fields, returning errors with paths
+ * relative to the value. `context` is the workspace that references are resolved in; a rule
+ * with `workspace: true` provides it for everything inside.
+ */
+function validate(value, rule, path = '', context = null) {
+  const label = rule.label || 'Value';
+  const fail = message => [{ path, message: `${label} ${message}` }];
+
+  if (value === undefined || value === null) {
+    if (value === null && rule.nullable) return [];
+    if (value === undefined && rule.optional) return [];
+    return fail('is required');
+  }
+  if (!hasType(value, rule.type)) {
+    return fail(TYPE_MESSAGES[rule.type]);
+  }
+
+  if (rule.type === 'string') {
+    if (rule.minLength && value.length < rule.minLength) {
+      return fail(rule.minLength === 1 ? 'is required' : `must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.format && !FORMATS[rule.format].test(value)) {
+      return fail(FORMATS[rule.format].message);
+    }
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(rule.enum.length <= 4 ? `must be one of: ${rule.enum.join(', ')}` : 'is not a valid choice');
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return fail(`must be at least ${rule.min}`);
+  }
+
+  const scope = rule.workspace ? value : context;
+  const errors = [];
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      return fail(`must have at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`);
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return fail(`may have at most ${rule.maxItems} entries`);
+    }
+    if (rule.items) {
+      value.forEach((item, index) => errors.push(...validate(item, rule.items, joinPath(path, index), scope)));
+    }
+  }
+  if (rule.type === 'object') {
+    if (rule.fields) {
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        errors.push(...validate(value[key], fieldRule, joinPath(path, key), scope));
+      }
+      if (!rule.extraFields) {
+        for (const key of Object.keys(value)) {
+          if (!Object.prototype.hasOwnProperty.call(rule.fields, key)) {
+            errors.push({ path: joinPath(path, key), message: `Unknown field ${key}` });
+          }
+        }
+      }
+    }
+    if (rule.values) {
+      for (const [key, entry] of Object.entries(value)) {
+        errors.push(...validate(entry, rule.values, joinPath(path, key), scope));
+      }
+    }
+  }
+
+  // Cross-field rules only run on values that are otherwise well-formed
+  if (errors.length === 0 && rule.check) {
+    for (const error of rule.check(value, scope)) {
+      errors.push({ path: error.path ? joinPath(path, error.path) : path, message: error.message });
+    }
+  }
+  return errors;
+}
+
+/**
+ * One-line summary of validation errors for logs and error messages
+ */
+function formatErrors(errors, limit = 5) {
+  const shown = errors.slice(0, limit).map(e => (e.path ? `${e.path}: ${e.message}` : e.message));
+  if (errors.length > limit) {
+    shown.push(`and ${errors.length - limit} more`);
+  }
+  return shown.join('; ');
+}
+
+/**
+ * Copy of an object rule where only the `required` fields must be present and unknown fields
+ * are allowed, e.g. for imports of files written by older versions
+ */
+function optionalFields(rule, required = []) {
+  const fields = {};
+  for (const [key, fieldRule] of Object.entries(rule.fields)) {
+    fields[key] = required.includes(key) ? fieldRule : { ...fieldRule, optional: true };
+  }
+  return { ...rule, fields, extraFields: true, check: undefined };
+}
+
+const ID_RULE = { type: 'string', format: 'uuid', label: 'ID' };
+
+// Workspace collections whose items have an id
+const ID_COLLECTIONS = ['dashboards', 'links', 'tags', 'groups', 'customIcons'];
+
+/**
+ * Errors for every id used a second time across [[name, records], ...]
+ */
+function findDuplicateIds(collections) {
+  const seen = new Set();
+  const errors = [];
+  for (const [name, records] of collections) {
+    records.forEach((record, index) => {
+      if (seen.has(record.id)) {
+        errors.push({ path: `${name}[${index}].id`, message: `ID ${record.id} is used more than once` });
+      }
+      seen.add(record.id);
+    });
+  }
+  return errors;
+}
+const TIMESTAMP_RULE = { type: 'number', min: 0, label: 'Timestamp' };
+
+const DASHBOARD_THEME_SCHEMA = {
+  type: 'object',
+  nullable: true,
+  label: 'Theme',
+  fields: {
+    themePreset: { type: 'string', optional: true, enum: THEME_PRESETS, label: 'Theme preset' },
+    accentColor: { type: 'string', optional: true, format: 'hex-color', label: 'Accent color' },
+    backgroundColor: { type: 'string', optional: true, format: 'background', label: 'Background color' }
+  }
+};
+
+const DASHBOARD_SCHEMA = {
+  type: 'object',
+  label: 'Dashboard',
+  fields: {
+    id: ID_RULE,
+    name: { type: 'string', minLength: 1, maxLength: 50, label: 'Name' },
+    slug: { type: 'string', format: 'slug', label: 'Slug' },
+    order: { type: 'integer', min: 0, label: 'Order' },
+    theme: DASHBOARD_THEME_SCHEMA
+  }
+};
+
+const TAG_SCHEMA = {
+  type: 'object',
+  label: 'Tag',
+  fields: {
+    id: ID_RULE,
+    name: { type: 'string', minLength: 1, maxLength: 50, label: 'Name' },
+    color: { type: 'string', format: 'hex-color', label: 'Color' },
+    public: { type: 'boolean', optional: true, label: 'Public' }
+  }
+};
+
+const GROUP_SCHEMA = {
+  type: 'object',
+  label: 'Group',
+  fields: {
+    id: ID_RULE,
+    dashboardId: { type: 'string', label: 'Dashboard' },
+    name: { type: 'string', minLength: 1, maxLength: 50, label: 'Name' },
+    icon: { type: 'string', nullable: true, maxLength: 8, label: 'Icon' },
+    order: { type: 'integer', min: 0, label: 'Order' },
+    collapsed: { type: 'boolean', label: 'Collapsed' }
+  },
+  check(group, workspace) {
+    if (workspace && !workspace.dashboards.some(d => d.id === group.dashboardId)) {
+      return [{ path: 'dashboardId', message: 'Dashboard not found' }];
+    }
+    return [];
+  }
+};
+
+const LINK_SCHEMA = {
+  type: 'object',
+  label: 'Link',
+  fields: {
+    id: ID_RULE,
+    dashboardId: { type: 'string', label: 'Dashboard' },
+    name: { type: 'string', minLength: 1, maxLength: 200, label: 'Name' },
+    url: { type: 'string', maxLength: 2048, format: 'http-url', label: 'URL' },
+    order: { type: 'integer', min: 0, label: 'Order' },
+    faviconUrl: { type: 'string', optional: true, nullable: true, maxLength: MAX_FAVICON_URL_LENGTH, format: 'favicon', label: 'Favicon URL' },
+    fallbackEmoji: { type: 'string', optional: true, maxLength: 8, label: 'Fallback emoji' },
+    tags: { type: 'array', items: { type: 'string', label: 'Tag' }, label: 'Tags' },
+    groupId: { type: 'string', nullable: true, label: 'Group' },
+    iconType: { type: 'string', enum: ICON_TYPES, label: 'Icon type' },
+    iconValue: { type: 'string', nullable: true, maxLength: 200, label: 'Icon' },
+    addedAt: { ...TIMESTAMP_RULE, optional: true, label: 'Date added' }
+  },
+  // Tags, group, dashboard and custom icon must exist in the workspace
+  check(link, workspace) {
+    if (!workspace) return [];
+    const errors = [];
+    if (!workspace.dashboards.some(d => d.id === link.dashboardId)) {
+      errors.push({ path: 'dashboardId', message: 'Dashboard not found' });
+    }
+    const tagIds = new Set(workspace.tags.map(t => t.id));
+    link.tags.forEach((tagId, index) => {
+      if (!tagIds.has(tagId)) {
+        errors.push({ path: `tags[${index}]`, message: `Tag not found: ${tagId}` });
+      }
+    });
+    if (link.groupId !== null && !workspace.groups.some(g => g.id === link.groupId && g.dashboardId === link.dashboardId)) {
+      errors.push({ path: 'groupId', message: `Group not found on this dashboard: ${link.groupId}` });
+    }
+    if (link.iconType === 'custom' && !workspace.customIcons.some(i => i.filename === link.iconValue)) {
+      errors.push({ path: 'iconValue', message: 'Custom icon not found' });
+    }
+    return errors;
+  }
+};
+
+const CUSTOM_ICON_SCHEMA = {
+  type: 'object',
+  label: 'Icon',
+  fields: {
+    id: ID_RULE,
+    filename: { type: 'string', format: 'icon-file', label: 'File name' },
+    originalName: { type: 'string', optional: true, maxLength: 255, label: 'Original name' },
+    uploadedAt: TIMESTAMP_RULE
+  }
+};
+
+const PREFERENCES_SCHEMA = {
+  type: 'object',
+  label: 'Preferences',
+  fields: {
+    layout: { type: 'string', enum: LAYOUTS, label: 'Layout' },
+    pageTitle: { type: 'string', minLength: 1, maxLength: 50, label: 'Page title' },
+    themePreset: { type: 'string', enum: THEME_PRESETS, label: 'Theme preset' },
+    accentColor: { type: 'string', format: 'hex-color', label: 'Accent color' },
+    backgroundColor: { type: 'string', format: 'background', label: 'Background color' },
+    customCss: {
+      type: 'object',
+      label: 'Custom styling',
+      fields: {
+        borderRadius: { type: 'string', optional: true, maxLength: 50, label: 'Corner radius' },
+        fontFamily: { type: 'string', optional: true, maxLength: 100, label: 'Font family' },
+        linkGap: { type: 'string', optional: true, maxLength: 50, label: 'Link spacing' }
+      }
+    },
+    publicSlug: { type: 'string', optional: true, nullable: true, format: 'slug', label: 'Public URL' }
+  }
+};
+
+const WORKSPACE_SCHEMA = {
+  type: 'object',
+  label: 'Workspace',
+  workspace: true,
+  fields: {
+    preferences: PREFERENCES_SCHEMA,
+    dashboards: { type: 'array', minItems: 1, items: DASHBOARD_SCHEMA, label: 'Dashboards' },
+    links: { type: 'array', items: LINK_SCHEMA, label: 'Links' },
+    tags: { type: 'array', items: TAG_SCHEMA, label: 'Tags' },
+    groups: { type: 'array', items: GROUP_SCHEMA, label: 'Groups' },
+    customIcons: { type: 'array', items: CUSTOM_ICON_SCHEMA, label: 'Custom icons' },
+    revisions: {
+      type: 'object',
+      label: 'Revisions',
+      fields: Object.fromEntries(REVISIONED_COLLECTIONS.map(c => [c, { type: 'integer', min: 1, label: 'Revision' }]))
+    }
+  },
+  // Routes and references find items by id alone, so an id is used once in the whole workspace
+  check(workspace) {
+    return findDuplicateIds(ID_COLLECTIONS.map(collection => [collection, workspace[collection]]));
+  }
+};
+
+const USER_SCHEMA = {
+  type: 'object',
+  label: 'User',
+  fields: {
+    id: ID_RULE,
+    // Both null until the account is set up (or after a credential reset)
+    username: { type: 'string', nullable: true, minLength: 1, maxLength: 50, label: 'Username' },
+    passwordHash: { type: 'string', nullable: true, label: 'Password hash' },
+    role: { type: 'string', enum: USER_ROLES, label: 'Role' },
+    disabled: { type: 'boolean', optional: true, label: 'Disabled' },
+    createdAt: { ...TIMESTAMP_RULE, optional: true },
+    totp: { type: 'object', optional: true, nullable: true, label: 'Two-factor settings' },
+    totpPending: { type: 'object', optional: true, nullable: true, label: 'Pending two-factor setup' },
+    recoveryCodes: { type: 'array', optional: true, items: { type: 'string', label: 'Recovery code' }, label: 'Recovery codes' },
+    oidc: { type: 'object', optional: true, nullable: true, label: 'Single sign-on identity' }
+  }
+};
+
+const API_TOKEN_SCHEMA = {
+  type: 'object',
+  label: 'API token',
+  fields: {
+    id: ID_RULE,
+    userId: { type: 'string', label: 'User' },
+    name: { type: 'string', minLength: 1, maxLength: 50, label: 'Name' },
+    scope: { type: 'string', enum: API_TOKEN_SCOPES, label: 'Scope' },
+    tokenHash: { type: 'string', label: 'Token hash' },
+    prefix: { type: 'string', label: 'Prefix' },
+    createdAt: TIMESTAMP_RULE
+  }
+};
+
+// The whole of data.json (or the SQLite database), after migrations
+const DATA_SCHEMA = {
+  type: 'object',
+  label: 'Data',
+  fields: {
+    schemaVersion: { type: 'integer', label: 'Schema version' },
+    // Optional so that an edited file or a backup without them keeps the running secrets
+    sessionSecret: { type: 'string', optional: true, nullable: true, label: 'Session secret' },
+    previousSessionSecrets: {
+      type: 'array',
+      optional: true,
+      label: 'Previous session secrets',
+      items: { type: 'object', label: 'Session secret', fields: { secret: { type: 'string', label: 'Secret' }, retiredAt: TIMESTAMP_RULE } }
+    },
+    users: { type: 'array', items: USER_SCHEMA, label: 'Users' },
+    workspaces: { type: 'object', values: WORKSPACE_SCHEMA, label: 'Workspaces' },
+    apiTokens: { type: 'array', items: API_TOKEN_SCHEMA, label: 'API tokens' }
+  },
+  check(data) {
+    const userIds = new Set(data.users.map(u => u.id));
+    const missingWorkspaces = data.users
+      .filter(user => !data.workspaces[user.id])
+      .map(user => ({ path: `workspaces.${user.id}`, message: `User ${user.id} has no workspace` }));
+    const orphanedWorkspaces = Object.keys(data.workspaces)
+      .filter(userId => !userIds.has(userId))
+      .map(userId => ({ path: `workspaces.${userId}`, message: 'Workspace belongs to no user' }));
+    return [
+      ...findDuplicateIds([['users', data.users]]),
+      ...findDuplicateIds([['apiTokens', data.apiTokens]]),
+      ...missingWorkspaces,
+      ...orphanedWorkspaces
+    ];
+  }
+};
+
+/**
+ * Rule for a record in an import file: optionalFields, with an id that may be any text since
+ * every imported record gets a new one
+ */
+function importedRecord(rule, required) {
+  const imported = optionalFields(rule, required);
+  imported.fields.id = { type: 'string', optional: true, label: 'ID' };
+  return imported;
+}
+
+// POST /api/import: an export file, possibly from an older version. Ids are only used to
+// connect links to the imported tags, groups and dashboards, which all get new ids;
+// references are checked after they are mapped onto the workspace.
+const IMPORT_SCHEMA = {
+  type: 'object',
+  label: 'Import',
+  extraFields: true,
+  fields: {
+    dashboards: { type: 'array', optional: true, items: importedRecord(DASHBOARD_SCHEMA, ['name']), label: 'Dashboards' },
+    links: { type: 'array', optional: true, items: importedRecord(LINK_SCHEMA, ['name', 'url']), label: 'Links' },
+    tags: { type: 'array', optional: true, items: importedRecord(TAG_SCHEMA, ['name']), label: 'Tags' },
+    groups: { type: 'array', optional: true, items: importedRecord(GROUP_SCHEMA, ['name']), label: 'Groups' },
+    preferences: { ...optionalFields(PREFERENCES_SCHEMA), optional: true }
+  }
+};
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  REVISIONED_COLLECTIONS,
+  DEFAULT_WORKSPACE,
+  DEFAULT_DATA,
+  DEFAULT_STATE,
+  LAYOUTS,
+  THEME_PRESETS,
+  BACKGROUNDS,
+  ICON_TYPES,
+  ICON_EXTENSIONS,
+  USER_ROLES,
+  ID_COLLECTIONS,
+  DASHBOARD_SCHEMA,
+  TAG_SCHEMA,
+  GROUP_SCHEMA,
+  LINK_SCHEMA,
+  CUSTOM_ICON_SCHEMA,
+  PREFERENCES_SCHEMA,
+  WORKSPACE_SCHEMA,
+  DATA_SCHEMA,
+  IMPORT_SCHEMA,
+  createWorkspace,
+  isHexColor,
+  isSlug,
+  isUuid,
+  isHttpUrl,
+  normalizeAccentColor,
+  validate,
+  formatErrors
+};
@@ -2,13 +2,17 @@ const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
 const storage = require('./storage');
-const { flushPendingWrites } = require('./storage');
+const { closeStorage } = require('./storage');
 const api = require('./api');
+const auth = require('./auth');
+const backups = require('./backups');
 
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
 const ICONS_DIR = path.join(DATA_DIR, 'icons');
+const SWEEP_INTERVAL = 60 * 60 * 1000; // Purge expired sessions and rate-limit state hourly
+const BACKUP_CHECK_INTERVAL = 60 * 60 * 1000; // See hourly whether the daily backup is due
 // BASE_PATH allows serving from a subpath (e.g., /simple-linkz)
 // Remove trailing slash if present
 const BASE_PATH = (process.env.BASE_PATH || '').replace(/\/$/, '');
@@ -41,6 +45,9 @@ async function serveStaticFile(filePath, res) {
     if (ext === '.html') {
       let html = content.toString();
 
+      // Resolve relative asset URLs from the app root, also on deep links like /d/work
+      html = html.replace('<head>', `<head>\n  <base href="${BASE_PATH}/">`);
+
       if (BASE_PATH) {
         const basePath = BASE_PATH.replace(/'/g, "\\'"); // Escape single quotes
         const scriptTag = `<script>window.BASE_PATH = '${basePath}';</script>`;
@@ -116,9 +123,10 @@ async function handleRequest(req, res) {
       return;
     }
 
-    // Static file routes
+    // Static file routes (dashboard deep links like /d/work and public pages
+    // like /public/team are handled by the app)
     let filePath;
-    if (requestPath === '/') {
+    if (requestPath === '/' || /^\/(d|public)\/[a-z0-9-]+\/?$/.test(requestPath.split('?')[0])) {
       filePath = path.join(PUBLIC_DIR, 'index.html');
     } else {
       filePath = path.join(PUBLIC_DIR, requestPath);
@@ -148,6 +156,35 @@ async function handleRequest(req, res) {
   logRequest(req, statusCode);
 }
 
+/**
+ * Remove expired sessions and stale rate-limit entries (errors are logged, never fatal)
+ */
+async function sweepExpiredState() {
+  try {
+    const removed = await auth.sweepExpiredSessions();
+    if (removed > 0) {
+      console.log(`Removed ${removed} expired session${removed === 1 ? '' : 's'}`);
+    }
+    await auth.sweepRateLimiting();
+  } catch (error) {
+    console.error('Sweep error:', error);
+  }
+}
+
+/**
+ * Take the daily data snapshot if it is due (errors are logged, never fatal)
+ */
+async function takeDailyBackup() {
+  try {
+    if (await backups.isDailyBackupDue()) {
+      const backup = await backups.createBackup('daily', await storage.readData());
+      console.log(`Created daily backup ${backup.id}`);
+    }
+  } catch (error) {
+    console.error('Backup error:', error);
+  }
+}
+
 /**
  * Initialize and start server
  */
@@ -160,6 +197,14 @@ async function start() {
     // Ensure icons directory exists
     await fs.mkdir(ICONS_DIR, { recursive: true });
 
+    // Purge expired sessions, their CSRF tokens and stale rate-limit entries now and periodically
+    await sweepExpiredState();
+    setInterval(sweepExpiredState, SWEEP_INTERVAL).unref();
+
+    // Take the daily backup if it's due, and check again every hour
+    await takeDailyBackup();
+    setInterval(takeDailyBackup, BACKUP_CHECK_INTERVAL).unref();
+
     // Create HTTP server
     const server = http.createServer(handleRequest);
 
@@ -181,14 +226,14 @@ async function start() {
 // Graceful shutdown handlers
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, flushing pending writes...');
-  await flushPendingWrites();
+  await closeStorage();
   console.log('Shutdown complete');
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('\nSIGINT received, flushing pending writes...');
-  await flushPendingWrites();
+  await closeStorage();
   console.log('Shutdown complete');
   process.exit(0);
 });
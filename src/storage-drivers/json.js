@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const { watchFile, unwatchFile } = require('fs');
+const path = require('path');
+
+const WRITE_DELAY = 500; // 500ms debounce
+const WATCH_INTERVAL = 1000; // how often watch() checks the file for outside edits
+
+/**
+ * Storage driver that keeps everything in one JSON file (DATA_DIR/data.json by default). The
+ * whole file is rewritten atomically (temp file + rename), debounced so bursts of changes cost one write.
+ */
+function createJsonDriver(dataDir, fileName = 'data.json') {
+  const dataFile = path.join(dataDir, fileName);
+  let writeTimeout = null;
+  let pendingData = null;
+  // What this driver last wrote, so watch() can tell its own writes from outside edits
+  let lastWritten = null;
+  let lastWrittenStat = null;
+  let onOutsideEdit = null;
+
+  async function writeToDisk(data) {
+    try {
+      const tempFile = dataFile + '.tmp';
+      const content = JSON.stringify(data, null, 2);
+      lastWritten = content;
+      await fs.writeFile(tempFile, content, 'utf8');
+      await fs.rename(tempFile, dataFile);
+      const { mtimeMs, size } = await fs.stat(dataFile);
+      lastWrittenStat = { mtimeMs, size };
+    } catch (error) {
+      console.error('Error writing data file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand the file to the watch() callback if something other than this driver changed it
+   * since the last write. Returns true if there was such an edit.
+   */
+  async function checkForOutsideEdit() {
+    if (!onOutsideEdit) {
+      return false;
+    }
+
+    let content;
+    try {
+      const { mtimeMs, size } = await fs.stat(dataFile);
+      if (lastWrittenStat && mtimeMs === lastWrittenStat.mtimeMs && size === lastWrittenStat.size) {
+        return false;
+      }
+      content = await fs.readFile(dataFile, 'utf8');
+    } catch {
+      return false;
+    }
+    if (content === lastWritten) {
+      return false;
+    }
+
+    lastWritten = content;
+    try {
+      await onOutsideEdit(JSON.parse(content));
+    } catch (error) {
+      console.error(`Ignoring edit to ${dataFile}: ${error.message}`);
+    }
+    return true;
+  }
+
+  return {
+    name: 'json',
+    file: dataFile,
+
+    async open() {
+      await fs.mkdir(dataDir, { recursive: true });
+    },
+
+    async exists() {
+      try {
+        await fs.access(dataFile);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async load() {
+      const content = await fs.readFile(dataFile, 'utf8');
+      const { mtimeMs, size } = await fs.stat(dataFile);
+      lastWritten = content;
+      lastWrittenStat = { mtimeMs, size };
+      return JSON.parse(content);
+    },
+
+    /**
+     * Schedule a write of the whole data object (`previous` is not needed here)
+     */
+    async save(data) {
+      pendingData = data;
+      if (writeTimeout) {
+        clearTimeout(writeTimeout);
+      }
+      writeTimeout = setTimeout(async () => {
+        writeTimeout = null;
+        // An edit the watcher hasn't seen yet must not be overwritten unread
+        await checkForOutsideEdit();
+        if (pendingData === null) {
+          return;
+        }
+        const snapshot = pendingData;
+        pendingData = null;
+        try {
+          await writeToDisk(snapshot);
+        } catch (error) {
+          console.error('Error in debounced write:', error);
+        }
+      }, WRITE_DELAY);
+    },
+
+    /**
+     * Write any scheduled change now
+     */
+    async flush() {
+      if (pendingData !== null) {
+        await checkForOutsideEdit();
+      }
+      if (writeTimeout) {
+        clearTimeout(writeTimeout);
+        writeTimeout = null;
+      }
+      if (pendingData !== null) {
+        const snapshot = pendingData;
+        pendingData = null;
+        await writeToDisk(snapshot);
+      }
+    },
+
+    /**
+     * Drop a scheduled write that hasn't happened yet. Returns true if there was one.
+     */
+    cancelPendingWrite() {
+      if (writeTimeout) {
+        clearTimeout(writeTimeout);
+        writeTimeout = null;
+      }
+      const hadPendingWrite = pendingData !== null;
+      pendingData = null;
+      return hadPendingWrite;
+    },
+
+    /**
+     * Call onChange(data) whenever the file is changed by anything other than this driver,
+     * e.g. a hand edit. Unparseable edits are logged and skipped. A scheduled write checks
+     * for an unseen edit first, so the callback can cancel it.
+     */
+    watch(onChange) {
+      onOutsideEdit = onChange;
+      watchFile(dataFile, { interval: WATCH_INTERVAL, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs && current.nlink > 0) {
+          checkForOutsideEdit();
+        }
+      });
+    },
+
+    async close() {
+      await this.flush();
+      unwatchFile(dataFile);
+      onOutsideEdit = null;
+    }
+  };
+}
+
+module.exports = { createJsonDriver };
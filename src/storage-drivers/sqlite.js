@@ -0,0 +1,152 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Keyed collections stored one row per entry, so a change to one user's workspace
+// writes only that row: table name -> path of the object in the data
+const KEYED_COLLECTIONS = {
+  workspaces: ['workspaces']
+};
+
+// Top-level keys covered by KEYED_COLLECTIONS; every other key is a row in `settings`
+const KEYED_TOP_LEVEL_KEYS = new Set(Object.values(KEYED_COLLECTIONS).map(p => p[0]));
+
+function getPath(data, keyPath) {
+  return keyPath.reduce((value, key) => (value ? value[key] : undefined), data) || {};
+}
+
+function setPath(data, keyPath, value) {
+  let target = data;
+  for (const key of keyPath.slice(0, -1)) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[keyPath[keyPath.length - 1]] = value;
+}
+
+/**
+ * Rows to write and delete to turn `previous` into `next` (objects of key -> value)
+ */
+function diffEntries(previous, next) {
+  const upserts = [];
+  const deletes = [];
+  for (const [key, value] of Object.entries(next)) {
+    const json = JSON.stringify(value);
+    if (!previous || !Object.prototype.hasOwnProperty.call(previous, key) || JSON.stringify(previous[key]) !== json) {
+      upserts.push([key, json]);
+    }
+  }
+  for (const key of Object.keys(previous || {})) {
+    if (!Object.prototype.hasOwnProperty.call(next, key)) {
+      deletes.push(key);
+    }
+  }
+  return { upserts, deletes };
+}
+
+function settingsOf(data) {
+  const settings = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (!KEYED_TOP_LEVEL_KEYS.has(key)) {
+      settings[key] = value;
+    }
+  }
+  return settings;
+}
+
+/**
+ * Storage driver backed by a SQLite database at DATA_DIR/data.db (needs the optional
+ * better-sqlite3 package). Each save writes only the rows that changed, in one transaction.
+ */
+function createSqliteDriver(dataDir) {
+  const dbFile = path.join(dataDir, 'data.db');
+  let db = null;
+  let statements = null;
+
+  function prepareStatements() {
+    statements = { settings: {
+      upsert: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+      delete: db.prepare('DELETE FROM settings WHERE key = ?')
+    } };
+    for (const table of Object.keys(KEYED_COLLECTIONS)) {
+      statements[table] = {
+        upsert: db.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+        delete: db.prepare(`DELETE FROM ${table} WHERE key = ?`)
+      };
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    file: dbFile,
+
+    async open() {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('STORAGE_DRIVER=sqlite needs the better-sqlite3 package: run `npm install better-sqlite3`');
+      }
+
+      await fs.mkdir(dataDir, { recursive: true });
+      db = new Database(dbFile);
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      for (const table of ['settings', ...Object.keys(KEYED_COLLECTIONS)]) {
+        db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+      }
+      prepareStatements();
+    },
+
+    async exists() {
+      return Boolean(db.prepare("SELECT 1 FROM settings WHERE key = 'schemaVersion'").get());
+    },
+
+    async load() {
+      const data = {};
+      for (const { key, value } of db.prepare('SELECT key, value FROM settings').all()) {
+        data[key] = JSON.parse(value);
+      }
+      for (const [table, keyPath] of Object.entries(KEYED_COLLECTIONS)) {
+        const entries = {};
+        for (const { key, value } of db.prepare(`SELECT key, value FROM ${table}`).all()) {
+          entries[key] = JSON.parse(value);
+        }
+        setPath(data, keyPath, entries);
+      }
+      return data;
+    },
+
+    /**
+     * Write the difference between `previous` (null: nothing stored yet) and `data`
+     */
+    async save(data, previous = null) {
+      const changes = [['settings', diffEntries(previous && settingsOf(previous), settingsOf(data))]];
+      for (const [table, keyPath] of Object.entries(KEYED_COLLECTIONS)) {
+        changes.push([table, diffEntries(previous && getPath(previous, keyPath), getPath(data, keyPath))]);
+      }
+
+      db.transaction(() => {
+        for (const [table, { upserts, deletes }] of changes) {
+          for (const [key, json] of upserts) {
+            statements[table].upsert.run(key, json);
+          }
+          for (const key of deletes) {
+            statements[table].delete.run(key);
+          }
+        }
+      })();
+    },
+
+    // Every save is already committed
+    async flush() {},
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+module.exports = { createSqliteDriver };
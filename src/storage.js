@@ -1,189 +1,182 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const backups = require('./backups');
+const migrations = require('./migrations');
+const {
+  REVISIONED_COLLECTIONS,
+  DEFAULT_WORKSPACE,
+  DEFAULT_DATA,
+  DEFAULT_STATE,
+  DATA_SCHEMA,
+  createWorkspace,
+  validate,
+  formatErrors
+} = require('./schema');
+const { createJsonDriver } = require('./storage-drivers/json');
+const { createSqliteDriver } = require('./storage-drivers/sqlite');
 
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
-const DATA_FILE = path.join(DATA_DIR, 'data.json');
 
-// Current schema version - increment when data structure changes
-const CURRENT_SCHEMA_VERSION = 1;
+// Where data lives: 'json' (data.json, the default) or 'sqlite' (data.db). Drivers implement
+// open(), exists(), load(), save(data, previous), flush() and close(); everything else in
+// this module works on the in-memory copy and never touches the backend directly.
+const STORAGE_DRIVERS = {
+  json: createJsonDriver,
+  sqlite: createSqliteDriver
+};
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'json').toLowerCase();
+
+// SESSION_SECRET and SESSION_SECRET_PREVIOUS are read here only and never written to disk;
+// without SESSION_SECRET a generated secret is stored in the data instead
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+const SESSION_SECRET_PREVIOUS = (process.env.SESSION_SECRET_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// How long cookies signed with a replaced session secret stay valid (they are re-signed on use)
+const graceDays = parseFloat(process.env.SESSION_SECRET_GRACE_DAYS);
+const SESSION_SECRET_GRACE_PERIOD = (Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : 7) * 24 * 60 * 60 * 1000;
 
-// Storage cache - in-memory cache with debounced writes
+// Storage cache - every read is served from memory; writes go through the driver
 let dataCache = null;
-let writeTimeout = null;
-let pendingWrite = false;
-const WRITE_DELAY = 500; // 500ms debounce
-
-// Default data structure
-const DEFAULT_DATA = {
-  schemaVersion: CURRENT_SCHEMA_VERSION,
-  sessionSecret: null,
-  user: null,
-  preferences: {
-    layout: 'grid',
-    pageTitle: 'Simple Linkz',
-    // Theme settings
-    themePreset: 'midnight',        // Theme preset name
-    accentColor: '#3b82f6',         // Accent/button color (hex)
-    backgroundColor: 'noir',        // Page background (preset name)
-    // Custom styling
-    customCss: {
-      borderRadius: '0.625rem',
-      fontFamily: 'system-ui',
-      linkGap: '1rem'
-    }
-  },
-  links: [],
-  // Link structure includes: { id, name, url, order, faviconUrl, fallbackEmoji, tags,
-  //   iconType: 'favicon' | 'material' | 'fontawesome' | 'custom',
-  //   iconValue: null | iconId | filename }
-  tags: [],         // Tag structure: { id: "uuid", name: "Work", color: "#3B82F6" }
-  customIcons: [],  // Custom icon structure: { id: "uuid", filename: "icon.png", uploadedAt: timestamp }
-  sessions: {},
-  rateLimiting: {
-    attempts: {},   // { "ip": [timestamp1, timestamp2, ...] }
-    blocked: {}     // { "ip": { until: timestamp, blockCount: number } }
-  },
-  csrfTokens: {}    // { "sessionToken": "csrfToken" }
-};
+let driver = null;
+
+// Sign-in state (sessions, CSRF tokens, rate limiting) changes on every login and request,
+// so it lives in its own file and never rewrites user content or shows up in its backups
+let stateCache = null;
+const stateStore = createJsonDriver(DATA_DIR, 'state.json');
+
+/**
+ * Open the configured storage driver
+ */
+async function openDriver() {
+  const createDriver = STORAGE_DRIVERS[STORAGE_DRIVER];
+  if (!createDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (use ${Object.keys(STORAGE_DRIVERS).join(' or ')})`);
+  }
+  driver = createDriver(DATA_DIR);
+  await driver.open();
+}
+
+/**
+ * One-shot move from data.json into a new, empty database: copies everything, then
+ * renames data.json to data.json.migrated so it isn't mistaken for live data
+ */
+async function migrateFromJson() {
+  const jsonDriver = createJsonDriver(DATA_DIR);
+  if (driver.name === 'json' || await driver.exists() || !await jsonDriver.exists()) {
+    return;
+  }
+
+  console.log(`Migrating ${jsonDriver.file} into ${driver.file}...`);
+  await driver.save(await jsonDriver.load(), null);
+  await driver.flush();
+  await fs.rename(jsonDriver.file, `${jsonDriver.file}.migrated`);
+  console.log(`Migration complete; the old file was kept as ${jsonDriver.file}.migrated`);
+}
+
+/**
+ * Write the whole cache through the driver immediately (startup and migrations)
+ */
+async function writeAll(data, previous = null) {
+  await driver.save(data, previous);
+  await driver.flush();
+}
 
 /**
- * Initialize data.json with defaults if it doesn't exist
+ * Open storage, creating default data if there is none yet, and upgrade older data
  */
 async function initializeData() {
   try {
-    // Ensure data directory exists
-    await fs.mkdir(DATA_DIR, { recursive: true });
-
-    // Check if data file exists
-    try {
-      await fs.access(DATA_FILE);
-    } catch (error) {
-      // File doesn't exist, create it
-      const data = { ...DEFAULT_DATA };
-      data.sessionSecret = crypto.randomBytes(32).toString('hex');
-      await writeToDisk(data);
+    await openDriver();
+    await migrateFromJson();
+
+    if (!await driver.exists()) {
+      await writeAll({ ...DEFAULT_DATA });
     }
 
-    // Load data into cache
-    const content = await fs.readFile(DATA_FILE, 'utf8');
-    dataCache = JSON.parse(content);
+    // Load data into cache. Data from a newer version is refused before anything is written.
+    dataCache = await driver.load();
+    const loaded = JSON.parse(JSON.stringify(dataCache));
+    migrations.assertSupportedVersion(dataCache);
 
     let needsWrite = false;
 
-    // Add schemaVersion if missing (upgrade from pre-v2 installations)
-    if (dataCache.schemaVersion === undefined) {
-      dataCache.schemaVersion = 1;
+    // The stored secret is only a fallback for when SESSION_SECRET isn't set. Once SESSION_SECRET
+    // takes over, the stored secret is retired for a grace period so cookies signed with it keep
+    // working until they are re-signed. Earlier versions stored SESSION_SECRET itself; that copy
+    // is dropped.
+    if (!Array.isArray(dataCache.previousSessionSecrets)) {
+      dataCache.previousSessionSecrets = [];
       needsWrite = true;
     }
-
-    // Add rateLimiting if missing (upgrade for security hardening)
-    if (!dataCache.rateLimiting) {
-      dataCache.rateLimiting = {
-        attempts: {},
-        blocked: {}
-      };
+    if (SESSION_SECRET && dataCache.sessionSecret) {
+      if (dataCache.sessionSecret !== SESSION_SECRET) {
+        dataCache.previousSessionSecrets.push({ secret: dataCache.sessionSecret, retiredAt: Date.now() });
+        console.log('SESSION_SECRET replaces the stored secret, accepting the stored one during the grace period');
+      }
+      dataCache.sessionSecret = null;
       needsWrite = true;
     }
-
-    // Add csrfTokens if missing (upgrade for security hardening)
-    if (!dataCache.csrfTokens) {
-      dataCache.csrfTokens = {};
+    if (!SESSION_SECRET && !dataCache.sessionSecret) {
+      dataCache.sessionSecret = crypto.randomBytes(32).toString('hex');
       needsWrite = true;
     }
-
-    // Add tags array if missing (upgrade for tag system)
-    if (!dataCache.tags) {
-      dataCache.tags = [];
+    const graceStart = Date.now() - SESSION_SECRET_GRACE_PERIOD;
+    const previousSecrets = dataCache.previousSessionSecrets.filter(p =>
+      p.retiredAt > graceStart && p.secret !== SESSION_SECRET && p.secret !== dataCache.sessionSecret
+    );
+    if (previousSecrets.length !== dataCache.previousSessionSecrets.length) {
+      dataCache.previousSessionSecrets = previousSecrets;
       needsWrite = true;
     }
 
-    // Ensure all links have a tags array (upgrade for tag system)
-    if (dataCache.links && Array.isArray(dataCache.links)) {
-      dataCache.links = dataCache.links.map(link => {
-        if (!link.tags) {
-          needsWrite = true;
-          return { ...link, tags: [] };
-        }
-        return link;
-      });
+    // Load sign-in state; before schema version 5 it was part of the data
+    const stateExists = await stateStore.exists();
+    stateCache = stateExists ? await stateStore.load() : {};
+    let stateNeedsWrite = !stateExists;
+
+    // Upgrade data written by older versions one step at a time, keeping a copy of the data
+    // as it was before each step
+    const pending = migrations.pendingMigrations(dataCache);
+    if (pending.length > 0) {
+      console.log(`Upgrading data from schema version ${migrations.getSchemaVersion(dataCache)}`);
+      for (const migration of pending) {
+        const backup = await backups.createBackup('migration', dataCache);
+        migrations.applyMigration(dataCache, stateCache, migration);
+        console.log(`  ${migration.version}: ${migration.description} (backup: ${backup.id})`);
+      }
+      needsWrite = true;
+      stateNeedsWrite = true;
     }
 
-    // Add customCss if missing (upgrade for theme engine)
-    if (dataCache.preferences && !dataCache.preferences.customCss) {
-      dataCache.preferences.customCss = {
-        borderRadius: '0.625rem',
-        fontFamily: 'system-ui',
-        linkGap: '1rem'
-      };
-      needsWrite = true;
+    // Data that breaks the schema (usually a bad hand edit) is refused rather than served
+    const errors = validate(dataCache, DATA_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`${driver.file} does not match the data schema: ${formatErrors(errors)}. ` +
+        `Fix it by hand, or put back a snapshot from ${path.join(DATA_DIR, 'backups')}.`);
     }
 
-    // Migrate to new theme preset system
-    if (dataCache.preferences) {
-      // Add themePreset if missing
-      if (!dataCache.preferences.themePreset) {
-        dataCache.preferences.themePreset = 'midnight';
-        needsWrite = true;
-      }
-      // Add accentColor if missing (or migrate from buttonColor)
-      if (!dataCache.preferences.accentColor) {
-        dataCache.preferences.accentColor = dataCache.preferences.buttonColor || '#3b82f6';
-        needsWrite = true;
-      }
-      // Remove deprecated color fields from old system
-      if (dataCache.preferences.buttonColor !== undefined) {
-        delete dataCache.preferences.buttonColor;
-        needsWrite = true;
-      }
-      if (dataCache.preferences.buttonTextColor !== undefined) {
-        delete dataCache.preferences.buttonTextColor;
-        needsWrite = true;
-      }
-      if (dataCache.preferences.cardColor !== undefined) {
-        delete dataCache.preferences.cardColor;
-        needsWrite = true;
-      }
-      if (dataCache.preferences.cardTextColor !== undefined) {
-        delete dataCache.preferences.cardTextColor;
-        needsWrite = true;
-      }
-      // Remove other deprecated fields
-      if (dataCache.preferences.theme !== undefined) {
-        delete dataCache.preferences.theme;
-        needsWrite = true;
-      }
-      if (dataCache.preferences.themeBundle !== undefined) {
-        delete dataCache.preferences.themeBundle;
-        needsWrite = true;
-      }
-      // Remove cardShadow from customCss (now handled by theme presets)
-      if (dataCache.preferences.customCss && dataCache.preferences.customCss.cardShadow !== undefined) {
-        delete dataCache.preferences.customCss.cardShadow;
-        needsWrite = true;
+    for (const key of Object.keys(DEFAULT_STATE)) {
+      if (!stateCache[key]) {
+        stateCache[key] = JSON.parse(JSON.stringify(DEFAULT_STATE[key]));
+        stateNeedsWrite = true;
       }
     }
 
-    // Add customIcons array if missing (upgrade for icon system)
-    if (!dataCache.customIcons) {
-      dataCache.customIcons = [];
-      needsWrite = true;
+    // Write if anything changed. State goes first so moving it out of the data file can
+    // never lose it.
+    if (stateNeedsWrite || needsWrite) {
+      await stateStore.save(stateCache);
+      await stateStore.flush();
     }
-
-    // Ensure all links have iconType and iconValue (upgrade for icon system)
-    if (dataCache.links && Array.isArray(dataCache.links)) {
-      dataCache.links = dataCache.links.map(link => {
-        if (link.iconType === undefined) {
-          needsWrite = true;
-          return { ...link, iconType: 'favicon', iconValue: null };
-        }
-        return link;
-      });
+    if (needsWrite) {
+      await writeAll(dataCache, loaded);
     }
+    await dropOrphanedSessions();
 
-    // Write if any migrations were applied
-    if (needsWrite) {
-      await writeToDisk(dataCache);
+    // Pick up hand edits to the data file without a restart
+    if (driver.watch) {
+      driver.watch(reloadExternalEdit);
     }
   } catch (error) {
     console.error('Error initializing data:', error);
@@ -195,206 +188,536 @@ async function initializeData() {
  * Read data from cache (returns deep copy to prevent mutation)
  */
 async function readData() {
-  // If cache is populated, return deep copy
+  if (dataCache === null) {
+    throw new Error('Storage is not initialized');
+  }
+  return JSON.parse(JSON.stringify(dataCache));
+}
+
+/**
+ * Write data - updates the cache immediately and hands the change to the storage driver
+ * (the JSON driver debounces; SQLite writes only the changed rows)
+ */
+async function writeData(data) {
+  // Bump the revision of every workspace collection that changed since the cached copy.
+  // Revisions always derive from the cache so callers can't roll them back.
   if (dataCache !== null) {
-    return JSON.parse(JSON.stringify(dataCache));
+    for (const [userId, workspace] of Object.entries(data.workspaces || {})) {
+      const cached = (dataCache.workspaces || {})[userId];
+      if (!cached) continue;
+
+      const previousRevisions = cached.revisions || {};
+      workspace.revisions = { ...previousRevisions };
+      for (const collection of REVISIONED_COLLECTIONS) {
+        if (JSON.stringify(workspace[collection]) !== JSON.stringify(cached[collection])) {
+          workspace.revisions[collection] = (previousRevisions[collection] || 0) + 1;
+        }
+      }
+    }
   }
 
-  // Fallback to file read if cache not populated (shouldn't happen after init)
+  // Update in-memory cache immediately with deep copy
+  const previous = dataCache;
+  dataCache = JSON.parse(JSON.stringify(data));
+
   try {
-    const content = await fs.readFile(DATA_FILE, 'utf8');
-    const data = JSON.parse(content);
-    dataCache = data;
-    return JSON.parse(JSON.stringify(dataCache));
+    await driver.save(dataCache, previous);
   } catch (error) {
-    console.error('Error reading data file:', error);
-    throw error;
+    console.error('Error saving data:', error);
+  }
+}
+
+/**
+ * Upgrade a backup snapshot to the current schema and check that it can be restored.
+ * Returns { data } ready for restoreData, or { error }.
+ */
+function prepareSnapshot(snapshot) {
+  const { data, error } = prepareData(snapshot);
+  if (error) {
+    return { error };
+  }
+  if (!dataCache.users.some(user => data.workspaces[user.id])) {
+    return { error: 'Backup has no workspace of a current account' };
   }
+  return { data };
 }
 
 /**
- * Write data to disk atomically (internal function)
+ * Upgrade data from outside the app (a backup or a hand-edited data file) to the current
+ * schema and validate it. Returns { data } or { error, errors } with the field-level errors.
  */
-async function writeToDisk(data) {
+function prepareData(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Not a data object' };
+  }
+
+  const data = JSON.parse(JSON.stringify(raw));
   try {
-    const tempFile = DATA_FILE + '.tmp';
-    await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf8');
-    await fs.rename(tempFile, DATA_FILE);
-    pendingWrite = false;
+    // Sign-in state in old data is left behind; it never replaces the live sessions
+    migrations.migrate(data, {});
   } catch (error) {
-    console.error('Error writing data file:', error);
-    throw error;
+    return { error: error.message };
+  }
+
+  const errors = validate(data, DATA_SCHEMA);
+  if (errors.length > 0) {
+    return { error: formatErrors(errors), errors };
   }
+  return { data };
 }
 
 /**
- * Write data with debouncing - updates cache immediately, writes to disk after delay
+ * Take in an edit made to the data file while the server runs (JSON driver only). The edit
+ * wins over changes still waiting to be saved; that conflict is logged. Edits that fail
+ * prepareData are ignored, and the next save overwrites them.
  */
-async function writeData(data) {
-  // Update in-memory cache immediately with deep copy
-  dataCache = JSON.parse(JSON.stringify(data));
+async function reloadExternalEdit(raw) {
+  const { data, error } = prepareData(raw);
+  if (error) {
+    console.error(`Ignoring edit to ${driver.file}: ${error}`);
+    return;
+  }
 
-  // Clear existing timeout if any
-  if (writeTimeout) {
-    clearTimeout(writeTimeout);
+  if (migrations.getSchemaVersion(raw) !== data.schemaVersion) {
+    await backups.createBackup('migration', raw);
+  }
+  if (driver.cancelPendingWrite()) {
+    console.warn(`${driver.file} was edited while changes were waiting to be saved; ` +
+      'the edit was loaded and the unsaved changes were discarded');
   }
 
-  // Set pending flag
-  pendingWrite = true;
+  // Secrets missing from the edit are kept, so an edit can't sign everyone out by accident
+  data.sessionSecret = data.sessionSecret || dataCache.sessionSecret;
+  if (!Array.isArray(data.previousSessionSecrets)) {
+    data.previousSessionSecrets = dataCache.previousSessionSecrets;
+  }
 
-  // Schedule disk write after delay
-  writeTimeout = setTimeout(async () => {
-    try {
-      await writeToDisk(dataCache);
-    } catch (error) {
-      console.error('Error in debounced write:', error);
-    }
-  }, WRITE_DELAY);
+  // writeData bumps the revision of every collection the edit changed
+  await writeData(data);
+  await dropOrphanedSessions();
+  console.log(`Reloaded ${driver.file} after it was edited`);
 }
 
 /**
- * Get user credentials
+ * End sessions whose account no longer exists
  */
-async function getUser() {
-  const data = await readData();
-  return data.user || null;
+async function dropOrphanedSessions() {
+  const userIds = new Set(dataCache.users.map(u => u.id));
+  const state = await readState();
+  let changed = false;
+  for (const [token, session] of Object.entries(state.sessions)) {
+    if (!userIds.has(session.userId)) {
+      delete state.sessions[token];
+      delete state.csrfTokens[token];
+      changed = true;
+    }
+  }
+  if (changed) {
+    await writeState(state);
+  }
 }
 
 /**
- * Set user credentials
+ * Put back the workspaces from a snapshot prepared by prepareSnapshot. Accounts, their
+ * credentials and API tokens stay as they are now, so a restore can't bring back an old
+ * password or a revoked token. Accounts missing from the snapshot keep their workspace.
  */
-async function setUser(username, passwordHash) {
+async function restoreData(snapshot) {
   const data = await readData();
-  if (username === null && passwordHash === null) {
-    data.user = null;
-  } else {
-    data.user = { username, passwordHash };
+  const restored = JSON.parse(JSON.stringify(snapshot.workspaces));
+  const keptSlugs = new Set(data.users
+    .filter(user => !restored[user.id])
+    .map(user => data.workspaces[user.id].preferences.publicSlug)
+    .filter(Boolean));
+
+  for (const user of data.users) {
+    const workspace = restored[user.id];
+    if (!workspace) continue;
+    // A public page address taken by another account since the snapshot stays with it
+    if (keptSlugs.has(workspace.preferences.publicSlug)) {
+      workspace.preferences.publicSlug = null;
+    }
+    data.workspaces[user.id] = workspace;
   }
   await writeData(data);
 }
 
 /**
- * Get all tags
+ * Get all user accounts
  */
-async function getTags() {
+async function getUsers() {
   const data = await readData();
-  return data.tags || [];
+  return data.users || [];
 }
 
 /**
- * Save tags array
+ * Save user accounts array
  */
-async function saveTags(tags) {
+async function saveUsers(users) {
   const data = await readData();
-  data.tags = tags;
+  data.users = users;
   await writeData(data);
 }
 
 /**
- * Get all links
+ * Read, change and save the users in one step, with nothing able to land in between:
+ * `change(users)` edits them in place and must not be async. Nothing is saved when it
+ * returns false. Returns what `change` returned.
  */
-async function getLinks() {
-  const data = await readData();
-  return data.links || [];
+async function updateUsers(change) {
+  if (dataCache === null) {
+    throw new Error('Storage is not initialized');
+  }
+  const data = JSON.parse(JSON.stringify(dataCache));
+  const result = change(data.users);
+  if (result !== false) {
+    await writeData(data);
+  }
+  return result;
 }
 
 /**
- * Save links array
+ * Get a user by id
  */
-async function saveLinks(links) {
+async function getUserById(userId) {
+  const users = await getUsers();
+  return users.find(u => u.id === userId) || null;
+}
+
+/**
+ * Get a user by username (case-insensitive)
+ */
+async function getUserByUsername(username) {
+  const users = await getUsers();
+  const normalized = String(username).toLowerCase();
+  return users.find(u => u.username && u.username.toLowerCase() === normalized) || null;
+}
+
+/**
+ * Create a user account together with an empty workspace
+ */
+async function createUser({ username, passwordHash, role = 'user' }) {
   const data = await readData();
-  data.links = links;
+  const user = {
+    id: crypto.randomUUID(),
+    username,
+    passwordHash,
+    role,
+    disabled: false,
+    createdAt: Date.now(),
+    totp: null,
+    totpPending: null,
+    recoveryCodes: [],
+    oidc: null
+  };
+  data.users.push(user);
+  data.workspaces[user.id] = createWorkspace();
   await writeData(data);
+  return user;
 }
 
 /**
- * Get user preferences
+ * Get a user's workspace (links, tags, groups, dashboards, icons and preferences)
  */
-async function getPreferences() {
+async function getWorkspace(userId) {
   const data = await readData();
-  return data.preferences || DEFAULT_DATA.preferences;
+  const workspace = data.workspaces && data.workspaces[userId];
+  if (!workspace) {
+    throw new Error(`No workspace for user ${userId}`);
+  }
+  return workspace;
 }
 
 /**
- * Save user preferences
+ * Save a user's whole workspace
  */
-async function savePreferences(preferences) {
+async function saveWorkspace(userId, workspace) {
   const data = await readData();
-  data.preferences = preferences;
+  data.workspaces[userId] = workspace;
   await writeData(data);
 }
 
 /**
- * Get session secret
+ * Replace one collection of a user's workspace
+ */
+async function saveWorkspaceKey(userId, key, value) {
+  const workspace = await getWorkspace(userId);
+  workspace[key] = value;
+  await saveWorkspace(userId, workspace);
+}
+
+/**
+ * Get a user's tags
+ */
+async function getTags(userId) {
+  return (await getWorkspace(userId)).tags || [];
+}
+
+/**
+ * Save a user's tags array
+ */
+async function saveTags(userId, tags) {
+  await saveWorkspaceKey(userId, 'tags', tags);
+}
+
+/**
+ * Get a user's dashboards
+ */
+async function getDashboards(userId) {
+  return (await getWorkspace(userId)).dashboards || [];
+}
+
+/**
+ * Save a user's dashboards array
+ */
+async function saveDashboards(userId, dashboards) {
+  await saveWorkspaceKey(userId, 'dashboards', dashboards);
+}
+
+/**
+ * Get a user's groups
+ */
+async function getGroups(userId) {
+  return (await getWorkspace(userId)).groups || [];
+}
+
+/**
+ * Save a user's groups array
+ */
+async function saveGroups(userId, groups) {
+  await saveWorkspaceKey(userId, 'groups', groups);
+}
+
+/**
+ * Get a user's links
+ */
+async function getLinks(userId) {
+  return (await getWorkspace(userId)).links || [];
+}
+
+/**
+ * Save a user's links array
+ */
+async function saveLinks(userId, links) {
+  await saveWorkspaceKey(userId, 'links', links);
+}
+
+/**
+ * Get a user's preferences
+ */
+async function getPreferences(userId) {
+  return (await getWorkspace(userId)).preferences || DEFAULT_WORKSPACE.preferences;
+}
+
+/**
+ * Save a user's preferences
+ */
+async function savePreferences(userId, preferences) {
+  await saveWorkspaceKey(userId, 'preferences', preferences);
+}
+
+/**
+ * Get the current revision of one of a user's collections ('dashboards', 'links', 'tags', 'groups' or 'preferences')
+ */
+async function getRevision(userId, collection) {
+  const workspace = await getWorkspace(userId);
+  return (workspace.revisions && workspace.revisions[collection]) || 0;
+}
+
+/**
+ * Get the current revision of every revisioned collection of a user
+ */
+async function getRevisions(userId) {
+  const workspace = await getWorkspace(userId);
+  const revisions = {};
+  for (const collection of REVISIONED_COLLECTIONS) {
+    revisions[collection] = (workspace.revisions && workspace.revisions[collection]) || 0;
+  }
+  return revisions;
+}
+
+/**
+ * Get the secret new cookies are signed with: SESSION_SECRET, or else the stored one
  */
 async function getSessionSecret() {
   const data = await readData();
-  return data.sessionSecret;
+  return SESSION_SECRET || data.sessionSecret;
+}
+
+/**
+ * Get the session secrets cookies may be signed with: the current one plus SESSION_SECRET_PREVIOUS
+ * and retired ones still in their grace period
+ */
+async function getSessionSecrets() {
+  const data = await readData();
+  const graceStart = Date.now() - SESSION_SECRET_GRACE_PERIOD;
+  return {
+    current: SESSION_SECRET || data.sessionSecret,
+    previous: [
+      ...SESSION_SECRET_PREVIOUS,
+      ...(data.previousSessionSecrets || [])
+        .filter(p => p.retiredAt > graceStart)
+        .map(p => p.secret)
+    ]
+  };
+}
+
+/**
+ * Read sign-in state: { sessions, csrfTokens, rateLimiting, apiTokenUsage } (returns deep copy)
+ */
+async function readState() {
+  if (stateCache === null) {
+    throw new Error('Storage is not initialized');
+  }
+  return JSON.parse(JSON.stringify(stateCache));
+}
+
+/**
+ * Write sign-in state to state.json (debounced)
+ */
+async function writeState(state) {
+  stateCache = JSON.parse(JSON.stringify(state));
+
+  try {
+    await stateStore.save(stateCache);
+  } catch (error) {
+    console.error('Error saving state:', error);
+  }
 }
 
 /**
  * Get all sessions
  */
 async function getSessions() {
-  const data = await readData();
-  return data.sessions || {};
+  const state = await readState();
+  return state.sessions;
 }
 
 /**
  * Save sessions
  */
 async function saveSessions(sessions) {
+  const state = await readState();
+  state.sessions = sessions;
+  await writeState(state);
+}
+
+/**
+ * Get all API tokens (hashed)
+ */
+async function getApiTokens() {
+  const data = await readData();
+  return data.apiTokens || [];
+}
+
+/**
+ * Save API tokens. Usage of tokens that are gone is forgotten.
+ */
+async function saveApiTokens(apiTokens) {
   const data = await readData();
-  data.sessions = sessions;
+  data.apiTokens = apiTokens;
   await writeData(data);
+
+  const ids = new Set(apiTokens.map(t => t.id));
+  const state = await readState();
+  const usage = Object.keys(state.apiTokenUsage);
+  if (usage.some(id => !ids.has(id))) {
+    state.apiTokenUsage = Object.fromEntries(usage.filter(id => ids.has(id)).map(id => [id, state.apiTokenUsage[id]]));
+    await writeState(state);
+  }
+}
+
+/**
+ * Get when each API token was last used: { tokenId: timestamp }. Kept in state.json, since
+ * it changes with every request made with a token.
+ */
+async function getApiTokenUsage() {
+  const state = await readState();
+  return state.apiTokenUsage;
+}
+
+/**
+ * Save API token usage
+ */
+async function saveApiTokenUsage(apiTokenUsage) {
+  const state = await readState();
+  state.apiTokenUsage = apiTokenUsage;
+  await writeState(state);
 }
 
 /**
  * Flush any pending writes to disk (for graceful shutdown)
  */
 async function flushPendingWrites() {
-  if (writeTimeout) {
-    clearTimeout(writeTimeout);
-    writeTimeout = null;
+  if (driver) {
+    await driver.flush();
   }
-  if (pendingWrite && dataCache !== null) {
-    await writeToDisk(dataCache);
+  await stateStore.flush();
+}
+
+/**
+ * Flush and close the storage backend (shutdown)
+ */
+async function closeStorage() {
+  if (driver) {
+    await driver.close();
+    driver = null;
   }
+  await stateStore.close();
 }
 
 /**
- * Get all custom icons
+ * Get a user's custom icons
  */
-async function getCustomIcons() {
-  const data = await readData();
-  return data.customIcons || [];
+async function getCustomIcons(userId) {
+  return (await getWorkspace(userId)).customIcons || [];
 }
 
 /**
- * Save custom icons array
+ * Save a user's custom icons array
  */
-async function saveCustomIcons(customIcons) {
-  const data = await readData();
-  data.customIcons = customIcons;
-  await writeData(data);
+async function saveCustomIcons(userId, customIcons) {
+  await saveWorkspaceKey(userId, 'customIcons', customIcons);
 }
 
 module.exports = {
   initializeData,
   readData,
   writeData,
-  getUser,
-  setUser,
+  readState,
+  writeState,
+  prepareSnapshot,
+  restoreData,
+  getUsers,
+  saveUsers,
+  updateUsers,
+  getUserById,
+  getUserByUsername,
+  createUser,
+  getWorkspace,
+  saveWorkspace,
   getTags,
   saveTags,
+  getDashboards,
+  saveDashboards,
+  getGroups,
+  saveGroups,
   getLinks,
   saveLinks,
   getPreferences,
   savePreferences,
+  getRevision,
+  getRevisions,
   getSessionSecret,
+  getSessionSecrets,
   getSessions,
   saveSessions,
+  getApiTokens,
+  saveApiTokens,
+  getApiTokenUsage,
+  saveApiTokenUsage,
   flushPendingWrites,
+  closeStorage,
   getCustomIcons,
   saveCustomIcons
 };
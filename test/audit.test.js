@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// audit.js reads DATA_DIR when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-linkz-test-'));
+process.env.DATA_DIR = dataDir;
+
+const audit = require('../src/audit');
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('pages through entries written in the same millisecond without losing any', async (t) => {
+  // An entry from before sequence numbers, then a burst within one millisecond
+  fs.writeFileSync(path.join(dataDir, 'audit.log'),
+    JSON.stringify({ time: 1000, event: 'logout', userId: null, username: 'old', ip: null, details: {} }) + '\n');
+  t.mock.method(Date, 'now', () => 1000);
+  for (let i = 0; i < 5; i++) {
+    audit.record('login.success', { username: `user${i}` });
+  }
+  await audit.record('login.failure', { username: 'later' });
+  t.mock.restoreAll();
+
+  const seen = [];
+  let before = null;
+  for (;;) {
+    const page = await audit.query({ before, limit: 2 });
+    seen.push(...page.events);
+    if (!page.hasMore) break;
+    const last = page.events[page.events.length - 1];
+    before = { time: last.time, seq: last.seq };
+  }
+
+  assert.deepEqual(seen.map(e => e.username), ['later', 'user4', 'user3', 'user2', 'user1', 'user0', 'old']);
+  assert.deepEqual(seen.map(e => e.seq), [6, 5, 4, 3, 2, 1, undefined]);
+});
+
+test('a cursor without a seq leaves out its whole millisecond', async () => {
+  const { events } = await audit.query({ before: { time: 1000, seq: null } });
+  assert.deepEqual(events, []);
+  assert.equal((await audit.query({ before: { time: 1001, seq: null } })).events.length, 7);
+});
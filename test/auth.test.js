@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// storage.js reads DATA_DIR when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-linkz-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.STORAGE_DRIVER;
+delete process.env.SESSION_SECRET;
+
+const auth = require('../src/auth');
+const storage = require('../src/storage');
+
+const USER_ID = '6a1f0c2e-8b3d-4e5f-9a7b-1c2d3e4f5a60';
+
+test.before(async () => {
+  await storage.initializeData();
+});
+
+test.after(async () => {
+  await storage.closeStorage();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('API token use is recorded in the state, not the data', async () => {
+  const { token, record } = await auth.createApiToken(USER_ID, 'CI', 'read-only');
+  const dataBefore = JSON.stringify(await storage.readData());
+
+  const verified = await auth.verifyApiToken(token);
+  assert.equal(verified.id, record.id);
+  assert.equal(JSON.stringify(await storage.readData()), dataBefore);
+  const usage = await storage.getApiTokenUsage();
+  assert.ok(Date.now() - usage[record.id] < 1000);
+
+  // Deleting the token forgets its usage
+  await auth.revokeUserApiTokens(USER_ID);
+  assert.deepEqual(await storage.getApiTokenUsage(), {});
+  assert.equal(await auth.verifyApiToken(token), null);
+});
+
+test('a stored hash of the wrong length is no match rather than an error', async () => {
+  const { token } = await auth.createApiToken(USER_ID, 'CI', 'read-only');
+  const apiTokens = await storage.getApiTokens();
+  await storage.saveApiTokens([{ ...apiTokens[0], id: 'f1e2d3c4-b5a6-4978-8a9b-0c1d2e3f4a5b', tokenHash: 'abcd' }, ...apiTokens]);
+
+  assert.equal((await auth.verifyApiToken(token)).name, 'CI');
+  assert.equal(await auth.verifyApiToken('slk_not-a-real-token'), null);
+});
+
+// RFC 6238 Appendix B, SHA-1: the ASCII secret "12345678901234567890" (base32 below) and the
+// 8-digit codes at each time. Our 6-digit codes are their last six digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('TOTP codes match the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    const counter = Math.floor(seconds / 30);
+    assert.equal(auth.generateHotp(RFC_SECRET, counter), code.slice(-6), `T=${seconds}`);
+    assert.equal(auth.verifyTotp(RFC_SECRET, code.slice(-6), -1, seconds * 1000), counter, `T=${seconds}`);
+  }
+  assert.equal(auth.verifyTotp(RFC_SECRET, '287 082', -1, 59 * 1000), 1);
+  assert.equal(auth.verifyTotp(RFC_SECRET, '94287082', -1, 59 * 1000), null);
+});
+
+test('TOTP accepts one time step of clock drift either way', () => {
+  const at = 1111111109 * 1000; // step 37037036
+  const code = step => auth.generateHotp(RFC_SECRET, step);
+
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037035), -1, at), 37037035);
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037037), -1, at), 37037037);
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037034), -1, at), null);
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037038), -1, at), null);
+});
+
+test('a TOTP code is rejected once it or a later one has been used', () => {
+  const at = 1111111109 * 1000;
+  const code = step => auth.generateHotp(RFC_SECRET, step);
+
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037036), 37037036, at), null);
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037035), 37037036, at), null);
+  assert.equal(auth.verifyTotp(RFC_SECRET, code(37037037), 37037036, at), 37037037);
+});
+
+test('a login second factor consumes TOTP steps and recovery codes', async () => {
+  const { codes, hashes } = await auth.generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  await storage.saveUsers([{
+    id: USER_ID,
+    username: 'admin',
+    passwordHash: await auth.hashPassword('admin-password'),
+    role: 'admin',
+    totp: { secret: RFC_SECRET, enabledAt: Date.now(), lastCounter: -1 },
+    recoveryCodes: hashes
+  }]);
+
+  const current = auth.generateHotp(RFC_SECRET, Math.floor(Date.now() / 30000));
+  assert.equal(await auth.verifySecondFactor(USER_ID, current), true);
+  assert.equal(await auth.verifySecondFactor(USER_ID, current), false);
+
+  // Recovery codes work once each, however they are typed
+  assert.equal(await auth.verifySecondFactor(USER_ID, codes[3].toUpperCase().replace('-', ' ')), true);
+  assert.equal(await auth.verifySecondFactor(USER_ID, codes[3]), false);
+  const [user] = await storage.getUsers();
+  assert.equal(user.recoveryCodes.length, 9);
+  assert.equal(await auth.findRecoveryCode(user.recoveryCodes, codes[3]), -1);
+  assert.notEqual(await auth.findRecoveryCode(user.recoveryCodes, codes[4]), -1);
+  assert.equal(await auth.verifySecondFactor(USER_ID, 'not-a-code'), false);
+});
+
+test('one recovery code used by two logins at once lets only one in', async () => {
+  const { codes, hashes } = await auth.generateRecoveryCodes();
+  const passwordHash = await auth.hashPassword('admin-password');
+  await storage.saveUsers([{ id: USER_ID, username: 'admin', passwordHash, role: 'admin',
+    totp: { secret: RFC_SECRET, enabledAt: Date.now(), lastCounter: -1 }, recoveryCodes: hashes }]);
+
+  const results = await Promise.all([
+    auth.verifySecondFactor(USER_ID, codes[9]),
+    auth.verifySecondFactor(USER_ID, codes[9])
+  ]);
+  assert.deepEqual(results.sort(), [false, true]);
+  assert.equal((await storage.getUsers())[0].recoveryCodes.length, 9);
+});
+
+test('changes saved while a recovery code is checked are kept', async () => {
+  const { codes, hashes } = await auth.generateRecoveryCodes();
+  await storage.saveUsers([{ id: USER_ID, username: 'admin', passwordHash: 'old-hash', role: 'admin',
+    totp: { secret: RFC_SECRET, enabledAt: Date.now(), lastCounter: -1 }, recoveryCodes: hashes }]);
+
+  const verifying = auth.verifySecondFactor(USER_ID, codes[9]);
+  const [user] = await storage.getUsers();
+  await storage.saveUsers([{ ...user, passwordHash: 'new-hash', disabled: true }]);
+  assert.equal(await verifying, true);
+
+  const [saved] = await storage.getUsers();
+  assert.equal(saved.passwordHash, 'new-hash');
+  assert.equal(saved.disabled, true);
+  assert.equal(saved.recoveryCodes.length, 9);
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBookmarksHtml, planBookmarkImport } = require('../src/bookmarks');
+const { EXPORT_FORMATS } = require('../src/exports');
+const { createWorkspace } = require('../src/schema');
+
+const CHROME_EXPORT = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://github.com/" ADD_DATE="1700000001">GitHub</A>
+        <DT><H3>Work</H3>
+        <DL><p>
+            <DT><A HREF="https://jira.example.com/" ADD_DATE="1700000002">Jira &amp; <b>Boards</b></A>
+            <DT><H3>Infra</H3>
+            <DL><p>
+                <DT><A HREF='https://grafana.example.com/' ICON="data:image/png;base64,iVBORw0KGgo=">Grafana</A>
+            </DL><p>
+        </DL><p>
+        <DT><A HREF="https://news.ycombinator.com/">HN</A>
+    </DL><p>
+    <DT><H3>Other bookmarks</H3>
+    <DL><p>
+        <DT><A HREF="https://example.org/" TAGS="reading, later">Example</A>
+        <DT><A HREF="javascript:alert(1)">Bookmarklet</A>
+    </DL><p>
+</DL><p>
+`;
+
+test('reads nested folders, leaving out the browser root folders', () => {
+  const bookmarks = parseBookmarksHtml(CHROME_EXPORT);
+  assert.deepEqual(bookmarks.map(b => [b.name, b.folders]), [
+    ['GitHub', []],
+    ['Jira & Boards', ['Work']],
+    ['Grafana', ['Work', 'Infra']],
+    ['HN', []],
+    ['Example', []],
+    ['Bookmarklet', []]
+  ]);
+});
+
+test('reads dates, tags and embedded icons from attributes', () => {
+  const [github, jira, grafana, , example] = parseBookmarksHtml(CHROME_EXPORT);
+  assert.equal(github.url, 'https://github.com/');
+  assert.equal(github.addedAt, 1700000001000);
+  assert.equal(jira.url, 'https://jira.example.com/');
+  assert.equal(grafana.url, 'https://grafana.example.com/');
+  assert.equal(grafana.icon, 'data:image/png;base64,iVBORw0KGgo=');
+  assert.equal(grafana.addedAt, null);
+  assert.deepEqual(example.tags, ['reading', 'later']);
+});
+
+test('an unclosed <A> or <H3> ends at the next entry', () => {
+  const bookmarks = parseBookmarksHtml(`<DL><p>
+    <DT><A HREF="https://a.example/">First
+    <DT><A HREF="https://b.example/">Second</A>
+    <DT><H3>Folder
+    <DL><p>
+      <DT><A HREF="https://c.example/">Third</a>
+    </DL><p>
+  </DL>`);
+  assert.deepEqual(bookmarks.map(b => [b.name, b.url, b.folders]), [
+    ['First', 'https://a.example/', []],
+    ['Second', 'https://b.example/', []],
+    ['Third', 'https://c.example/', ['Folder']]
+  ]);
+});
+
+test('a file cut off in the middle of a tag keeps the bookmarks before it', () => {
+  const bookmarks = parseBookmarksHtml(`<DL><p>
+    <DT><A HREF="https://a.example/">A</A>
+    <DT><A HREF="https://b.example/" ICON="data:image/png;base64,iVBOR`);
+  assert.deepEqual(bookmarks.map(b => b.url), ['https://a.example/']);
+});
+
+test('stray angle brackets, comments and unquoted attributes', () => {
+  const bookmarks = parseBookmarksHtml(`<DL><p>
+    <!-- <DT><A HREF="https://commented.example/">Hidden</A> -->
+    <DT><A HREF=https://a.example/ ADD_DATE=1700000000>1 < 2 &lt;3&gt; &#x1F600;</A>
+    <DT><A HREF="https://b.example/" TAGS="x>B</A>
+  </DL>`);
+  assert.deepEqual(bookmarks.map(b => [b.name, b.url]), [
+    ['1 < 2 <3> \u{1F600}', 'https://a.example/'],
+    ['B', 'https://b.example/']
+  ]);
+  assert.equal(bookmarks[0].addedAt, 1700000000000);
+});
+
+test('reads back its own HTML export', () => {
+  const workspace = createWorkspace();
+  const dashboardId = workspace.dashboards[0].id;
+  const tag = { id: 'c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e01', name: 'Dev & Ops', color: '#3B82F6', public: false };
+  const html = EXPORT_FORMATS.html.render({
+    dashboards: workspace.dashboards,
+    links: [
+      { id: '0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a01', dashboardId, name: 'GitHub "code"', url: 'https://github.com/?a=1&b=2', order: 0, tags: [tag.id], groupId: null, addedAt: 1700000000000 },
+      { id: '0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a02', dashboardId, name: 'MDN', url: 'https://developer.mozilla.org/', order: 1, tags: [], groupId: null }
+    ],
+    tags: [tag],
+    groups: [],
+    preferences: workspace.preferences
+  });
+
+  const bookmarks = parseBookmarksHtml(html);
+  assert.deepEqual(bookmarks.map(b => [b.name, b.url, b.folders, b.tags, b.addedAt]), [
+    ['GitHub "code"', 'https://github.com/?a=1&b=2', ['Home', 'Dev & Ops'], ['Dev & Ops'], 1700000000000],
+    ['MDN', 'https://developer.mozilla.org/', ['Home'], [], null]
+  ]);
+});
+
+test('large and malformed files parse in linear time', () => {
+  const cases = {
+    'many nested folders': '<DL><p>' + Array.from({ length: 2000 }, (_, i) =>
+      `<DT><H3>Folder ${i}</H3><DL><p><DT><A HREF="https://example.com/${i}" ADD_DATE="1700000000">Link ${i}</A>`
+    ).join('\n') + '</DL><p>'.repeat(2001),
+    'unclosed links': '<DL><p>' + '<DT><A HREF="https://example.com/">Link\n'.repeat(50000),
+    'unclosed headings': '<DL><p>' + '<DT><H3>Folder\n'.repeat(50000),
+    'tags that never end': '<a '.repeat(200000),
+    'attributes that never end': '<A HREF="' + 'x'.repeat(1000000),
+    'unterminated quotes': '<A ' + 'a="'.repeat(200000) + '>',
+    'unterminated comment': '<!--' + '<A HREF="https://example.com/">x'.repeat(20000)
+  };
+
+  for (const [name, html] of Object.entries(cases)) {
+    const started = Date.now();
+    const bookmarks = parseBookmarksHtml(html);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed < 2000, `${name} took ${elapsed} ms`);
+    if (name === 'many nested folders') {
+      assert.equal(bookmarks.length, 2000);
+      assert.equal(bookmarks[1999].folders.length, 2000);
+    }
+    if (name === 'unclosed links') {
+      assert.equal(bookmarks.length, 50000);
+    }
+  }
+});
+
+test('planBookmarkImport turns folders into tags and skips what it cannot import', () => {
+  const workspace = createWorkspace();
+  const dashboardId = workspace.dashboards[0].id;
+  workspace.tags.push({ id: 'c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e01', name: 'work', color: '#3B82F6', public: false });
+  workspace.links.push({
+    id: '0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a01', dashboardId, name: 'HN', url: 'https://news.ycombinator.com/',
+    order: 0, faviconUrl: null, fallbackEmoji: '', tags: [], groupId: null, iconType: 'favicon', iconValue: null
+  });
+
+  const { links, tags, skipped } = planBookmarkImport(workspace, parseBookmarksHtml(CHROME_EXPORT), dashboardId);
+  assert.deepEqual(links.map(l => [l.name, l.order]), [
+    ['GitHub', 1], ['Jira & Boards', 2], ['Grafana', 3], ['Example', 4]
+  ]);
+  assert.deepEqual(tags.map(t => t.name), ['Infra', 'reading', 'later']);
+  assert.deepEqual(links[2].tags, ['c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e01', tags[0].id]);
+  assert.equal(links[2].faviconUrl, 'data:image/png;base64,iVBORw0KGgo=');
+  assert.deepEqual(skipped.map(s => s.reason), ['Already on this dashboard', 'Not an HTTP or HTTPS link']);
+});
+
+test('quotes in HREF stay in the URL and are stored percent-encoded', () => {
+  const bookmarks = parseBookmarksHtml(`<DL><p>
+    <DT><A HREF='https://x.example/"onmouseover="alert(1)'>Quoted</A>
+    <DT><A HREF="https://y.example/a&quot; b">Entity</A>
+  </DL>`);
+  assert.deepEqual(bookmarks.map(b => b.url), ['https://x.example/"onmouseover="alert(1)', 'https://y.example/a" b']);
+
+  const workspace = createWorkspace();
+  const { links } = planBookmarkImport(workspace, bookmarks, workspace.dashboards[0].id);
+  assert.deepEqual(links.map(l => l.url), ['https://x.example/%22onmouseover=%22alert(1)', 'https://y.example/a%22%20b']);
+  assert.ok(links.every(l => !l.url.includes('"')));
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// storage.js and backups.js read DATA_DIR when they are loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-linkz-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.STORAGE_DRIVER;
+delete process.env.SESSION_SECRET;
+
+const migrations = require('../src/migrations');
+const storage = require('../src/storage');
+const backups = require('../src/backups');
+const { CURRENT_SCHEMA_VERSION, DATA_SCHEMA, isUuid, validate } = require('../src/schema');
+
+const FIXTURE_VERSIONS = [1, 2, 3, 4, 5, 6, 7];
+
+function loadFixture(version) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `data-v${version}.json`), 'utf8'));
+}
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (const version of FIXTURE_VERSIONS) {
+  test(`migrates version ${version} data to the current schema`, () => {
+    const data = loadFixture(version);
+    const state = {};
+    const applied = migrations.migrate(data, state);
+
+    assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(applied.map(m => m.version), migrations.MIGRATIONS
+      .map(m => m.version)
+      .filter(v => v > version));
+    assert.deepEqual(validate(data, DATA_SCHEMA), []);
+
+    // The account and its links survive every step
+    assert.equal(data.users.length, 1);
+    assert.equal(data.users[0].username, 'admin');
+    assert.equal(data.users[0].role, 'admin');
+    const workspace = data.workspaces[data.users[0].id];
+    assert.ok(workspace);
+    assert.ok(workspace.links.some(l => l.url === 'https://github.com'));
+    assert.ok(workspace.links.some(l => l.url === 'https://developer.mozilla.org'));
+    assert.ok(workspace.links.every(l => workspace.dashboards.some(d => d.id === l.dashboardId)));
+
+    for (const key of ['sessions', 'csrfTokens', 'rateLimiting']) {
+      assert.equal(data[key], undefined, `${key} left in the data`);
+    }
+  });
+}
+
+test('moves sign-in state out of the data and gives sessions an id', () => {
+  for (const version of [1, 2, 3, 4]) {
+    const data = loadFixture(version);
+    const state = {};
+    migrations.migrate(data, state);
+
+    const sessions = Object.values(state.sessions);
+    assert.equal(sessions.length, 1, `version ${version}`);
+    assert.equal(sessions[0].userId, data.users[0].id);
+    assert.equal(typeof sessions[0].id, 'string');
+    assert.equal(sessions[0].remember, true);
+    assert.deepEqual(Object.keys(state.csrfTokens), Object.keys(state.sessions));
+  }
+});
+
+test('keeps sign-in state written by an earlier start', () => {
+  const data = loadFixture(4);
+  const state = { sessions: {}, csrfTokens: {} };
+  migrations.migrate(data, state);
+  assert.deepEqual(state.sessions, {});
+  assert.deepEqual(state.csrfTokens, {});
+  assert.deepEqual(state.rateLimiting, { attempts: {}, blocked: {} });
+});
+
+test('version 1 preferences drop the old color fields', () => {
+  const data = loadFixture(1);
+  migrations.migrate(data, {});
+  const { preferences } = data.workspaces[data.users[0].id];
+  assert.equal(preferences.pageTitle, 'My Links');
+  assert.equal(preferences.accentColor, '#10b981');
+  for (const key of ['theme', 'buttonColor', 'buttonTextColor', 'cardColor', 'cardTextColor']) {
+    assert.equal(preferences[key], undefined, key);
+  }
+});
+
+test('version 6 tidies what old imports left behind', () => {
+  const data = loadFixture(5);
+  migrations.migrate(data, {});
+  const workspace = data.workspaces[data.users[0].id];
+  const [github, mdn, node] = workspace.links;
+
+  assert.deepEqual(github.tags, ['c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e01']);
+  assert.equal(mdn.clicks, undefined);
+  assert.equal(typeof node.id, 'string');
+  assert.equal(node.order, 2);
+  assert.equal(workspace.preferences.accentColor, '#3b82f6');
+  assert.equal(workspace.preferences.publicSlug, null);
+  assert.equal(data.apiTokens.length, 1);
+});
+
+test('version 7 replaces ids that are not unique UUIDs and keeps references', () => {
+  const data = loadFixture(6);
+  migrations.migrate(data, {});
+  const { dashboards, groups, tags, links } = data.workspaces[data.users[0].id];
+  const [home, work] = dashboards;
+  const [code, docs, reading] = tags;
+  const [github, mdn, jira] = links;
+
+  const ids = [...dashboards, ...groups, ...tags, ...links].map(record => record.id);
+  assert.ok(ids.every(isUuid));
+  assert.equal(new Set(ids).size, ids.length);
+
+  assert.equal(work.id, '0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a01');
+  assert.equal(docs.id, 'c3d4e5f6-a7b8-4c9d-8e0f-1a2b3c4d5e01');
+  assert.notEqual(reading.id, docs.id);
+  assert.equal(groups[0].dashboardId, home.id);
+  assert.deepEqual([github.dashboardId, github.groupId, github.tags], [home.id, groups[0].id, [code.id]]);
+  assert.deepEqual([mdn.dashboardId, mdn.tags], [home.id, [docs.id]]);
+  assert.equal(jira.dashboardId, work.id);
+});
+
+test('version 8 moves API token usage into the state', () => {
+  const data = loadFixture(7);
+  const state = { apiTokenUsage: {} };
+  migrations.migrate(data, state);
+
+  assert.ok(data.apiTokens.every(apiToken => !('lastUsedAt' in apiToken)));
+  assert.deepEqual(state.apiTokenUsage, { 'f1e2d3c4-b5a6-4978-8a9b-0c1d2e3f4a5b': 1700200000000 });
+});
+
+test('current data has nothing to migrate', () => {
+  const data = loadFixture(1);
+  migrations.migrate(data, {});
+  const migrated = JSON.parse(JSON.stringify(data));
+  assert.deepEqual(migrations.migrate(data, {}), []);
+  assert.deepEqual(data, migrated);
+});
+
+test('refuses data from a newer or unknown schema version', () => {
+  assert.throws(() => migrations.assertSupportedVersion({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }),
+    /Upgrade Simple Linkz/);
+  assert.throws(() => migrations.assertSupportedVersion({ schemaVersion: '2' }), /Invalid schema version/);
+  assert.throws(() => migrations.migrate({ schemaVersion: 0 }, {}), /Invalid schema version/);
+  assert.doesNotThrow(() => migrations.assertSupportedVersion({}));
+});
+
+test('initializeData backs up the data before each migration step', async () => {
+  fs.writeFileSync(path.join(dataDir, 'data.json'), JSON.stringify(loadFixture(1)));
+  await storage.initializeData();
+  try {
+    const data = await storage.readData();
+    assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+
+    const taken = (await backups.listBackups()).filter(b => b.reason === 'migration');
+    assert.equal(taken.length, CURRENT_SCHEMA_VERSION - 1);
+    const versions = [];
+    for (const backup of taken) {
+      versions.push(migrations.getSchemaVersion(await backups.readBackup(backup.id)));
+    }
+    assert.deepEqual(versions.sort((a, b) => a - b), taken.map((backup, index) => index + 1));
+
+    const state = await storage.readState();
+    assert.equal(Object.keys(state.sessions).length, 1);
+  } finally {
+    await storage.closeStorage();
+  }
+});
@@ -0,0 +1,232 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// A minimal identity provider: discovery, an authorize endpoint that signs in `idpUser` at once,
+// and a token endpoint issuing RS256 ID tokens
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const codes = new Map();
+let idpUser = null;
+let issuer;
+
+const idp = http.createServer((req, res) => {
+  const requestUrl = new URL(req.url, issuer);
+  const json = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  if (requestUrl.pathname === '/.well-known/openid-configuration') {
+    return json(200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  }
+  if (requestUrl.pathname === '/jwks') {
+    return json(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test', use: 'sig', alg: 'RS256' }] });
+  }
+  if (requestUrl.pathname === '/authorize') {
+    const params = requestUrl.searchParams;
+    const code = crypto.randomBytes(8).toString('hex');
+    codes.set(code, { nonce: params.get('nonce'), challenge: params.get('code_challenge'), user: idpUser });
+    res.writeHead(302, { Location: `${params.get('redirect_uri')}?code=${code}&state=${params.get('state')}` });
+    return res.end();
+  }
+  if (requestUrl.pathname === '/token') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body);
+      const grant = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+      const verifier = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+      if (!grant || verifier !== grant.challenge) {
+        return json(400, { error: 'invalid_grant' });
+      }
+      if (req.headers.authorization !== `Basic ${Buffer.from('app:secret').toString('base64')}`) {
+        return json(401, { error: 'invalid_client' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const signed = `${encode({ alg: 'RS256', kid: 'test' })}.${encode({
+        iss: issuer, aud: 'app', iat: now, exp: now + 300, nonce: grant.nonce, ...grant.user
+      })}`;
+      const signature = crypto.sign('sha256', Buffer.from(signed), privateKey).toString('base64url');
+      json(200, { access_token: 'unused', token_type: 'Bearer', id_token: `${signed}.${signature}` });
+    });
+    return;
+  }
+  json(404, {});
+});
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-linkz-test-'));
+let server;
+let base;
+
+function listen(target) {
+  return new Promise(resolve => target.listen(0, '127.0.0.1', () => resolve(target.address().port)));
+}
+
+async function freePort() {
+  const probe = http.createServer();
+  const port = await listen(probe);
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+test.before(async () => {
+  issuer = `http://127.0.0.1:${await listen(idp)}`;
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'server.js')], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      DATA_DIR: dataDir,
+      OIDC_ISSUER: issuer,
+      OIDC_CLIENT_ID: 'app',
+      OIDC_CLIENT_SECRET: 'secret',
+      OIDC_REDIRECT_URI: `${base}/api/auth/oidc/callback`
+    },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${base}/api/setup/check`);
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Server did not start');
+});
+
+test.after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  await new Promise(resolve => idp.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A browser: keeps the session cookie and CSRF token between requests
+ */
+function browser() {
+  const cookies = {};
+  let csrfToken = null;
+
+  const keepCookies = res => {
+    for (const header of res.headers.getSetCookie()) {
+      const [pair] = header.split(';');
+      const [name, value] = pair.split('=');
+      if (value) {
+        cookies[name] = value;
+      } else {
+        delete cookies[name];
+      }
+    }
+  };
+  const send = async (target, options = {}) => {
+    const cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+    const res = await fetch(target, { ...options, redirect: 'manual', headers: { ...options.headers, cookie } });
+    keepCookies(res);
+    return res;
+  };
+
+  return {
+    async api(method, pathname, body) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+      const res = await send(`${base}${pathname}`, { method, headers, body: body && JSON.stringify(body) });
+      const result = await res.json();
+      if (result.csrfToken) csrfToken = result.csrfToken;
+      return { status: res.status, body: result };
+    },
+    // Follow a flow through the provider back to the app; returns where the app sends the browser
+    async followSso(authorizationUrl) {
+      const authorized = await fetch(authorizationUrl, { redirect: 'manual' });
+      const callback = await send(authorized.headers.get('location'));
+      return callback.headers.get('location');
+    },
+    async signInWithSso(user) {
+      idpUser = user;
+      const start = await send(`${base}/api/auth/oidc/start`);
+      return this.followSso(start.headers.get('location'));
+    }
+  };
+}
+
+async function signIn(username, password) {
+  const client = browser();
+  const result = await client.api('POST', '/api/login', { username, password });
+  assert.equal(result.status, 200);
+  return client;
+}
+
+test('identities are linked from the signed-in account, never by username', async () => {
+  const admin = browser();
+  assert.equal((await admin.api('POST', '/api/setup', { username: 'admin', password: 'admin-password' })).status, 200);
+  await admin.api('POST', '/api/login', { username: 'admin', password: 'admin-password' });
+  assert.equal((await admin.api('POST', '/api/users', { username: 'bob', password: 'bob-password' })).status, 201);
+
+  // A provider account named like a local one gets nowhere
+  const stranger = browser();
+  assert.equal(await stranger.signInWithSso({ sub: 'sub-eve', preferred_username: 'bob' }), '/?sso_error=no_account');
+  assert.equal((await stranger.api('GET', '/api/me')).status, 401);
+
+  // Linking needs the account's password
+  const bob = await signIn('bob', 'bob-password');
+  const wrongPassword = await bob.api('POST', '/api/account/oidc/link', { password: 'guess' });
+  assert.equal(wrongPassword.status, 400);
+  assert.equal(wrongPassword.body.code, 'INVALID_PASSWORD');
+
+  const link = await bob.api('POST', '/api/account/oidc/link', { password: 'bob-password' });
+  assert.equal(link.status, 200);
+  idpUser = { sub: 'sub-bob', preferred_username: 'someone-else' };
+  assert.equal(await bob.followSso(link.body.url), '/?sso_linked=1');
+  assert.equal((await bob.api('GET', '/api/me')).body.user.ssoLinked, true);
+  assert.equal((await bob.api('POST', '/api/account/oidc/link', { password: 'bob-password' })).body.code, 'ALREADY_LINKED');
+
+  // The linked subject signs in to bob; other subjects still don't
+  const laptop = browser();
+  assert.equal(await laptop.signInWithSso({ sub: 'sub-bob' }), '/');
+  assert.equal((await laptop.api('GET', '/api/me')).body.user.username, 'bob');
+  assert.equal(await browser().signInWithSso({ sub: 'sub-eve', preferred_username: 'bob' }), '/?sso_error=no_account');
+
+  // Nobody else can link the same identity
+  const adminLink = await admin.api('POST', '/api/account/oidc/link', { password: 'admin-password' });
+  idpUser = { sub: 'sub-bob' };
+  assert.equal(await admin.followSso(adminLink.body.url), '/?sso_error=already_linked');
+
+  // An admin can remove the link
+  const users = (await admin.api('GET', '/api/users')).body.users;
+  const bobId = users.find(u => u.username === 'bob').id;
+  const unlinked = await admin.api('PUT', `/api/users/${bobId}`, { ssoLinked: false });
+  assert.equal(unlinked.body.user.ssoLinked, false);
+  assert.equal(await browser().signInWithSso({ sub: 'sub-bob' }), '/?sso_error=no_account');
+});
+
+test('a link flow finishes only in the session that started it', async () => {
+  const bob = await signIn('bob', 'bob-password');
+  const link = await bob.api('POST', '/api/account/oidc/link', { password: 'bob-password' });
+  assert.equal(link.status, 200);
+
+  // The same flow completed after signing out is refused
+  await bob.api('POST', '/api/logout');
+  idpUser = { sub: 'sub-bob' };
+  assert.equal(await bob.followSso(link.body.url), '/?sso_error=invalid_state');
+  assert.equal(await browser().signInWithSso({ sub: 'sub-bob' }), '/?sso_error=no_account');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkspace, validate, LINK_SCHEMA, WORKSPACE_SCHEMA, IMPORT_SCHEMA } = require('../src/schema');
+
+function workspaceWithLink(id) {
+  const workspace = createWorkspace();
+  workspace.links.push({
+    id, dashboardId: workspace.dashboards[0].id, name: 'GitHub', url: 'https://github.com', order: 0,
+    faviconUrl: null, fallbackEmoji: '', tags: [], groupId: null, iconType: 'favicon', iconValue: null
+  });
+  return workspace;
+}
+
+test('ids must be UUIDs', () => {
+  const workspace = workspaceWithLink("x');alert(1);//");
+  assert.deepEqual(validate(workspace, WORKSPACE_SCHEMA), [{ path: 'links[0].id', message: 'ID must be a UUID' }]);
+  assert.deepEqual(validate(workspaceWithLink('0B9E6B2E-6F1C-4D8A-9A51-3C1F1E0D2A01'), WORKSPACE_SCHEMA), []);
+  assert.equal(validate({ ...workspace.links[0], id: '' }, LINK_SCHEMA, '', workspace).length, 1);
+});
+
+test('ids are used once across links, tags, groups and dashboards', () => {
+  const workspace = workspaceWithLink('0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a01');
+  workspace.links.push({ ...workspace.links[0], url: 'https://example.com' });
+  workspace.tags.push({ id: workspace.dashboards[0].id, name: 'Work', color: '#3B82F6', public: false });
+
+  assert.deepEqual(validate(workspace, WORKSPACE_SCHEMA), [
+    { path: 'links[1].id', message: 'ID 0b9e6b2e-6f1c-4d8a-9a51-3c1f1e0d2a01 is used more than once' },
+    { path: 'tags[0].id', message: `ID ${workspace.dashboards[0].id} is used more than once` }
+  ]);
+});
+
+test('import files may carry any ids, since imported records get new ones', () => {
+  const errors = validate({
+    tags: [{ id: 't1', name: 'Work' }],
+    links: [{ id: 'l1', name: 'GitHub', url: 'https://github.com', tags: ['t1'] }]
+  }, IMPORT_SCHEMA);
+  assert.deepEqual(errors, []);
+});
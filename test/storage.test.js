@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// storage.js reads DATA_DIR and the secrets when it is loaded
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-linkz-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SESSION_SECRET = 'secret-from-the-environment';
+process.env.SESSION_SECRET_PREVIOUS = 'rotated-out-1, rotated-out-2';
+delete process.env.STORAGE_DRIVER;
+
+const storage = require('../src/storage');
+const { CURRENT_SCHEMA_VERSION, DEFAULT_DATA } = require('../src/schema');
+
+const dataFile = path.join(dataDir, 'data.json');
+
+async function startWith(data) {
+  fs.writeFileSync(dataFile, JSON.stringify({ ...DEFAULT_DATA, schemaVersion: CURRENT_SCHEMA_VERSION, ...data }));
+  await storage.initializeData();
+}
+
+test.afterEach(async () => {
+  await storage.closeStorage();
+});
+
+test.after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('SESSION_SECRET signs cookies but is never written to disk', async () => {
+  await startWith({ sessionSecret: null, previousSessionSecrets: [] });
+
+  const secrets = await storage.getSessionSecrets();
+  assert.equal(await storage.getSessionSecret(), 'secret-from-the-environment');
+  assert.equal(secrets.current, 'secret-from-the-environment');
+  assert.deepEqual(secrets.previous, ['rotated-out-1', 'rotated-out-2']);
+  assert.ok(!fs.readFileSync(dataFile, 'utf8').includes('secret-from-the-environment'));
+});
+
+test('a copy of SESSION_SECRET stored by an earlier version is removed', async () => {
+  await startWith({ sessionSecret: 'secret-from-the-environment', previousSessionSecrets: [] });
+
+  const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  assert.equal(stored.sessionSecret, null);
+  assert.deepEqual(stored.previousSessionSecrets, []);
+  assert.equal(await storage.getSessionSecret(), 'secret-from-the-environment');
+});
+
+test('a generated secret replaced by SESSION_SECRET is retired for the grace period', async () => {
+  const expired = { secret: 'expired', retiredAt: Date.now() - 30 * 24 * 60 * 60 * 1000 };
+  await startWith({ sessionSecret: 'generated', previousSessionSecrets: [expired] });
+
+  const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+  assert.equal(stored.sessionSecret, null);
+  assert.deepEqual(stored.previousSessionSecrets.map(p => p.secret), ['generated']);
+  assert.deepEqual((await storage.getSessionSecrets()).previous, ['rotated-out-1', 'rotated-out-2', 'generated']);
+});